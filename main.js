@@ -1,31 +1,448 @@
 const { app, BrowserWindow, ipcMain, Notification, dialog } = require('electron');
 const path = require('path');
 const fs = require('fs');
+const { MIGRATIONS, latestVersion, migrate, runMigrations } = require('./migrations');
 
 const DATA_DIR = path.join(__dirname, 'data');
+const BACKUP_DIR = path.join(DATA_DIR, 'backups');
+const DB_PATH = path.join(DATA_DIR, 'printhq.db');
+const DB_FILE = path.basename(DB_PATH);
+// Schema version of each JSON collection, by file name (see migrations.js)
+const SCHEMA_VERSIONS_PATH = path.join(DATA_DIR, 'schema-versions.json');
+
+// Timestamped copies kept per data file (and of the database), and how often one is backed
+// up before a write
+const MAX_BACKUPS = 10;
+const BACKUP_INTERVAL_MS = 10 * 60 * 1000;
+
+const DATA_DEFAULTS = {
+  'prints.json': [],
+  'filaments.json': [],
+  'profiles.json': [],
+  'printers.json': [],
+  'settings.json': {
+    theme: 'dark',
+    sidebarCollapsed: false,
+    notifications: true,
+    lowFilamentThreshold_g: 100
+  }
+};
+
+// Shape checks run on every read; a file that fails one is treated like one that doesn't parse
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+const isRecordList = (v) => Array.isArray(v) &&
+  v.every(item => isPlainObject(item) && (typeof item.id === 'string' || typeof item.id === 'number'));
+
+const DATA_SCHEMAS = {
+  'prints.json': isRecordList,
+  'filaments.json': isRecordList,
+  'profiles.json': isRecordList,
+  'printers.json': isRecordList,
+  'settings.json': isPlainObject
+};
+
+// Collections of { id, ... } records that also take single-record calls
+const isRecordCollection = (fileName) => DATA_SCHEMAS[fileName] === isRecordList;
+const isRecordId = (id) => typeof id === 'string' || typeof id === 'number';
 
 // Ensure data directory and default files exist
 function ensureDataFiles() {
-  if (!fs.existsSync(DATA_DIR)) {
-    fs.mkdirSync(DATA_DIR, { recursive: true });
-  }
-  const defaults = {
-    'prints.json': [],
-    'filaments.json': [],
-    'profiles.json': [],
-    'settings.json': {
-      theme: 'dark',
-      sidebarCollapsed: false,
-      notifications: true,
-      lowFilamentThreshold_g: 100
-    }
-  };
-  for (const [file, data] of Object.entries(defaults)) {
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  // Temp files left by a write that crashed before its rename
+  fs.readdirSync(DATA_DIR).filter(name => name.endsWith('.tmp')).forEach(name => fs.unlinkSync(path.join(DATA_DIR, name)));
+  for (const [file, data] of Object.entries(DATA_DEFAULTS)) {
     const filePath = path.join(DATA_DIR, file);
     if (!fs.existsSync(filePath)) {
-      fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
+      writeJsonAtomic(filePath, data);
+    }
+  }
+}
+
+// ---- Safe JSON Storage ----
+
+// Write to a temp file, flush it to disk, then rename over the target so a crash
+// leaves either the old file or the new one, never half of each
+function writeJsonAtomic(filePath, data) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`;
+  const fd = fs.openSync(tmpPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(data, null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+  fs.renameSync(tmpPath, filePath);
+}
+
+// Parsed and schema-checked contents; throws on a missing, unparsable or invalid file
+function readJsonChecked(filePath, fileName) {
+  const data = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+  const schema = DATA_SCHEMAS[fileName];
+  if (schema && !schema(data)) throw new Error(`${fileName} does not have the expected structure`);
+  return data;
+}
+
+const backupStamp = () => new Date().toISOString().replace(/[:.]/g, '-');
+const lastBackupAt = {};   // fileName -> ms of this session's last backup
+
+function listBackups(fileName) {
+  const ext = path.extname(fileName);
+  const base = path.basename(fileName, ext);
+  if (!fs.existsSync(BACKUP_DIR)) return [];
+  return fs.readdirSync(BACKUP_DIR)
+    .filter(name => name.startsWith(base + '.') && name.endsWith(ext) && !name.includes('.corrupt-'))
+    .sort()
+    .reverse()
+    .map(name => path.join(BACKUP_DIR, name));
+}
+
+// Copy the current file aside before it is overwritten (at most once per interval) and
+// drop the oldest copies beyond MAX_BACKUPS. Only files that still read back valid are kept.
+function backupBeforeWrite(fileName) {
+  const filePath = path.join(DATA_DIR, fileName);
+  if (Date.now() - (lastBackupAt[fileName] || 0) < BACKUP_INTERVAL_MS) return;
+  if (!fs.existsSync(filePath)) return;
+  try {
+    readJsonChecked(filePath, fileName);
+  } catch {
+    return;
+  }
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  fs.copyFileSync(filePath, path.join(BACKUP_DIR, `${path.basename(fileName, '.json')}.${backupStamp()}.json`));
+  lastBackupAt[fileName] = Date.now();
+  listBackups(fileName).slice(MAX_BACKUPS).forEach(old => fs.unlinkSync(old));
+}
+
+// Newest backup that still parses and validates: { path, data, date } or null
+function lastGoodBackup(fileName) {
+  for (const backupPath of listBackups(fileName)) {
+    try {
+      return { path: backupPath, data: readJsonChecked(backupPath, fileName), date: fs.statSync(backupPath).mtime };
+    } catch {
+      // Try the next older one
     }
   }
+  return null;
+}
+
+// Files whose damage the user hasn't resolved; writes to them are refused so an empty
+// in-memory list can't overwrite what is left on disk
+const blockedFiles = new Set();
+const recoveries = {};   // fileName -> pending recovery promise, one dialog per file
+
+/**
+ * A data file failed to read. Ask whether to restore the last good backup, start empty or
+ * quit. The damaged file is moved into the backup folder before anything replaces it.
+ * Resolves to the data the renderer should get.
+ */
+function recoverDataFile(fileName, error) {
+  if (!recoveries[fileName]) {
+    recoveries[fileName] = (async () => {
+      const filePath = path.join(DATA_DIR, fileName);
+      const backup = lastGoodBackup(fileName);
+      blockedFiles.add(fileName);
+
+      const buttons = backup
+        ? [`Restore backup from ${backup.date.toLocaleString()}`, 'Start empty', 'Quit']
+        : ['Start empty', 'Quit'];
+      const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'warning',
+        title: 'PrintHQ — damaged data file',
+        message: `${fileName} could not be read.`,
+        detail: `${error.message}\n\nThe damaged file will be kept in ${BACKUP_DIR}.` +
+          (backup ? '' : '\n\nNo usable backup was found.'),
+        buttons,
+        defaultId: 0,
+        cancelId: buttons.length - 1,
+        noLink: true
+      });
+      const choice = buttons[response];
+
+      if (choice === 'Quit') {
+        app.quit();
+        return null;
+      }
+
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+      fs.renameSync(filePath, path.join(BACKUP_DIR, `${path.basename(fileName, '.json')}.corrupt-${backupStamp()}.json`));
+      // Backups carry no schema version; migrations leave already-current records unchanged
+      const data = backup ? migrate(fileName, backup.data).data : JSON.parse(JSON.stringify(DATA_DEFAULTS[fileName] ?? null));
+      if (data !== null) writeJsonAtomic(filePath, data);
+      blockedFiles.delete(fileName);
+      return data;
+    })().finally(() => {
+      delete recoveries[fileName];
+    });
+  }
+  return recoveries[fileName];
+}
+
+// ---- Storage Backend ----
+
+// SQLite when better-sqlite3 loads; otherwise the JSON files above, which also stay the
+// source of the one-time import into a fresh database. A JSON file that can't be imported
+// keeps the app on the JSON files, where reading it offers recovery, until the next start.
+let sqliteStore = null;
+
+// importJson — false when a fresh database should start from the defaults, not the JSON files
+function openSqliteStore({ importJson = true } = {}) {
+  try {
+    const { SqliteStore } = require('./storage-sqlite');
+    return new SqliteStore(DB_PATH, {
+      dataDir: importJson ? DATA_DIR : null,
+      archiveDir: path.join(BACKUP_DIR, `json-${backupStamp()}`),
+      fileNames: [...STORAGE_COLLECTIONS],
+      defaults: DATA_DEFAULTS,
+      readJson: readJsonChecked,
+      schemaVersions: importJson ? readSchemaVersions() : {},
+      normalize: currentShape
+    });
+  } catch (err) {
+    console.error('SQLite storage unavailable, using the JSON files:', err);
+    return null;
+  }
+}
+
+// Copy the database aside before it changes (at most once per interval) and drop the oldest
+// copies beyond MAX_BACKUPS. The copy runs in the background under a temp name and is only
+// kept when it passes an integrity check.
+function backupDatabase() {
+  if (Date.now() - (lastBackupAt[DB_FILE] || 0) < BACKUP_INTERVAL_MS) return;
+  lastBackupAt[DB_FILE] = Date.now();
+  const { isUsableDatabase } = require('./storage-sqlite');
+  const backupPath = path.join(BACKUP_DIR, `${path.basename(DB_FILE, '.db')}.${backupStamp()}.db`);
+  const tmpPath = `${backupPath}.tmp`;
+  fs.mkdirSync(BACKUP_DIR, { recursive: true });
+  sqliteStore.backup(tmpPath)
+    .then(() => {
+      if (!isUsableDatabase(tmpPath)) throw new Error('the copy failed its integrity check');
+      fs.renameSync(tmpPath, backupPath);
+      listBackups(DB_FILE).slice(MAX_BACKUPS).forEach(old => fs.unlinkSync(old));
+    })
+    .catch(err => {
+      console.error('Error backing up the database:', err);
+      fs.rmSync(tmpPath, { force: true });
+    });
+}
+
+// Newest database backup that passes the integrity check: { path, date } or null
+function lastGoodDatabaseBackup() {
+  const { isUsableDatabase } = require('./storage-sqlite');
+  const backupPath = listBackups(DB_FILE).find(isUsableDatabase);
+  return backupPath ? { path: backupPath, date: fs.statSync(backupPath).mtime } : null;
+}
+
+/**
+ * The database failed a read. Like recoverDataFile, for the whole database: restore the last
+ * good backup, start empty or quit. The damaged database is moved into the backup folder and
+ * writes are refused until then. Resolves to true once the store is open again.
+ */
+function recoverDatabase(error) {
+  if (!recoveries[DB_FILE]) {
+    recoveries[DB_FILE] = (async () => {
+      const backup = lastGoodDatabaseBackup();
+      const buttons = backup
+        ? [`Restore backup from ${backup.date.toLocaleString()}`, 'Start empty', 'Quit']
+        : ['Start empty', 'Quit'];
+      const { response } = await dialog.showMessageBox(mainWindow, {
+        type: 'warning',
+        title: 'PrintHQ — damaged database',
+        message: `${DB_FILE} could not be read.`,
+        detail: `${error.message}\n\nThe damaged database will be kept in ${BACKUP_DIR}.` +
+          (backup ? '' : '\n\nNo usable backup was found.'),
+        buttons,
+        defaultId: 0,
+        cancelId: buttons.length - 1,
+        noLink: true
+      });
+      const choice = buttons[response];
+
+      if (choice === 'Quit') {
+        app.quit();
+        return false;
+      }
+
+      sqliteStore.close();
+      const corruptPath = path.join(BACKUP_DIR, `${path.basename(DB_FILE, '.db')}.corrupt-${backupStamp()}.db`);
+      fs.mkdirSync(BACKUP_DIR, { recursive: true });
+      ['', '-wal', '-shm'].forEach(suffix => {
+        if (fs.existsSync(DB_PATH + suffix)) fs.renameSync(DB_PATH + suffix, corruptPath + suffix);
+      });
+      if (backup) fs.copyFileSync(backup.path, DB_PATH);
+      sqliteStore = openSqliteStore({ importJson: false });
+      if (!sqliteStore) throw new Error('The database could not be opened again');
+      runMigrations(sqliteStore);
+      return true;
+    })().finally(() => {
+      delete recoveries[DB_FILE];
+    });
+  }
+  return recoveries[DB_FILE];
+}
+
+// Read-modify-write of one JSON file for the single-record calls; edit changes data in
+// place and its return value is passed back
+function editJsonFile(fileName, edit) {
+  if (blockedFiles.has(fileName)) throw new Error(`${fileName} is waiting for its damaged copy to be resolved`);
+  const filePath = path.join(DATA_DIR, fileName);
+  const data = readJsonChecked(filePath, fileName);
+  const result = edit(data);
+  backupBeforeWrite(fileName);
+  writeJsonAtomic(filePath, data);
+  return result;
+}
+
+// Records written after startup never pass through runMigrations, so writes are brought to
+// the current schema as well (a migration leaves data that is already current unchanged)
+function currentShape(fileName, records) {
+  return migrate(fileName, records).data;
+}
+
+function readSchemaVersions() {
+  try {
+    return fs.existsSync(SCHEMA_VERSIONS_PATH) ? JSON.parse(fs.readFileSync(SCHEMA_VERSIONS_PATH, 'utf-8')) : {};
+  } catch (err) {
+    console.error('Error reading schema versions:', err);
+    return {};
+  }
+}
+
+// Same interface as SqliteStore for everything past storage:read / storage:write
+const jsonStore = {
+  read(fileName) {
+    return readJsonChecked(path.join(DATA_DIR, fileName), fileName);
+  },
+  write(fileName, data) {
+    backupBeforeWrite(fileName);
+    writeJsonAtomic(path.join(DATA_DIR, fileName), data);
+    return true;
+  },
+  getSchemaVersion(fileName) {
+    return readSchemaVersions()[fileName] || 1;
+  },
+  setSchemaVersion(fileName, version) {
+    writeJsonAtomic(SCHEMA_VERSIONS_PATH, Object.assign(readSchemaVersions(), { [fileName]: version }));
+  },
+  get(fileName, id) {
+    return readJsonChecked(path.join(DATA_DIR, fileName), fileName).find(r => r.id === id) || null;
+  },
+  insert(fileName, record) {
+    return editJsonFile(fileName, (list) => {
+      if (list.some(r => r.id === record.id)) throw new Error(`${fileName} already has a record with id ${record.id}`);
+      if (fileName === 'prints.json') list.unshift(record);
+      else list.push(record);
+      return record;
+    });
+  },
+  update(fileName, id, updates) {
+    return editJsonFile(fileName, (list) => {
+      const idx = list.findIndex(r => r.id === id);
+      if (idx === -1) return null;
+      [list[idx]] = currentShape(fileName, [Object.assign({}, list[idx], updates)]);
+      return list[idx];
+    });
+  },
+  remove(fileName, id) {
+    return editJsonFile(fileName, (list) => {
+      const idx = list.findIndex(r => r.id === id);
+      if (idx !== -1) list.splice(idx, 1);
+      return true;
+    });
+  },
+  saveSetting(key, value) {
+    return editJsonFile('settings.json', (settings) => {
+      settings[key] = value;
+      return settings;
+    });
+  },
+  queryPrints(query = {}) {
+    const matches = readJsonChecked(path.join(DATA_DIR, 'prints.json'), 'prints.json').filter(p =>
+      (!query.from || (p.date && p.date >= query.from)) &&
+      (!query.to || (p.date && p.date <= query.to)) &&
+      (!query.printer || p.printer === query.printer) &&
+      (!query.status || p.status === query.status) &&
+      (!query.material || (Array.isArray(p.material) ? p.material : [p.material]).includes(query.material)));
+    return Number.isInteger(query.limit) && query.limit > 0 ? matches.slice(0, query.limit) : matches;
+  }
+};
+
+const store = () => sqliteStore || jsonStore;
+
+// The store for a write: the database is backed up first, like the JSON files in jsonStore,
+// and refused while its damage is being resolved
+function storeForWrite() {
+  if (!sqliteStore) return jsonStore;
+  if (recoveries[DB_FILE]) throw new Error(`${DB_FILE} is waiting for its damaged copy to be resolved`);
+  backupDatabase();
+  return sqliteStore;
+}
+
+// ---- IPC Access Control ----
+
+// Data files the renderer may read and write through storage:*
+const STORAGE_COLLECTIONS = new Set([
+  ...Object.keys(DATA_DEFAULTS),
+  'gcode-recipes.json',
+  'gcode-templates.json',
+  'multicolor-plans.json',
+  'router-choices.json',
+  'router-profiles.json'
+]);
+
+// Largest slice dialog:readFileChunk hands out, bytes
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+
+// Paths the user picked through a dialog this session. A picked folder grants the files
+// directly inside it (batch inputs and outputs), nothing deeper.
+const grantedFiles = new Set();
+const grantedDirs = new Set();
+
+function rejectCall(channel, reason, value) {
+  console.error(`Rejected ${channel}: ${reason}`, value);
+}
+
+function checkCollection(channel, fileName) {
+  if (typeof fileName === 'string' && STORAGE_COLLECTIONS.has(fileName)) return true;
+  rejectCall(channel, 'not a known data collection', fileName);
+  return false;
+}
+
+function checkRecordCall(channel, fileName, id) {
+  if (!checkCollection(channel, fileName)) return false;
+  if (!isRecordCollection(fileName)) {
+    rejectCall(channel, 'not a record collection', fileName);
+    return false;
+  }
+  if (!isRecordId(id)) {
+    rejectCall(channel, 'record id must be text or a number', id);
+    return false;
+  }
+  return true;
+}
+
+// Resolved path when it was granted through a dialog, otherwise null (and the call is logged)
+function grantedPath(channel, filePath) {
+  if (typeof filePath === 'string' && path.isAbsolute(filePath)) {
+    const resolved = path.resolve(filePath);
+    if (grantedFiles.has(resolved) || grantedDirs.has(path.dirname(resolved))) return resolved;
+  }
+  rejectCall(channel, 'path was not picked through a dialog', filePath);
+  return null;
+}
+
+// Dialog options the renderer may set; defaultPath is reduced to a file name
+function dialogOptions(options, allowedProperties) {
+  const o = options || {};
+  const result = {};
+  if (typeof o.title === 'string') result.title = o.title;
+  if (typeof o.defaultPath === 'string') result.defaultPath = path.basename(o.defaultPath);
+  if (Array.isArray(o.filters)) {
+    result.filters = o.filters
+      .filter(f => f && typeof f.name === 'string' && Array.isArray(f.extensions))
+      .map(f => ({ name: f.name, extensions: f.extensions.filter(ext => typeof ext === 'string') }));
+  }
+  if (Array.isArray(o.properties)) result.properties = o.properties.filter(p => allowedProperties.includes(p));
+  return result;
 }
 
 let mainWindow;
@@ -54,7 +471,11 @@ function createWindow() {
 }
 
 app.whenReady().then(() => {
-  ensureDataFiles();
+  fs.mkdirSync(DATA_DIR, { recursive: true });
+  sqliteStore = openSqliteStore();
+  if (sqliteStore) backupDatabase();
+  else ensureDataFiles();
+  runMigrations(store());
   createWindow();
   app.on('activate', () => {
     if (BrowserWindow.getAllWindows().length === 0) createWindow();
@@ -65,34 +486,171 @@ app.on('window-all-closed', () => {
   if (process.platform !== 'darwin') app.quit();
 });
 
+app.on('will-quit', () => {
+  if (sqliteStore) sqliteStore.close();
+});
+
 // --- IPC Handlers for Storage ---
 
-ipcMain.handle('storage:read', (event, fileName) => {
+ipcMain.handle('storage:read', async (event, fileName) => {
+  if (!checkCollection('storage:read', fileName)) return null;
+  if (sqliteStore) {
+    try {
+      return sqliteStore.read(fileName);
+    } catch (err) {
+      console.error(`Error reading ${fileName}:`, err);
+      try {
+        return (await recoverDatabase(err)) ? sqliteStore.read(fileName) : null;
+      } catch (recoverErr) {
+        console.error('Error recovering the database:', recoverErr);
+        return null;
+      }
+    }
+  }
+  const filePath = path.join(DATA_DIR, fileName);
+  if (!fs.existsSync(filePath)) return null;
   try {
-    const filePath = path.join(DATA_DIR, fileName);
-    if (!fs.existsSync(filePath)) return null;
-    const raw = fs.readFileSync(filePath, 'utf-8');
-    return JSON.parse(raw);
+    return readJsonChecked(filePath, fileName);
   } catch (err) {
     console.error(`Error reading ${fileName}:`, err);
-    return null;
+    try {
+      return await recoverDataFile(fileName, err);
+    } catch (recoverErr) {
+      console.error(`Error recovering ${fileName}:`, recoverErr);
+      return null;
+    }
   }
 });
 
 ipcMain.handle('storage:write', (event, fileName, data) => {
+  if (!checkCollection('storage:write', fileName)) return false;
+  if (blockedFiles.has(fileName)) {
+    console.error(`Refusing to write ${fileName} until its damaged copy is resolved`);
+    return false;
+  }
+  const schema = DATA_SCHEMAS[fileName];
+  if (schema && !schema(data)) {
+    console.error(`Refusing to write ${fileName}: data does not have the expected structure`);
+    return false;
+  }
+  if (Array.isArray(data)) data = currentShape(fileName, data);
   try {
-    const filePath = path.join(DATA_DIR, fileName);
-    fs.writeFileSync(filePath, JSON.stringify(data, null, 2));
-    return true;
+    return storeForWrite().write(fileName, data);
   } catch (err) {
     console.error(`Error writing ${fileName}:`, err);
     return false;
   }
 });
 
+// Single records of prints, filaments, profiles and printers
+
+ipcMain.handle('storage:get', (event, fileName, id) => {
+  if (!checkRecordCall('storage:get', fileName, id)) return null;
+  try {
+    return store().get(fileName, id);
+  } catch (err) {
+    console.error(`Error reading ${id} from ${fileName}:`, err);
+    return null;
+  }
+});
+
+ipcMain.handle('storage:insert', (event, fileName, record) => {
+  if (!checkRecordCall('storage:insert', fileName, record && record.id)) return null;
+  if (!isPlainObject(record)) {
+    rejectCall('storage:insert', 'record must be an object', record);
+    return null;
+  }
+  try {
+    return storeForWrite().insert(fileName, currentShape(fileName, [record])[0]);
+  } catch (err) {
+    console.error(`Error adding to ${fileName}:`, err);
+    return null;
+  }
+});
+
+ipcMain.handle('storage:update', (event, fileName, id, updates) => {
+  if (!checkRecordCall('storage:update', fileName, id)) return null;
+  if (!isPlainObject(updates) || ('id' in updates && updates.id !== id)) {
+    rejectCall('storage:update', 'updates must be an object that keeps the id', updates);
+    return null;
+  }
+  try {
+    return storeForWrite().update(fileName, id, updates);
+  } catch (err) {
+    console.error(`Error updating ${id} in ${fileName}:`, err);
+    return null;
+  }
+});
+
+ipcMain.handle('storage:delete', (event, fileName, id) => {
+  if (!checkRecordCall('storage:delete', fileName, id)) return false;
+  try {
+    return storeForWrite().remove(fileName, id);
+  } catch (err) {
+    console.error(`Error deleting ${id} from ${fileName}:`, err);
+    return false;
+  }
+});
+
+ipcMain.handle('storage:saveSetting', (event, key, value) => {
+  if (typeof key !== 'string' || key === '') {
+    rejectCall('storage:saveSetting', 'key must be text', key);
+    return null;
+  }
+  try {
+    return storeForWrite().saveSetting(key, value);
+  } catch (err) {
+    console.error(`Error saving setting ${key}:`, err);
+    return null;
+  }
+});
+
+// Prints filtered by date range, printer, material and status (indexed under SQLite)
+ipcMain.handle('storage:queryPrints', (event, query) => {
+  const q = isPlainObject(query) ? query : {};
+  const clean = {};
+  ['from', 'to', 'printer', 'material', 'status'].forEach(key => {
+    if (typeof q[key] === 'string' && q[key] !== '') clean[key] = q[key];
+  });
+  if (Number.isInteger(q.limit) && q.limit > 0) clean.limit = q.limit;
+  try {
+    return store().queryPrints(clean);
+  } catch (err) {
+    console.error('Error querying prints:', err);
+    return null;
+  }
+});
+
+// Schema versions for backup archives: what this build writes, and upgrading imported data
+
+ipcMain.handle('storage:schemaVersions', () => {
+  const versions = {};
+  Object.keys(MIGRATIONS).forEach(fileName => { versions[fileName] = latestVersion(fileName); });
+  return versions;
+});
+
+ipcMain.handle('storage:migrate', (event, fileName, data, fromVersion) => {
+  if (!checkCollection('storage:migrate', fileName)) return null;
+  const version = Number.isInteger(fromVersion) && fromVersion > 0 ? fromVersion : 1;
+  if (version > latestVersion(fileName)) {
+    rejectCall('storage:migrate', 'data is from a newer PrintHQ', { fileName, fromVersion });
+    return null;
+  }
+  try {
+    return migrate(fileName, data, version).data;
+  } catch (err) {
+    console.error(`Error migrating imported ${fileName}:`, err);
+    return null;
+  }
+});
+
 // --- IPC Handlers for Notifications ---
 
 ipcMain.handle('notify', (event, title, body) => {
+  if (typeof title !== 'string' || typeof body !== 'string') {
+    rejectCall('notify', 'title and body must be text', { title, body });
+    return;
+  }
   if (Notification.isSupported()) {
     new Notification({ title, body }).show();
   }
@@ -101,14 +659,19 @@ ipcMain.handle('notify', (event, title, body) => {
 // --- IPC Handlers for File Dialogs ---
 
 ipcMain.handle('dialog:openFile', async (event, options) => {
-  const result = await dialog.showOpenDialog(mainWindow, options);
+  const opts = dialogOptions(options, ['openFile', 'openDirectory', 'multiSelections', 'createDirectory']);
+  const result = await dialog.showOpenDialog(mainWindow, opts);
   if (result.canceled) return null;
+  const granted = (opts.properties || []).includes('openDirectory') ? grantedDirs : grantedFiles;
+  result.filePaths.forEach(p => granted.add(path.resolve(p)));
   return result.filePaths;
 });
 
 ipcMain.handle('dialog:readFile', async (event, filePath) => {
+  const resolved = grantedPath('dialog:readFile', filePath);
+  if (!resolved) return null;
   try {
-    return fs.readFileSync(filePath, 'utf-8');
+    return fs.readFileSync(resolved, 'utf-8');
   } catch (err) {
     console.error(`Error reading file ${filePath}:`, err);
     return null;
@@ -116,8 +679,10 @@ ipcMain.handle('dialog:readFile', async (event, filePath) => {
 });
 
 ipcMain.handle('dialog:readFileBinary', async (event, filePath) => {
+  const resolved = grantedPath('dialog:readFileBinary', filePath);
+  if (!resolved) return null;
   try {
-    const buffer = fs.readFileSync(filePath);
+    const buffer = fs.readFileSync(resolved);
     return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + buffer.byteLength);
   } catch (err) {
     console.error(`Error reading binary file ${filePath}:`, err);
@@ -125,15 +690,79 @@ ipcMain.handle('dialog:readFileBinary', async (event, filePath) => {
   }
 });
 
+ipcMain.handle('dialog:fileSize', async (event, filePath) => {
+  const resolved = grantedPath('dialog:fileSize', filePath);
+  if (!resolved) return null;
+  try {
+    return fs.statSync(resolved).size;
+  } catch (err) {
+    console.error(`Error reading size of ${filePath}:`, err);
+    return null;
+  }
+});
+
+// Read part of a file so large G-code can be streamed to the parser
+ipcMain.handle('dialog:readFileChunk', async (event, filePath, offset, length) => {
+  const resolved = grantedPath('dialog:readFileChunk', filePath);
+  if (!resolved) return null;
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(length) || length < 0 || length > MAX_CHUNK_SIZE) {
+    rejectCall('dialog:readFileChunk', 'bad offset or length', { offset, length });
+    return null;
+  }
+  let fd = null;
+  try {
+    fd = fs.openSync(resolved, 'r');
+    const buffer = Buffer.alloc(length);
+    const bytesRead = fs.readSync(fd, buffer, 0, length, offset);
+    return buffer.buffer.slice(buffer.byteOffset, buffer.byteOffset + bytesRead);
+  } catch (err) {
+    console.error(`Error reading chunk of ${filePath}:`, err);
+    return null;
+  } finally {
+    if (fd !== null) fs.closeSync(fd);
+  }
+});
+
+// Files directly inside a folder picked for batch processing, filtered by extension
+ipcMain.handle('dialog:listFiles', async (event, dirPath, extensions) => {
+  if (typeof dirPath !== 'string' || !grantedDirs.has(path.resolve(dirPath))) {
+    rejectCall('dialog:listFiles', 'folder was not picked through a dialog', dirPath);
+    return null;
+  }
+  try {
+    const wanted = (Array.isArray(extensions) ? extensions : [])
+      .filter(ext => typeof ext === 'string')
+      .map(ext => '.' + ext.toLowerCase());
+    return fs.readdirSync(dirPath, { withFileTypes: true })
+      .filter(entry => entry.isFile())
+      .filter(entry => wanted.length === 0 || wanted.includes(path.extname(entry.name).toLowerCase()))
+      .map(entry => {
+        const filePath = path.join(dirPath, entry.name);
+        return { path: filePath, name: entry.name, size: fs.statSync(filePath).size };
+      })
+      .sort((a, b) => a.name.localeCompare(b.name));
+  } catch (err) {
+    console.error(`Error listing ${dirPath}:`, err);
+    return null;
+  }
+});
+
 ipcMain.handle('dialog:saveFile', async (event, options) => {
-  const result = await dialog.showSaveDialog(mainWindow, options);
-  if (result.canceled) return null;
+  const result = await dialog.showSaveDialog(mainWindow, dialogOptions(options, ['createDirectory', 'showOverwriteConfirmation']));
+  if (result.canceled || !result.filePath) return null;
+  grantedFiles.add(path.resolve(result.filePath));
   return result.filePath;
 });
 
 ipcMain.handle('dialog:writeFile', async (event, filePath, data) => {
+  const resolved = grantedPath('dialog:writeFile', filePath);
+  if (!resolved) return false;
+  if (typeof data !== 'string' && !ArrayBuffer.isView(data) && !(data instanceof ArrayBuffer)) {
+    rejectCall('dialog:writeFile', 'data must be text or bytes', typeof data);
+    return false;
+  }
   try {
-    fs.writeFileSync(filePath, data);
+    fs.writeFileSync(resolved, data instanceof ArrayBuffer ? Buffer.from(data) : data);
     return true;
   } catch (err) {
     console.error(`Error writing file ${filePath}:`, err);
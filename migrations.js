@@ -0,0 +1,102 @@
+// Schema versions and data migrations for the stored collections
+// Files written before versioning count as version 1. Each migration takes a collection at
+// the previous version and returns it at its own; it must also leave data that is already in
+// the new shape unchanged, because restored backups carry no version and are migrated from 1.
+
+// Shape helpers
+const isPlainObject = (v) => v !== null && typeof v === 'object' && !Array.isArray(v);
+
+function toList(value) {
+  if (Array.isArray(value)) return value.map(v => String(v).trim()).filter(Boolean);
+  if (typeof value === 'string') return value.split(',').map(v => v.trim()).filter(Boolean);
+  return [];
+}
+
+const toNumberOrNull = (v) => (v === '' || v === null || v === undefined || isNaN(Number(v)) ? null : Number(v));
+
+const MIGRATIONS = {
+  'prints.json': [
+    {
+      version: 2,
+      description: 'material and tags are arrays of strings',
+      up: (prints) => prints.map(p => {
+        const record = Object.assign({}, p);
+        record.material = toList(p.material !== undefined ? p.material : p.materials);
+        delete record.materials;
+        record.tags = toList(p.tags);
+        return record;
+      })
+    }
+  ],
+  'filaments.json': [
+    {
+      version: 2,
+      description: 'location is { printer, unit, slot } or null; tempRange always present',
+      up: (filaments) => filaments.map(f => {
+        const record = Object.assign({}, f);
+        // Same rule as the spool form: a slot location needs all three parts
+        const loc = isPlainObject(f.location) ? f.location : {};
+        const slot = toNumberOrNull(loc.slot);
+        record.location = loc.printer && loc.unit && slot
+          ? { printer: loc.printer, unit: loc.unit, slot }
+          : null;
+        // Free-text locations from before slots existed are kept in the notes
+        if (typeof f.location === 'string' && f.location.trim()) {
+          record.notes = [f.notes, `Location: ${f.location.trim()}`].filter(Boolean).join('\n');
+        }
+        const range = isPlainObject(f.tempRange) ? f.tempRange : {};
+        record.tempRange = {
+          nozzleMin: toNumberOrNull(range.nozzleMin),
+          nozzleMax: toNumberOrNull(range.nozzleMax),
+          bedMin: toNumberOrNull(range.bedMin),
+          bedMax: toNumberOrNull(range.bedMax)
+        };
+        return record;
+      })
+    }
+  ]
+};
+
+function latestVersion(fileName) {
+  const steps = MIGRATIONS[fileName] || [];
+  return steps.length ? steps[steps.length - 1].version : 1;
+}
+
+/**
+ * Upgrade one collection's data. Pure: the input is not modified.
+ * Returns { data, version, applied } where applied lists the versions that ran.
+ */
+function migrate(fileName, data, fromVersion = 1) {
+  let result = data;
+  const applied = [];
+  (MIGRATIONS[fileName] || []).forEach(step => {
+    if (step.version <= fromVersion) return;
+    result = step.up(result);
+    applied.push(step.version);
+  });
+  return { data: result, version: Math.max(fromVersion, latestVersion(fileName)), applied };
+}
+
+/**
+ * Bring every versioned collection in a store up to date. The store provides
+ * read/write(fileName) and getSchemaVersion/setSchemaVersion(fileName). The data is
+ * written before the version, so a crash in between only repeats a harmless migration.
+ * A collection that can't be read is logged and left for the next start.
+ */
+function runMigrations(store) {
+  Object.keys(MIGRATIONS).forEach(fileName => {
+    const current = store.getSchemaVersion(fileName);
+    if (current >= latestVersion(fileName)) return;
+    try {
+      const data = store.read(fileName);
+      if (Array.isArray(data)) {
+        store.write(fileName, migrate(fileName, data, current).data);
+      }
+      store.setSchemaVersion(fileName, latestVersion(fileName));
+    } catch (err) {
+      console.error(`Error migrating ${fileName}:`, err);
+    }
+  });
+}
+
+module.exports = { MIGRATIONS, latestVersion, migrate, runMigrations };
@@ -1,17 +1,38 @@
 const { contextBridge, ipcRenderer } = require('electron');
 
+// Each call forwards only the arguments its handler takes. main.js checks collection names
+// and dialog-granted paths itself and logs what it rejects.
+const text = (v) => (typeof v === 'string' ? v : '');
+
+// Dialog options the main process honours
+const dialogOptions = (options) => {
+  const { title, defaultPath, filters, properties } = options || {};
+  return { title, defaultPath, filters, properties };
+};
+
 contextBridge.exposeInMainWorld('api', {
-  // Storage
-  readData: (fileName) => ipcRenderer.invoke('storage:read', fileName),
-  writeData: (fileName, data) => ipcRenderer.invoke('storage:write', fileName, data),
+  // Storage — whitelisted collection files in the data folder
+  readData: (fileName) => ipcRenderer.invoke('storage:read', text(fileName)),
+  writeData: (fileName, data) => ipcRenderer.invoke('storage:write', text(fileName), data),
+  getRecord: (fileName, id) => ipcRenderer.invoke('storage:get', text(fileName), id),
+  insertRecord: (fileName, record) => ipcRenderer.invoke('storage:insert', text(fileName), record),
+  updateRecord: (fileName, id, updates) => ipcRenderer.invoke('storage:update', text(fileName), id, updates),
+  deleteRecord: (fileName, id) => ipcRenderer.invoke('storage:delete', text(fileName), id),
+  saveSetting: (key, value) => ipcRenderer.invoke('storage:saveSetting', text(key), value),
+  queryPrints: (query) => ipcRenderer.invoke('storage:queryPrints', query),
+  getSchemaVersions: () => ipcRenderer.invoke('storage:schemaVersions'),
+  migrateData: (fileName, data, fromVersion) => ipcRenderer.invoke('storage:migrate', text(fileName), data, fromVersion),
 
   // Notifications
-  notify: (title, body) => ipcRenderer.invoke('notify', title, body),
+  notify: (title, body) => ipcRenderer.invoke('notify', text(title), text(body)),
 
-  // File dialogs
-  openFile: (options) => ipcRenderer.invoke('dialog:openFile', options),
-  readFile: (filePath) => ipcRenderer.invoke('dialog:readFile', filePath),
-  readFileBinary: (filePath) => ipcRenderer.invoke('dialog:readFileBinary', filePath),
-  saveFile: (options) => ipcRenderer.invoke('dialog:saveFile', options),
-  writeFile: (filePath, data) => ipcRenderer.invoke('dialog:writeFile', filePath, data)
+  // File dialogs; the files below only accept paths a dialog returned this session
+  openFile: (options) => ipcRenderer.invoke('dialog:openFile', dialogOptions(options)),
+  saveFile: (options) => ipcRenderer.invoke('dialog:saveFile', dialogOptions(options)),
+  readFile: (filePath) => ipcRenderer.invoke('dialog:readFile', text(filePath)),
+  readFileBinary: (filePath) => ipcRenderer.invoke('dialog:readFileBinary', text(filePath)),
+  getFileSize: (filePath) => ipcRenderer.invoke('dialog:fileSize', text(filePath)),
+  readFileChunk: (filePath, offset, length) => ipcRenderer.invoke('dialog:readFileChunk', text(filePath), offset, length),
+  listFiles: (dirPath, extensions) => ipcRenderer.invoke('dialog:listFiles', text(dirPath), extensions),
+  writeFile: (filePath, data) => ipcRenderer.invoke('dialog:writeFile', text(filePath), data)
 });
@@ -11,10 +11,10 @@
     '#6a9fdb', '#80cbc4', '#ffb74d', '#ef5350'
   ];
 
-  const PRINTER_NAMES = {
-    bambu_a1: 'Bambu Lab A1',
-    kobra_s1: 'Kobra S1 Combo'
-  };
+  // Display name for a printer id, including retired printers still in the history
+  function printerName(id) {
+    return window.printerRegistry.getName(id);
+  }
 
   const FAILURE_LABELS = {
     adhesion: 'Adhesion Failure',
@@ -51,14 +51,14 @@
       allPrints = [];
       allFilaments = [];
     }
-    applyTimeFilter();
+    await applyTimeFilter();
   }
 
   function initControls() {
     const rangeSelect = document.getElementById('ana-time-range');
     if (rangeSelect) {
-      rangeSelect.addEventListener('change', () => {
-        applyTimeFilter();
+      rangeSelect.addEventListener('change', async () => {
+        await applyTimeFilter();
         render();
       });
     }
@@ -71,7 +71,8 @@
     }
   }
 
-  function applyTimeFilter() {
+  // Ranges are queried from the store by date; the trend charts keep using allPrints
+  async function applyTimeFilter() {
     const rangeSelect = document.getElementById('ana-time-range');
     const range = rangeSelect ? rangeSelect.value : 'all';
     if (range === 'all') {
@@ -87,7 +88,12 @@
         case '1y':  cutoff = new Date(now - 365 * 86400000); break;
         default:    cutoff = new Date(0);
       }
-      filteredPrints = allPrints.filter(p => new Date(p.date) >= cutoff);
+      try {
+        filteredPrints = await window.storage.queryPrints({ from: cutoff });
+      } catch (e) {
+        console.error('Analytics: failed to query prints', e);
+        filteredPrints = [];
+      }
     }
   }
 
@@ -261,7 +267,7 @@
       const pct = (data.total / maxTotal * 100);
       const rate = data.total > 0 ? (data.success / data.total * 100).toFixed(1) : 0;
       html += `<div class="ana-bar-row">
-        <div class="ana-bar-label">${PRINTER_NAMES[name] || name}</div>
+        <div class="ana-bar-label">${printerName(name)}</div>
         <div class="ana-bar-track">
           <div class="ana-bar-fill" style="width:${pct}%; background:${COLORS[i % COLORS.length]};"></div>
         </div>
@@ -291,7 +297,7 @@
     tbody.innerHTML = Object.entries(printers).sort((a, b) => b[1].total - a[1].total).map(([name, d]) => {
       const rate = d.total > 0 ? (d.success / d.total * 100).toFixed(1) : '0.0';
       return `<tr>
-        <td>${PRINTER_NAMES[name] || name}</td>
+        <td>${printerName(name)}</td>
         <td>${d.total}</td>
         <td class="text-success">${d.success}</td>
         <td class="text-danger">${d.failed}</td>
@@ -451,7 +457,7 @@
         if (comboRate > overallFailRate + 0.15 && comboRate > 0.2) {
           insights.push({
             type: 'danger',
-            title: `${data.material} on ${PRINTER_NAMES[data.printer] || data.printer}`,
+            title: `${data.material} on ${printerName(data.printer)}`,
             detail: `${data.failed}/${data.total} prints failed (${(comboRate * 100).toFixed(0)}% failure rate) — significantly above your average of ${(overallFailRate * 100).toFixed(0)}%.`,
             stat: `${(comboRate * 100).toFixed(0)}% fail rate`
           });
@@ -591,7 +597,7 @@
       const rate = (data.failed / data.total * 100);
       const color = rate > 30 ? 'var(--danger)' : rate > 15 ? 'var(--warning)' : 'var(--success)';
       html += `<div class="ana-bar-row">
-        <div class="ana-bar-label">${PRINTER_NAMES[name] || name}</div>
+        <div class="ana-bar-label">${printerName(name)}</div>
         <div class="ana-bar-track">
           <div class="ana-bar-fill" style="width:${rate}%; background:${color};"></div>
         </div>
@@ -744,7 +750,7 @@
     }
 
     const total = entries.reduce((s, e) => s + e[1], 0);
-    const pieEntries = entries.map(([name, cost]) => [PRINTER_NAMES[name] || name, cost]);
+    const pieEntries = entries.map(([name, cost]) => [printerName(name), cost]);
     setHTML('chart-cost-by-printer', buildPieChart(pieEntries, total, '', true));
   }
 
@@ -818,7 +824,7 @@
       const avgCost = d.total > 0 ? estCost / d.total : 0;
       const costHr = d.minutes > 0 ? estCost / (d.minutes / 60) : 0;
       return `<tr>
-        <td>${PRINTER_NAMES[name] || name}</td>
+        <td>${printerName(name)}</td>
         <td>${d.total}</td>
         <td>${formatGrams(d.filament)}</td>
         <td>$${estCost.toFixed(2)}</td>
@@ -1211,20 +1217,13 @@
   // UTILITY FUNCTIONS
   // =====================
 
+  // material and tags are arrays since schema version 2 (migrations.js)
   function extractMaterials(print) {
-    // Material can be a string, array, or come from filament references
-    if (!print.material && !print.materials) return ['Unknown'];
-    const mats = print.materials || print.material;
-    if (Array.isArray(mats)) return mats.filter(Boolean).length > 0 ? mats.filter(Boolean) : ['Unknown'];
-    if (typeof mats === 'string' && mats.trim()) return [mats.trim()];
-    return ['Unknown'];
+    return print.material.length > 0 ? print.material : ['Unknown'];
   }
 
   function extractTags(print) {
-    if (!print.tags) return [];
-    if (Array.isArray(print.tags)) return print.tags.map(t => t.trim()).filter(Boolean);
-    if (typeof print.tags === 'string') return print.tags.split(',').map(t => t.trim()).filter(Boolean);
-    return [];
+    return print.tags;
   }
 
   function groupByMonth(prints) {
@@ -10,7 +10,8 @@
   let queue = [];            // { id, name, printer, totalSeconds, remainingSeconds, intervalId }
   let logRatingWidget = null;
   let expandedRows = new Set();
-  let printerStatuses = { bambu_a1: 'idle', kobra_s1: 'idle' };
+  let printerStatuses = {};   // { [printerId]: 'idle' | 'printing' | 'error' }
+  let historyRender = 0;      // latest renderHistory call; older ones drop their results
 
   // ---- Initialization ----
 
@@ -18,6 +19,8 @@
     prints = await window.storage.getPrints() || [];
     filaments = await window.storage.getFilaments() || [];
 
+    renderPrinterCards();
+    populatePrinterSelects();
     computePrinterStats();
     populateMaterialChips();
     populateMaterialFilter();
@@ -32,11 +35,68 @@
     }
   }
 
+  // ---- Printer Cards ----
+
+  function renderPrinterCards() {
+    const container = document.getElementById('dash-printer-cards');
+    container.innerHTML = window.printerRegistry.list().map(p => {
+      const feeder = p.ams.units > 0 ? `${p.ams.type} (${p.ams.totalSlots} slots)` : 'Single extruder';
+      const subtitle = [p.features[0], feeder, `${p.buildVolume.x}x${p.buildVolume.y}x${p.buildVolume.z}mm`]
+        .filter(Boolean).map(escapeHtml).join(' &middot; ');
+      const id = escapeHtml(p.id);
+      return `
+        <div class="card printer-card" data-printer="${id}" id="printer-card-${id}">
+          <div class="card-header">
+            <div>
+              <div class="card-title">${escapeHtml(p.name)}</div>
+              <div class="card-subtitle">${subtitle}</div>
+            </div>
+            <div class="printer-status-toggle">
+              <span class="status-dot status-idle" id="status-dot-${id}"></span>
+              <select class="form-select printer-status-select" id="status-select-${id}" data-printer="${id}">
+                <option value="idle">Idle</option>
+                <option value="printing">Printing</option>
+                <option value="error">Error</option>
+              </select>
+            </div>
+          </div>
+          <div class="printer-stats grid-3">
+            <div class="printer-stat">
+              <div class="stat-value" id="stat-total-${id}">0</div>
+              <div class="stat-label">Total Prints</div>
+            </div>
+            <div class="printer-stat">
+              <div class="stat-value" id="stat-rate-${id}">0%</div>
+              <div class="stat-label">Success Rate</div>
+            </div>
+            <div class="printer-stat">
+              <div class="stat-value" id="stat-hours-${id}">0h</div>
+              <div class="stat-label">Hours Logged</div>
+            </div>
+          </div>
+        </div>`;
+    }).join('');
+
+    container.querySelectorAll('.printer-status-select').forEach(select => {
+      const pid = select.dataset.printer;
+      select.value = printerStatuses[pid] || 'idle';
+      updatePrinterStatusDisplay(pid, select.value);
+      select.addEventListener('change', () => {
+        updatePrinterStatusDisplay(pid, select.value);
+      });
+    });
+  }
+
+  function populatePrinterSelects() {
+    window.printerRegistry.populateSelect(document.getElementById('filter-printer'), { includeRetired: true, useShortName: true });
+    window.printerRegistry.populateSelect(document.getElementById('log-printer'));
+    window.printerRegistry.populateSelect(document.getElementById('timer-printer'));
+  }
+
   // ---- Printer Stats ----
 
   function computePrinterStats() {
-    const printers = ['bambu_a1', 'kobra_s1'];
-    printers.forEach(pid => {
+    window.printerRegistry.list().forEach(({ id: pid }) => {
       const printerPrints = prints.filter(p => p.printer === pid);
       const total = printerPrints.length;
       const successes = printerPrints.filter(p => p.status === 'success').length;
@@ -130,7 +190,7 @@
     // Collect unique material names from print history
     const seen = new Set();
     prints.forEach(p => {
-      (p.material || []).forEach(m => seen.add(m));
+      p.material.forEach(m => seen.add(m));
     });
 
     // Preserve existing "All Materials" option
@@ -173,11 +233,19 @@
       });
     });
 
-    // Printer status selects
-    document.querySelectorAll('.printer-status-select').forEach(select => {
-      select.addEventListener('change', () => {
-        updatePrinterStatusDisplay(select.dataset.printer, select.value);
-      });
+    // Printer registry edits (added, renamed or retired printers)
+    window.addEventListener('printers:changed', () => {
+      renderPrinterCards();
+      populatePrinterSelects();
+      computePrinterStats();
+      renderQueue();
+      renderHistory();
+    });
+
+    // Print records edited elsewhere (resume files linked from the G-code tools)
+    window.addEventListener('prints:changed', async () => {
+      prints = await window.storage.getPrints() || [];
+      renderHistory();
     });
 
     // Status field toggling failure reason visibility
@@ -211,6 +279,9 @@
     const formStartTimer = document.getElementById('form-start-timer');
     if (formStartTimer) formStartTimer.addEventListener('submit', handleStartTimer);
 
+    const btnTimerGcode = document.getElementById('btn-timer-from-gcode');
+    if (btnTimerGcode) btnTimerGcode.addEventListener('click', fillTimerFromGcode);
+
     // History search
     const searchInput = document.getElementById('history-search');
     if (searchInput) searchInput.addEventListener('input', renderHistory);
@@ -293,7 +364,13 @@
     };
 
     // Save to storage
-    await window.storage.addPrint(record);
+    try {
+      await window.storage.addPrint(record);
+    } catch (err) {
+      console.error('Error saving print:', err);
+      alert('Could not save the print: ' + err.message);
+      return;
+    }
     prints.unshift(record);
 
     // Auto-deduct filament from first selected spool that has a filamentId
@@ -379,6 +456,45 @@
     const form = document.getElementById('form-start-timer');
     if (form) form.reset();
     document.getElementById('timer-minutes').value = '30';
+    const hint = document.getElementById('timer-gcode-hint');
+    if (hint) hint.textContent = '';
+  }
+
+  // Pre-fill the timer from a sliced file, simulated with the selected printer's motion limits
+  async function fillTimerFromGcode() {
+    const filePaths = await window.api.openFile({
+      filters: [{ name: 'G-code Files', extensions: ['gcode', 'gco', 'g'] }]
+    });
+    if (!filePaths || filePaths.length === 0) return;
+
+    const printer = window.printerRegistry.get(document.getElementById('timer-printer').value);
+    const hint = document.getElementById('timer-gcode-hint');
+    if (hint) hint.textContent = 'Reading file...';
+    let result;
+    try {
+      ({ result } = await window.gcodeParser.parseFile({ filePath: filePaths[0] }, { printer }).promise);
+    } catch (err) {
+      console.error('Failed to parse G-code:', err);
+      if (hint) hint.textContent = 'Could not read this file.';
+      return;
+    }
+    if (result.estimatedTime_min <= 0) {
+      if (hint) hint.textContent = 'No print time could be estimated from this file.';
+      return;
+    }
+
+    const nameInput = document.getElementById('timer-name');
+    if (!nameInput.value.trim()) {
+      nameInput.value = filePaths[0].split(/[/\\]/).pop().replace(/\.(gcode|gco|g)$/i, '');
+    }
+    document.getElementById('timer-hours').value = Math.floor(result.estimatedTime_min / 60);
+    document.getElementById('timer-minutes').value = result.estimatedTime_min % 60;
+
+    if (hint) {
+      hint.textContent = result.timeEstimate.source === 'slicer'
+        ? `Slicer estimate (simulated: ${formatDuration(result.timeEstimate.kinematic_min)})`
+        : `Simulated for ${printer ? printer.shortName : 'generic limits'} — no slicer estimate in file`;
+    }
   }
 
   function startCountdown(item) {
@@ -430,9 +546,7 @@
     if (emptyEl) emptyEl.classList.add('hidden');
 
     queue.forEach(item => {
-      const profileName = window.printerProfiles[item.printer]
-        ? window.printerProfiles[item.printer].shortName
-        : item.printer;
+      const profileName = window.printerRegistry.getShortName(item.printer);
 
       const pct = item.totalSeconds > 0
         ? ((item.totalSeconds - item.remainingSeconds) / item.totalSeconds) * 100
@@ -543,7 +657,9 @@
 
   // ---- Print History ----
 
-  function getFilteredPrints() {
+  // Printer, material, status and date go to the store's indexed query; search, tags and
+  // rating are matched here
+  async function getFilteredPrints() {
     const searchVal = (document.getElementById('history-search')?.value || '').toLowerCase().trim();
     const filterPrinter = document.getElementById('filter-printer')?.value || '';
     const filterMaterial = document.getElementById('filter-material')?.value || '';
@@ -553,45 +669,34 @@
     const filterTagsVal = (document.getElementById('filter-tags')?.value || '').toLowerCase().trim();
     const filterRating = parseInt(document.getElementById('filter-rating')?.value, 10) || 0;
 
-    return prints.filter(p => {
+    const query = {};
+    if (filterPrinter) query.printer = filterPrinter;
+    if (filterMaterial) query.material = filterMaterial;
+    if (filterStatus) query.status = filterStatus;
+    if (filterDateFrom) query.from = new Date(filterDateFrom);
+    if (filterDateTo) {
+      query.to = new Date(filterDateTo);
+      query.to.setHours(23, 59, 59, 999);
+    }
+    const candidates = Object.keys(query).length > 0 ? await window.storage.queryPrints(query) : prints;
+
+    return candidates.filter(p => {
       // Search
       if (searchVal) {
         const haystack = [
           p.name,
-          ...(p.material || []),
-          ...(p.tags || []),
+          ...p.material,
+          ...p.tags,
           p.notes || '',
           p.printer || ''
         ].join(' ').toLowerCase();
         if (!haystack.includes(searchVal)) return false;
       }
 
-      // Printer
-      if (filterPrinter && p.printer !== filterPrinter) return false;
-
-      // Material
-      if (filterMaterial && !(p.material || []).includes(filterMaterial)) return false;
-
-      // Status
-      if (filterStatus && p.status !== filterStatus) return false;
-
-      // Date range
-      if (filterDateFrom) {
-        const from = new Date(filterDateFrom);
-        const pDate = new Date(p.date);
-        if (pDate < from) return false;
-      }
-      if (filterDateTo) {
-        const to = new Date(filterDateTo);
-        to.setHours(23, 59, 59, 999);
-        const pDate = new Date(p.date);
-        if (pDate > to) return false;
-      }
-
       // Tags
       if (filterTagsVal) {
         const searchTags = filterTagsVal.split(',').map(t => t.trim()).filter(Boolean);
-        const pTags = (p.tags || []).map(t => t.toLowerCase());
+        const pTags = p.tags.map(t => t.toLowerCase());
         if (!searchTags.some(st => pTags.includes(st))) return false;
       }
 
@@ -602,13 +707,15 @@
     });
   }
 
-  function renderHistory() {
+  async function renderHistory() {
     const tbody = document.getElementById('history-tbody');
     const emptyEl = document.getElementById('history-empty');
     const table = document.getElementById('history-table');
     if (!tbody) return;
 
-    const filtered = getFilteredPrints();
+    const render = ++historyRender;
+    const filtered = await getFilteredPrints();
+    if (render !== historyRender) return;
 
     if (filtered.length === 0) {
       tbody.innerHTML = '';
@@ -623,9 +730,7 @@
     tbody.innerHTML = '';
 
     filtered.forEach(p => {
-      const profileName = window.printerProfiles[p.printer]
-        ? window.printerProfiles[p.printer].shortName
-        : p.printer;
+      const profileName = window.printerRegistry.getShortName(p.printer);
 
       // Status tag
       let statusTag = '';
@@ -637,7 +742,7 @@
       const ratingHtml = renderStars(p.rating || 0);
 
       // Materials
-      const materialsText = (p.material || []).join(', ') || '-';
+      const materialsText = p.material.join(', ') || '-';
 
       const isExpanded = expandedRows.has(p.id);
 
@@ -686,7 +791,17 @@
       ? `<div class="detail-item"><span class="detail-label">Failure Reason</span><span class="detail-value text-danger">${escapeHtml(p.failureReason)}</span></div>`
       : '';
 
-    const tagsHtml = (p.tags || []).length > 0
+    const resumeHtml = (p.resumeFiles || []).length > 0
+      ? `<div class="history-detail-resume">
+          <span class="detail-label">Resume Files</span>
+          ${p.resumeFiles.map(r => `
+            <div class="text-sm" title="${escapeHtml(r.path)}">
+              Layer ${r.layer} (Z ${r.z} mm) &mdash; ${escapeHtml(r.path.split(/[\\/]/).pop())}, ${formatDate(r.date)}
+            </div>`).join('')}
+        </div>`
+      : '';
+
+    const tagsHtml = p.tags.length > 0
       ? `<div class="history-tags">${p.tags.map(t => `<span class="tag">${escapeHtml(t)}</span>`).join('')}</div>`
       : '';
 
@@ -736,6 +851,7 @@
             </div>
             ${failText}
           </div>
+          ${resumeHtml}
           ${tagsHtml}
           ${notesHtml}
           <button class="btn btn-sm btn-danger history-delete-btn" data-id="${p.id}">Delete Print</button>
@@ -1,5 +1,5 @@
 // Filament Manager — Module JavaScript
-// Manages filament spools across 3 AMS/Ace units (12 total slots)
+// Manages filament spools across every AMS/Ace unit in the printer registry
 
 (function () {
   'use strict';
@@ -9,31 +9,20 @@
   let wishlist = [];
   let lowThreshold = 100; // grams, overridden from settings
   let editingSpoolId = null;
+  let editingCalibrations = []; // Calibration log of the spool in the modal, saved with it
+
+  // Values a calibration entry can record: field -> label and unit
+  const CALIBRATION_FIELDS = {
+    temperature: { label: 'Temp', unit: '°C' },
+    retraction: { label: 'Retraction', unit: 'mm' },
+    flow: { label: 'Flow', unit: '%' },
+    pressureAdvance: { label: 'PA/LA K', unit: '' }
+  };
 
-  // AMS/Ace unit definitions — 3 units, 12 slots total
-  const AMS_UNITS = [
-    {
-      id: 'ams_lite_1',
-      name: 'Bambu AMS Lite',
-      printer: 'bambu_a1',
-      printerName: 'Bambu Lab A1 Combo',
-      slots: 4
-    },
-    {
-      id: 'ace_pro_1',
-      name: 'Anycubic Ace Pro #1',
-      printer: 'kobra_s1',
-      printerName: 'Anycubic Kobra S1 Combo',
-      slots: 4
-    },
-    {
-      id: 'ace_pro_2',
-      name: 'Anycubic Ace Pro #2',
-      printer: 'kobra_s1',
-      printerName: 'Anycubic Kobra S1 Combo',
-      slots: 4
-    }
-  ];
+  // AMS/Ace unit definitions — one entry per feeder unit across every active printer
+  function getAmsUnits() {
+    return window.printerRegistry.list().flatMap(p => window.printerRegistry.getFeederUnits(p.id));
+  }
 
   // ---- Initialization ----
 
@@ -47,6 +36,9 @@
     // Init tabs
     initTabs('#filament-module');
 
+    // Printer options for the spool location picker
+    window.printerRegistry.populateSelect(document.getElementById('fil-form-printer'));
+
     // Bind events
     bindEvents();
 
@@ -97,6 +89,14 @@
 
     // Auto-fill temp ranges when material changes
     document.getElementById('fil-form-material').addEventListener('change', autoFillTemps);
+    document.getElementById('fil-form-brand').addEventListener('change', autoFillTemps);
+
+    // Calibration log
+    document.getElementById('fil-cal-add').addEventListener('click', addCalibrationEntry);
+    document.getElementById('fil-form-temp-apply').addEventListener('click', applyCalibratedRange);
+    ['fil-form-nozzle-min', 'fil-form-nozzle-max'].forEach(id => {
+      document.getElementById(id).addEventListener('input', offerCalibratedRange);
+    });
 
     // Inventory search and filters
     document.getElementById('fil-inv-search').addEventListener('input', renderInventory);
@@ -107,6 +107,14 @@
     // Wishlist add
     document.getElementById('fil-wish-add-btn').addEventListener('click', addWishlistItem);
 
+    // Printer registry edits change the slot map and location picker
+    window.addEventListener('printers:changed', () => {
+      window.printerRegistry.populateSelect(document.getElementById('fil-form-printer'));
+      renderSlotMap();
+      renderInventory();
+      renderMaterials();
+    });
+
     // Close modal on overlay click
     document.getElementById('fil-spool-modal').addEventListener('click', (e) => {
       if (e.target === e.currentTarget) closeModal('fil-spool-modal');
@@ -119,7 +127,7 @@
     const container = document.getElementById('fil-slotmap-container');
     container.innerHTML = '';
 
-    AMS_UNITS.forEach(unit => {
+    getAmsUnits().forEach(unit => {
       const card = document.createElement('div');
       card.className = 'fil-unit-card';
 
@@ -128,8 +136,8 @@
       header.className = 'fil-unit-header';
       header.innerHTML = `
         <div>
-          <div class="fil-unit-name">${unit.name}</div>
-          <div class="fil-unit-printer">${unit.printerName}</div>
+          <div class="fil-unit-name">${escapeHtml(unit.name)}</div>
+          <div class="fil-unit-printer">${escapeHtml(unit.printerName)}</div>
         </div>
         <span class="tag">${unit.slots} slots</span>
       `;
@@ -269,7 +277,10 @@
             </div>
           </td>
           <td><strong>${escapeHtml(f.brand || '-')}</strong></td>
-          <td><span class="tag">${escapeHtml(f.material)}</span></td>
+          <td>
+            <span class="tag">${escapeHtml(f.material)}</span>
+            ${calibrationTag(f)}
+          </td>
           <td>${statusTag}</td>
           <td class="fil-inv-remaining-cell">
             <div class="fil-inv-remaining-bar">
@@ -351,7 +362,7 @@
 
   function getLocationString(f) {
     if (!f.location || !f.location.printer) return 'Storage';
-    const unit = AMS_UNITS.find(u => u.id === f.location.unit);
+    const unit = getAmsUnits().find(u => u.id === f.location.unit);
     const unitName = unit ? unit.name : f.location.unit;
     return `${unitName} / Slot ${f.location.slot}`;
   }
@@ -471,10 +482,10 @@
       const enclosureTag = mat.needsEnclosure
         ? '<span class="tag tag-warning">Enclosure Required</span>'
         : '<span class="tag tag-success">No Enclosure</span>';
-      const printerTags = (mat.printerSupport || []).map(pid => {
-        const p = window.printerProfiles && window.printerProfiles[pid];
-        return p ? `<span class="tag">${escapeHtml(p.shortName)}</span>` : '';
-      }).join('');
+      const printerTags = window.printerRegistry.list()
+        .filter(p => p.supportedMaterials.includes(key) || (mat.printerSupport || []).includes(p.id))
+        .map(p => `<span class="tag">${escapeHtml(p.shortName)}</span>`)
+        .join('');
 
       return `
         <div class="fil-mat-card">
@@ -526,6 +537,10 @@
               <span class="fil-mat-prop-label">Food Safe</span>
               <span class="fil-mat-prop-value">${escapeHtml(mat.foodSafe)}</span>
             </div>
+            <div class="fil-mat-prop">
+              <span class="fil-mat-prop-label">Max Flow</span>
+              <span class="fil-mat-prop-value">${mat.maxVolumetricSpeed ? `${mat.maxVolumetricSpeed.standard} / ${mat.maxVolumetricSpeed['high-flow']} mm&sup3;/s` : '-'}</span>
+            </div>
           </div>
 
           <div class="fil-mat-tags">
@@ -635,6 +650,7 @@
     document.getElementById('fil-form-colorhex').value = '#4facfe';
     document.getElementById('fil-form-colorhex-text').value = '#4facfe';
     document.getElementById('fil-form-swatch').style.background = '#4facfe';
+    document.getElementById('fil-form-temp-source').textContent = '';
 
     const deleteBtn = document.getElementById('fil-modal-delete');
 
@@ -670,14 +686,13 @@
       document.getElementById('fil-form-slot').value = (spool.location && spool.location.slot) || '';
 
       // Temps
-      if (spool.tempRange) {
-        document.getElementById('fil-form-nozzle-min').value = spool.tempRange.nozzleMin || '';
-        document.getElementById('fil-form-nozzle-max').value = spool.tempRange.nozzleMax || '';
-        document.getElementById('fil-form-bed-min').value = spool.tempRange.bedMin || '';
-        document.getElementById('fil-form-bed-max').value = spool.tempRange.bedMax || '';
-      }
+      document.getElementById('fil-form-nozzle-min').value = spool.tempRange.nozzleMin || '';
+      document.getElementById('fil-form-nozzle-max').value = spool.tempRange.nozzleMax || '';
+      document.getElementById('fil-form-bed-min').value = spool.tempRange.bedMin || '';
+      document.getElementById('fil-form-bed-max').value = spool.tempRange.bedMax || '';
 
       document.getElementById('fil-form-notes').value = spool.notes || '';
+      editingCalibrations = (spool.calibrations || []).map(c => ({ ...c }));
     } else {
       // Adding new spool
       document.getElementById('fil-modal-title').textContent = 'Add Filament Spool';
@@ -688,8 +703,12 @@
       document.getElementById('fil-form-printer').value = '';
       updateUnitOptions();
       updateSlotOptions();
+      editingCalibrations = [];
     }
 
+    resetCalibrationForm();
+    renderCalibrationLog();
+    offerCalibratedRange();
     openModal('fil-spool-modal');
   }
 
@@ -749,6 +768,7 @@
         bedMin,
         bedMax
       },
+      calibrations: editingCalibrations,
       notes
     };
 
@@ -760,7 +780,13 @@
     } else {
       // Create new
       spoolData.id = generateId();
-      await window.storage.addFilament(spoolData);
+      try {
+        await window.storage.addFilament(spoolData);
+      } catch (err) {
+        console.error('Error saving spool:', err);
+        alert('Could not save the spool: ' + err.message);
+        return;
+      }
       filaments.push(spoolData);
     }
 
@@ -802,7 +828,7 @@
       return;
     }
 
-    const units = AMS_UNITS.filter(u => u.printer === printerVal);
+    const units = window.printerRegistry.getFeederUnits(printerVal);
     units.forEach(u => {
       const opt = document.createElement('option');
       opt.value = u.id;
@@ -826,7 +852,7 @@
 
     if (!unitVal) return;
 
-    const unit = AMS_UNITS.find(u => u.id === unitVal);
+    const unit = getAmsUnits().find(u => u.id === unitVal);
     if (!unit) return;
 
     for (let s = 1; s <= unit.slots; s++) {
@@ -843,24 +869,184 @@
     }
   }
 
-  // ---- Auto-fill temps from materialDB ----
+  // ---- Calibration Log ----
+
+  // Log entries: { id, date, printer, temperature, retraction, flow, pressureAdvance, notes },
+  // any of the values may be null. Newest first.
+  function renderCalibrationLog() {
+    const list = document.getElementById('fil-cal-list');
+    if (editingCalibrations.length === 0) {
+      list.innerHTML = '<div class="text-sm text-muted">No calibration results recorded for this spool yet.</div>';
+      return;
+    }
+
+    list.innerHTML = editingCalibrations.map((c, idx) => {
+      const values = Object.keys(CALIBRATION_FIELDS)
+        .filter(key => c[key] != null)
+        .map(key => `<span class="tag">${CALIBRATION_FIELDS[key].label} ${c[key]}${CALIBRATION_FIELDS[key].unit}</span>`)
+        .join(' ');
+      const printer = c.printer ? window.printerRegistry.getShortName(c.printer) : 'Any printer';
+      return `
+        <div class="fil-cal-entry">
+          <div>
+            <div class="text-sm"><strong>${escapeHtml(formatDate(c.date))}</strong> &middot; ${escapeHtml(printer)}</div>
+            <div class="fil-cal-values">${values}</div>
+            ${c.notes ? `<div class="text-sm text-muted">${escapeHtml(c.notes)}</div>` : ''}
+          </div>
+          <button type="button" class="btn-icon btn-sm" title="Remove" data-cal-remove="${idx}">&#x2716;</button>
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('[data-cal-remove]').forEach(btn => {
+      btn.addEventListener('click', () => {
+        editingCalibrations.splice(parseInt(btn.dataset.calRemove, 10), 1);
+        renderCalibrationLog();
+        offerCalibratedRange();
+      });
+    });
+  }
+
+  function resetCalibrationForm() {
+    window.printerRegistry.populateSelect(document.getElementById('fil-cal-printer'));
+    document.getElementById('fil-cal-date').value = new Date().toISOString().slice(0, 10);
+    ['fil-cal-printer', 'fil-cal-temperature', 'fil-cal-retraction', 'fil-cal-flow', 'fil-cal-pa', 'fil-cal-notes'].forEach(id => {
+      document.getElementById(id).value = '';
+    });
+  }
+
+  function addCalibrationEntry() {
+    const num = (id) => {
+      const v = parseFloat(document.getElementById(id).value);
+      return isNaN(v) ? null : v;
+    };
+    const entry = {
+      id: generateId(),
+      date: document.getElementById('fil-cal-date').value || new Date().toISOString().slice(0, 10),
+      printer: document.getElementById('fil-cal-printer').value || null,
+      temperature: num('fil-cal-temperature'),
+      retraction: num('fil-cal-retraction'),
+      flow: num('fil-cal-flow'),
+      pressureAdvance: num('fil-cal-pa'),
+      notes: document.getElementById('fil-cal-notes').value.trim()
+    };
+    if (Object.keys(CALIBRATION_FIELDS).every(key => entry[key] === null)) return;
+
+    editingCalibrations.push(entry);
+    editingCalibrations.sort((a, b) => b.date.localeCompare(a.date));
+    resetCalibrationForm();
+    renderCalibrationLog();
+    offerCalibratedRange();
+  }
+
+  /**
+   * Newest calibrated value of each field, with the entry it came from.
+   * Returns { temperature: { value, date, printer }, ... } for the fields that have one.
+   */
+  function latestCalibration(calibrations) {
+    const latest = {};
+    [...(calibrations || [])]
+      .sort((a, b) => b.date.localeCompare(a.date))
+      .forEach(c => {
+        Object.keys(CALIBRATION_FIELDS).forEach(key => {
+          if (c[key] != null && !latest[key]) latest[key] = { value: c[key], date: c.date, printer: c.printer };
+        });
+      });
+    return latest;
+  }
+
+  function calibrationTag(spool) {
+    const latest = latestCalibration(spool.calibrations);
+    const keys = Object.keys(latest);
+    if (keys.length === 0) return '';
+    const title = keys.map(key =>
+      `${CALIBRATION_FIELDS[key].label}: ${latest[key].value}${CALIBRATION_FIELDS[key].unit} (${formatDate(latest[key].date)})`
+    ).join('\n');
+    return `<span class="tag tag-success" title="${escapeHtml(title)}">Calibrated</span>`;
+  }
+
+  // ---- Auto-fill temps ----
+
+  // Calibrated temperatures win over the material DB: this spool's log first, then other spools
+  // of the same brand and material.
+  function calibratedTemperature(brand, material) {
+    const own = latestCalibration(editingCalibrations).temperature;
+    if (own) return own;
+
+    const siblings = filaments.filter(f =>
+      f.id !== editingSpoolId && f.material === material &&
+      (f.brand || '').toLowerCase() === brand.toLowerCase()
+    );
+    const found = latestCalibration(siblings.flatMap(f => f.calibrations || [])).temperature;
+    return found || null;
+  }
 
   function autoFillTemps() {
     const material = document.getElementById('fil-form-material').value;
     if (!material || !window.materialDB || !window.materialDB[material]) return;
 
     const mat = window.materialDB[material];
+    const brand = document.getElementById('fil-form-brand').value.trim();
+    const calibrated = calibratedTemperature(brand, material);
 
     const nozzleMinEl = document.getElementById('fil-form-nozzle-min');
     const nozzleMaxEl = document.getElementById('fil-form-nozzle-max');
     const bedMinEl = document.getElementById('fil-form-bed-min');
     const bedMaxEl = document.getElementById('fil-form-bed-max');
 
-    // Only auto-fill if fields are empty
-    if (!nozzleMinEl.value) nozzleMinEl.value = mat.nozzleMin;
-    if (!nozzleMaxEl.value) nozzleMaxEl.value = mat.nozzleMax;
+    const range = calibrated ? calibratedRange(calibrated) : { min: mat.nozzleMin, max: mat.nozzleMax };
+
+    // Only auto-fill if fields are empty; the hint names where the filled values came from
+    const nozzleFilled = !nozzleMinEl.value || !nozzleMaxEl.value;
+    const bedFilled = !bedMinEl.value || !bedMaxEl.value;
+    if (!nozzleMinEl.value) nozzleMinEl.value = range.min;
+    if (!nozzleMaxEl.value) nozzleMaxEl.value = range.max;
     if (!bedMinEl.value) bedMinEl.value = mat.bedMin;
     if (!bedMaxEl.value) bedMaxEl.value = mat.bedMax;
+
+    const source = document.getElementById('fil-form-temp-source');
+    if (nozzleFilled && calibrated) {
+      source.textContent = calibrationSource(calibrated);
+    } else if (nozzleFilled || bedFilled) {
+      source.textContent = `Defaults from the ${mat.name} material profile`;
+    }
+    offerCalibratedRange();
+  }
+
+  // A calibrated temperature narrows the nozzle range to ±5°C around it
+  function calibratedRange(calibrated) {
+    return { min: calibrated.value - 5, max: calibrated.value + 5 };
+  }
+
+  function calibrationSource(calibrated) {
+    return `Nozzle range from the ${calibrated.value}°C calibration on ${formatDate(calibrated.date)}`;
+  }
+
+  // Offer this spool's newest calibrated range when the form shows a different one
+  function offerCalibratedRange() {
+    const button = document.getElementById('fil-form-temp-apply');
+    const calibrated = latestCalibration(editingCalibrations).temperature;
+    const range = calibrated && calibratedRange(calibrated);
+    const current = [
+      parseFloat(document.getElementById('fil-form-nozzle-min').value),
+      parseFloat(document.getElementById('fil-form-nozzle-max').value)
+    ];
+    if (!range || (current[0] === range.min && current[1] === range.max)) {
+      button.style.display = 'none';
+      return;
+    }
+    button.textContent = `Use ${range.min}–${range.max}°C from the ${calibrated.value}°C calibration`;
+    button.style.display = '';
+  }
+
+  function applyCalibratedRange() {
+    const calibrated = latestCalibration(editingCalibrations).temperature;
+    if (!calibrated) return;
+    const range = calibratedRange(calibrated);
+    document.getElementById('fil-form-nozzle-min').value = range.min;
+    document.getElementById('fil-form-nozzle-max').value = range.max;
+    document.getElementById('fil-form-temp-source').textContent = calibrationSource(calibrated);
+    offerCalibratedRange();
   }
 
   // ---- Helpers ----
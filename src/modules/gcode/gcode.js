@@ -8,12 +8,41 @@
 
   let gcodeRawText = null;       // Original file text
   let gcodeFileName = null;      // Loaded filename
+  let gcodeFileSize = 0;         // Loaded file size in bytes
   let gcodeAnalysis = null;      // Parsed analysis result
+  let gcodeArchive = null;       // Open .gcode.3mf package {entries, plates}, null for plain G-code
+  let gcodePlate = null;         // Plate of gcodeArchive currently loaded
   let layerPauses = [];          // [{layer, command, customGcode}]
   let injections = [];           // [{mode, number, gcode}]
   let templates = [];            // [{id, name, printer, purpose, gcode, notes, builtIn}]
+  let parseJob = null;           // Background parse in progress {promise, cancel}
+  let toolpathLayer = 1;         // Layer shown in the toolpath preview
+  let toolpathSpeedMax = 0;      // Top extrusion speed in the file, mm/s
+  let layerStartLineCache = null; // findLayerStartLines() of the loaded text, for preview markers
+  let lintConfig = null;         // Lint rule settings {ruleId: {enabled, params}}
+  let timelapseParking = {};     // Saved park positions per printer {printerId: {x, y}}
+  let excludedObjects = new Set(); // Names of labelled objects stripped from the output
+  let pipelineSteps = [];        // Modification order and switches [{id, enabled}]
+  let recipes = [];              // Saved post-processor states [{id, name, printer, material, isDefault, state}]
+  let batchFiles = [];           // Queued batch inputs [{path, name, size}]
+  let batchOutputDir = null;     // Folder batch outputs are written to
+  let batchJob = null;           // Batch run in progress {cancelled, parse}
 
   const TEMPLATES_KEY = 'gcode-templates';
+  const RECIPES_KEY = 'gcode-recipes';
+  const BATCH_EXTENSIONS = ['gcode', 'gco', 'g'];
+  const TIMELAPSE_SETTINGS_KEY = 'timelapseParking';
+
+  // Post-processor inputs a recipe stores, by element id (checkboxes keep .checked, the rest .value)
+  const RECIPE_FIELDS = [
+    'gc-speed-slider', 'gc-temp-nozzle-offset', 'gc-temp-bed-offset', 'gc-fan-slider',
+    'gc-eject-cool', 'gc-cool-target-temp', 'gc-cool-wait-time',
+    'gc-eject-shake', 'gc-shake-distance', 'gc-shake-speed', 'gc-shake-reps',
+    'gc-eject-push', 'gc-push-distance', 'gc-push-speed',
+    'gc-pause-command', 'gc-pause-custom-gcode',
+    'gc-timelapse', 'gc-timelapse-zhop', 'gc-timelapse-retract', 'gc-timelapse-dwell', 'gc-timelapse-speed', 'gc-timelapse-m240',
+    'gc-arc-mode', 'gc-arc-tolerance'
+  ];
 
   // ---- Pre-built Templates ----
 
@@ -115,11 +144,38 @@
 
   function init() {
     initTabs('#gcode-module');
+    populatePrinterSelects();
     initDropZone();
+    initToolpathPreview();
+    initLintRules();
     initPostProcessor();
+    initRecipes();
+    initBatch();
     initTemplates();
+    initCalibration();
+  }
+
+
+  function populatePrinterSelects() {
+    window.printerRegistry.populateSelect(document.getElementById('gc-pp-printer'));
+    window.printerRegistry.populateSelect(document.getElementById('gc-tpl-form-printer'), { includeRetired: true });
+    window.printerRegistry.populateSelect(document.getElementById('gc-recipe-form-printer'), { includeRetired: true });
+    window.printerRegistry.populateSelect(document.getElementById('gc-cal-printer'));
   }
 
+  function selectedPrinter() {
+    return window.printerRegistry.get(document.getElementById('gc-pp-printer').value);
+  }
+
+  window.addEventListener('printers:changed', () => {
+    populatePrinterSelects();
+    renderTemplateList();
+    renderRecipeSelect();
+    renderBatchRecipeSelect();
+    renderCalibrationTemplates();
+    renderCalibrationParams();
+  });
+
 
   // ---- Drop Zone & File Loading ----
 
@@ -154,11 +210,16 @@
 
     // Click to open
     dropZone.addEventListener('click', () => {
-      if (!gcodeRawText) {
+      if (!gcodeRawText && !parseJob) {
         openFileDialog();
       }
     });
 
+    document.getElementById('gc-btn-cancel-parse').addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (parseJob) parseJob.cancel();
+    });
+
     // Open button in header
     openBtn.addEventListener('click', () => {
       openFileDialog();
@@ -166,17 +227,31 @@
 
     // Clear button
     clearBtn.addEventListener('click', clearLoadedFile);
+
+    // Plate picker for multi-plate .gcode.3mf packages
+    document.getElementById('gc-btn-change-plate').addEventListener('click', openPlatePicker);
+    document.getElementById('gc-plate-modal-close').addEventListener('click', () => {
+      closeModal('gc-plate-modal');
+    });
   }
 
   async function openFileDialog() {
     try {
-      const filePath = await window.api.openFile({
-        filters: [{ name: 'G-code Files', extensions: ['gcode', 'gco', 'g'] }]
+      const filePaths = await window.api.openFile({
+        filters: [
+          { name: 'G-code Files', extensions: ['gcode', 'gco', 'g', '3mf'] },
+          { name: 'Sliced 3MF (Bambu / Orca)', extensions: ['3mf'] }
+        ]
       });
-      if (filePath) {
-        const content = await window.api.readFile(filePath);
+      if (filePaths && filePaths.length > 0) {
+        const filePath = filePaths[0];
         const name = filePath.split(/[/\\]/).pop();
-        loadGcodeContent(content, name);
+        if (window.gcode3mf.isArchiveName(name)) {
+          await loadArchive(await window.api.readFileBinary(filePath), name);
+        } else {
+          const parsed = await parseWithProgress({ filePath }, name);
+          if (parsed) loadGcodeContent(parsed, name);
+        }
       }
     } catch (err) {
       console.error('Failed to open file:', err);
@@ -184,33 +259,225 @@
   }
 
   async function handleDroppedFile(file) {
+    if (window.gcode3mf.isArchiveName(file.name)) {
+      await loadArchive(await file.arrayBuffer(), file.name);
+      return;
+    }
     if (!file.name.match(/\.(gcode|gco|g)$/i)) {
       return;
     }
-    const text = await file.text();
-    loadGcodeContent(text, file.name);
+    const parsed = await parseWithProgress({ file }, file.name);
+    if (parsed) loadGcodeContent(parsed, file.name);
+  }
+
+
+  // ---- Background Parsing ----
+
+  // Parse in the worker with progress shown in the drop zone. Resolves to null when cancelled or failed,
+  // leaving any previously loaded file as it was.
+  async function parseWithProgress(source, filename) {
+    if (parseJob) parseJob.cancel();
+
+    showParseProgress(filename);
+    const job = window.gcodeParser.parseFile(source, {
+      printer: selectedPrinter(),
+      toolpath: true,
+      lint: lintConfig,
+      onProgress: updateParseProgress
+    });
+    parseJob = job;
+
+    try {
+      return await job.promise;
+    } catch (err) {
+      console.error('Failed to parse G-code:', err);
+      alert(`Could not parse ${filename}: ${err.message}`);
+      return null;
+    } finally {
+      if (parseJob === job) {
+        parseJob = null;
+        hideParseProgress();
+      }
+    }
+  }
+
+  function showParseProgress(filename) {
+    const dropZone = document.getElementById('gc-drop-zone');
+    dropZone.style.display = '';
+    dropZone.classList.add('gc-parsing');
+    document.getElementById('gc-analysis-results').style.display = 'none';
+    document.getElementById('gc-drop-prompt').style.display = 'none';
+    document.getElementById('gc-parse-progress').style.display = '';
+    document.getElementById('gc-parse-progress-name').textContent = `Parsing ${filename}`;
+    updateParseProgress(0);
+  }
+
+  function updateParseProgress(fraction) {
+    const pct = Math.round(fraction * 100);
+    document.getElementById('gc-parse-progress-fill').style.width = `${pct}%`;
+    document.getElementById('gc-parse-progress-pct').textContent = `${pct}%`;
+  }
+
+  function hideParseProgress() {
+    const dropZone = document.getElementById('gc-drop-zone');
+    dropZone.classList.remove('gc-parsing');
+    document.getElementById('gc-drop-prompt').style.display = '';
+    document.getElementById('gc-parse-progress').style.display = 'none';
+
+    // Back to whatever was showing before
+    if (gcodeAnalysis) {
+      dropZone.style.display = 'none';
+      document.getElementById('gc-analysis-results').style.display = '';
+    }
+  }
+
+
+  // ---- .gcode.3mf Packages ----
+
+  async function loadArchive(buffer, filename) {
+    if (!buffer) return;
+    let archive;
+    try {
+      archive = await window.gcode3mf.open(buffer);
+    } catch (err) {
+      console.error('Failed to open 3MF archive:', err);
+      alert(`Could not open ${filename}: ${err.message}`);
+      return;
+    }
+
+    if (archive.plates.length === 1) {
+      await selectPlate(archive, filename, archive.plates[0]);
+    } else {
+      await openPlatePicker(archive, filename);
+    }
+  }
+
+  // The archive only replaces the loaded file once its plate has parsed
+  async function selectPlate(archive, filename, plate) {
+    closeModal('gc-plate-modal');
+    const text = await window.gcode3mf.readText(archive, plate.gcodePath);
+    const parsed = await parseWithProgress({ text }, `${filename} (Plate ${plate.index})`);
+    if (parsed) loadGcodeContent(parsed, filename, archive, plate);
+  }
+
+  async function openPlatePicker(archive = gcodeArchive, filename = gcodeFileName) {
+    const grid = document.getElementById('gc-plate-grid');
+    grid.querySelectorAll('img').forEach(img => URL.revokeObjectURL(img.src));
+    grid.innerHTML = '';
+
+    for (const plate of archive.plates) {
+      const thumbUrl = await window.gcode3mf.thumbnailUrl(archive, plate);
+      const card = document.createElement('div');
+      card.className = 'gc-plate-card' + (plate === gcodePlate ? ' active' : '');
+      card.innerHTML = `
+        <div class="gc-plate-thumb">${thumbUrl ? `<img src="${thumbUrl}" alt="">` : '&#x1F4C4;'}</div>
+        <div class="gc-plate-card-title">Plate ${plate.index}</div>
+        <div class="gc-plate-card-meta">
+          ${plate.estimatedTime_min > 0 ? window.gcodeParser.formatTime(plate.estimatedTime_min) : '--'}
+          ${plate.weight_g > 0 ? ` | ${plate.weight_g}g` : ''}
+        </div>
+        <div class="gc-plate-card-swatches">
+          ${plate.filaments.map(f => `<span class="color-swatch" style="background:${escapeHtml(f.color)}" title="${escapeHtml(f.type)}"></span>`).join('')}
+        </div>
+      `;
+      card.addEventListener('click', () => selectPlate(archive, filename, plate));
+      grid.appendChild(card);
+    }
+
+    openModal('gc-plate-modal');
+  }
+
+  // Slicer figures from slice_info.config beat what the G-code comments give us
+  function mergePlateMetadata(analysis, plate) {
+    const est = analysis.timeEstimate;
+    if (plate.estimatedTime_min > 0 && est.source !== 'slicer') {
+      analysis.estimatedTime_min = plate.estimatedTime_min;
+      est.slicer_min = plate.estimatedTime_min;
+      est.source = 'slicer';
+      est.difference_pct = est.kinematic_min > 0
+        ? Math.round((est.kinematic_min - est.slicer_min) / est.slicer_min * 100)
+        : null;
+    }
+    const usedM = plate.filaments.reduce((sum, f) => sum + f.used_m, 0);
+    if (usedM > 0 && analysis.filamentLength_mm === 0) {
+      analysis.filamentLength_mm = Math.round(usedM * 1000);
+    }
+    if (plate.weight_g > 0) {
+      analysis.filamentWeight_g = plate.weight_g;
+    }
+  }
+
+  function renderPlateInfo() {
+    const card = document.getElementById('gc-plate-info');
+    if (!gcodeArchive || !gcodePlate) {
+      card.style.display = 'none';
+      return;
+    }
+
+    card.style.display = '';
+    document.getElementById('gc-plate-info-title').textContent =
+      `Plate ${gcodePlate.index} of ${gcodeArchive.plates.length}`;
+    document.getElementById('gc-plate-info-objects').textContent =
+      gcodePlate.objects.length > 0 ? gcodePlate.objects.join(', ') : 'No object list in slice info';
+    document.getElementById('gc-btn-change-plate').style.display = gcodeArchive.plates.length > 1 ? '' : 'none';
+
+    const list = document.getElementById('gc-plate-filaments');
+    if (gcodePlate.filaments.length === 0) {
+      list.innerHTML = '<div class="text-sm text-muted">No filament data in slice info.</div>';
+      return;
+    }
+    list.innerHTML = gcodePlate.filaments.map(f => `
+      <div class="gc-plate-filament">
+        <span class="color-swatch" style="background:${escapeHtml(f.color)}"></span>
+        <span class="gc-plate-filament-type">T${f.id - 1} &middot; ${escapeHtml(f.type || 'Unknown')}</span>
+        <span class="text-sm text-muted">${f.used_g}g &middot; ${f.used_m}m</span>
+      </div>
+    `).join('');
   }
 
-  function loadGcodeContent(text, filename) {
-    gcodeRawText = text;
+  // parsed — { result, text, size } from gcodeParser.parseFile
+  function loadGcodeContent(parsed, filename, archive = null, plate = null) {
+    gcodeRawText = parsed.text;
     gcodeFileName = filename;
-    gcodeAnalysis = window.gcodeParser.parse(text);
+    gcodeFileSize = parsed.size;
+    gcodeArchive = archive;
+    gcodePlate = plate;
+    gcodeAnalysis = parsed.result;
+    if (gcodePlate) mergePlateMetadata(gcodeAnalysis, gcodePlate);
+    layerStartLineCache = null;
+    toolpathLayer = 1;
 
     // Reset modifications
     layerPauses = [];
     injections = [];
+    excludedObjects = new Set();
 
     renderAnalysis();
     updatePostProcessorState();
+    applyDefaultRecipe();
     updateFileBadge();
   }
 
+  // Re-parse with the target printer's motion limits so the simulated time matches that machine
+  async function reanalyzeLoadedText() {
+    const parsed = await parseWithProgress({ text: gcodeRawText }, gcodeFileName);
+    if (!parsed) return;
+    gcodeAnalysis = parsed.result;
+    if (gcodePlate) mergePlateMetadata(gcodeAnalysis, gcodePlate);
+    renderAnalysis();
+  }
+
   function clearLoadedFile() {
     gcodeRawText = null;
     gcodeFileName = null;
+    gcodeFileSize = 0;
+    layerStartLineCache = null;
     gcodeAnalysis = null;
+    gcodeArchive = null;
+    gcodePlate = null;
     layerPauses = [];
     injections = [];
+    excludedObjects = new Set();
 
     document.getElementById('gc-analysis-results').style.display = 'none';
     document.getElementById('gc-drop-zone').style.display = '';
@@ -227,7 +494,7 @@
     const badgeName = document.getElementById('gc-file-badge-name');
     if (gcodeFileName) {
       badge.style.display = '';
-      badgeName.textContent = gcodeFileName;
+      badgeName.textContent = gcodePlate ? `${gcodeFileName} (Plate ${gcodePlate.index})` : gcodeFileName;
     } else {
       badge.style.display = 'none';
     }
@@ -249,14 +516,20 @@
 
     // File summary
     document.getElementById('gc-summary-filename').textContent = gcodeFileName;
-    const lineCount = gcodeRawText.split('\n').length;
-    const fileSize = (new Blob([gcodeRawText]).size / 1024).toFixed(0);
-    document.getElementById('gc-summary-meta').textContent =
-      `${lineCount.toLocaleString()} lines | ${fileSize} KB | ${a.layerCount} layers`;
+    const fileSize = (gcodeFileSize / 1024).toFixed(0);
+    const metaParts = [`${a.lineCount.toLocaleString()} lines`, `${fileSize} KB`, `${a.layerCount} layers`];
+    if (a.slicer.id !== 'unknown') metaParts.push(`${a.slicer.name} ${a.slicer.version}`.trim());
+    if (a.printerModel) metaParts.push(a.printerModel);
+    if (a.nozzleDiameter > 0) metaParts.push(`${a.nozzleDiameter}mm nozzle`);
+    if (a.toolChanges.count > 0) {
+      metaParts.push(`${a.toolChanges.count} tool changes, ${a.purge.weight_g}g purged${a.purge.primeTower ? ' (with prime tower)' : ''}`);
+    }
+    document.getElementById('gc-summary-meta').textContent = metaParts.join(' | ');
 
     // Stats
     document.getElementById('gc-stat-time').textContent =
       a.estimatedTime_min > 0 ? window.gcodeParser.formatTime(a.estimatedTime_min) : 'N/A';
+    document.getElementById('gc-stat-time-detail').textContent = describeTimeEstimate(a.timeEstimate);
 
     const filamentM = (a.filamentLength_mm / 1000).toFixed(2);
     document.getElementById('gc-stat-filament').textContent =
@@ -277,6 +550,15 @@
     document.getElementById('gc-stat-speed').textContent =
       a.maxSpeed > 0 ? `${a.maxSpeed}` : 'N/A';
 
+    // Volumetric flow against the material / hotend limit
+    const flowStat = document.getElementById('gc-stat-flow');
+    const flowDetail = document.getElementById('gc-stat-flow-detail');
+    flowStat.textContent = a.flow ? `${a.flow.p95} / ${a.flow.peak}` : 'N/A';
+    flowStat.classList.toggle('text-danger', !!(a.flow && a.flow.limit && a.flow.peak > a.flow.limit.value));
+    flowDetail.innerHTML = a.flow && a.flow.limit
+      ? `Flow p95 / Peak (mm&sup3;/s) &middot; ${a.flow.limit.material} limit ${a.flow.limit.value}${a.flow.overLimit_s > 0 ? `, ${formatSeconds(a.flow.overLimit_s)} over` : ''}`
+      : 'Flow p95 / Peak (mm&sup3;/s)';
+
     document.getElementById('gc-stat-retractions').textContent =
       a.retractionCount.toLocaleString();
 
@@ -284,10 +566,146 @@
     document.getElementById('gc-stat-travel').textContent =
       a.travelDistance > 0 ? `${travelM}m` : 'N/A';
 
+    renderPlateInfo();
+    renderFilamentBreakdown(a.filaments);
+    renderLayerStats(a.layers);
+    updatePauseLayerHint();
+    renderToolpathPreview();
+
     // Warnings
     renderWarnings(a.warnings);
   }
 
+  function describeTimeEstimate(est) {
+    if (!est || est.source === 'none') return 'Est. Print Time';
+    const printer = est.printer ? window.printerRegistry.getShortName(est.printer) : 'generic limits';
+    const simulated = window.gcodeParser.formatTime(est.kinematic_min);
+    if (est.source === 'kinematic') return `Simulated for ${printer}`;
+    if (est.difference_pct === null) return 'Slicer estimate';
+    const sign = est.difference_pct > 0 ? '+' : '';
+    return `Slicer | simulated ${simulated} on ${printer} (${sign}${est.difference_pct}%)`;
+  }
+
+  // Per-extruder usage from the slicer footer; 3MF packages show theirs in the plate card instead
+  function renderFilamentBreakdown(filaments) {
+    const card = document.getElementById('gc-filament-breakdown');
+    const hasDetail = filaments.some(f => f.type || f.weight_g > 0);
+    if (gcodePlate || !hasDetail) {
+      card.style.display = 'none';
+      return;
+    }
+
+    card.style.display = '';
+    document.getElementById('gc-filament-breakdown-list').innerHTML = filaments.map(f => `
+      <div class="gc-plate-filament">
+        <span class="color-swatch" style="background:${escapeHtml(f.color || 'transparent')}"></span>
+        <span class="gc-plate-filament-type">T${f.index} &middot; ${escapeHtml(f.type || 'Unknown')}</span>
+        <span class="text-sm text-muted">${f.weight_g}g &middot; ${(f.length_mm / 1000).toFixed(2)}m${f.cost > 0 ? ` &middot; ${f.cost.toFixed(2)}` : ''}</span>
+      </div>
+    `).join('');
+  }
+
+  // ---- Per-Layer Stats ----
+
+  const LAYER_CHART_MAX_BARS = 150;
+
+  function renderLayerStats(layers) {
+    const card = document.getElementById('gc-layer-stats');
+    if (!layers || layers.length === 0) {
+      card.style.display = 'none';
+      return;
+    }
+    card.style.display = '';
+    renderLayerChart(layers);
+    renderLayerTable(layers);
+  }
+
+  // Time per layer; long prints are bucketed so the chart stays readable
+  function renderLayerChart(layers) {
+    const chart = document.getElementById('gc-layer-chart');
+    const bucketSize = Math.ceil(layers.length / LAYER_CHART_MAX_BARS);
+    const buckets = [];
+    for (let i = 0; i < layers.length; i += bucketSize) {
+      const group = layers.slice(i, i + bucketSize);
+      buckets.push({
+        first: group[0],
+        last: group[group.length - 1],
+        time_s: group.reduce((sum, l) => sum + l.time_s, 0) / group.length
+      });
+    }
+
+    const maxTime = Math.max(1, ...buckets.map(b => b.time_s));
+    chart.innerHTML = buckets.map(b => {
+      const range = b.first === b.last ? `Layer ${b.first.index}` : `Layers ${b.first.index}-${b.last.index}`;
+      const title = `${range} | Z ${b.first.z}mm | ${formatSeconds(b.time_s)}${b.first === b.last ? '' : ' avg'}`;
+      const color = b.first.color ? `background:${escapeHtml(b.first.color)};` : '';
+      return `<div class="gc-layer-bar" data-layer="${b.first.index}" title="${title}"
+        style="height:${Math.max(2, Math.round(b.time_s / maxTime * 100))}%;${color}"></div>`;
+    }).join('');
+
+    chart.querySelectorAll('.gc-layer-bar').forEach(bar => {
+      bar.addEventListener('click', () => selectPauseLayer(parseInt(bar.dataset.layer)));
+    });
+  }
+
+  function renderLayerTable(layers) {
+    const tbody = document.getElementById('gc-layer-table-body');
+    const flowLimit = gcodeAnalysis.flow && gcodeAnalysis.flow.limit ? gcodeAnalysis.flow.limit.value : 0;
+    tbody.innerHTML = layers.map(l => {
+      const topFeatures = Object.entries(l.features)
+        .sort((a, b) => b[1] - a[1])
+        .slice(0, 2)
+        .map(([name, mm]) => `${escapeHtml(name)} ${Math.round(mm / (l.extrusion_mm || 1) * 100)}%`)
+        .join(', ');
+      const swatch = l.color ? `<span class="color-swatch" style="width:12px;height:12px;background:${escapeHtml(l.color)}"></span> ` : '';
+      return `<tr data-layer="${l.index}">
+        <td>${l.index}</td>
+        <td>${l.z.toFixed(2)}</td>
+        <td>${l.height.toFixed(2)}</td>
+        <td>${formatSeconds(l.time_s)}</td>
+        <td>${l.extrusion_mm.toFixed(1)}</td>
+        <td>${(l.printDistance_mm / 1000).toFixed(2)} / ${(l.travelDistance_mm / 1000).toFixed(2)}</td>
+        <td${flowLimit && l.flow.peak > flowLimit ? ' class="text-danger"' : ''}>${l.flow.p95} / ${l.flow.peak}</td>
+        <td>${l.retractions}</td>
+        <td>${swatch}T${l.tool}${l.toolChanges > 0 ? ` <span class="text-muted">+${l.toolChanges} chg</span>` : ''}</td>
+        <td>${l.fan_pct}%</td>
+        <td>${l.nozzleTemp} / ${l.bedTemp}</td>
+        <td class="text-muted">${topFeatures || '--'}</td>
+      </tr>`;
+    }).join('');
+
+    tbody.querySelectorAll('tr').forEach(row => {
+      row.addEventListener('click', () => selectPauseLayer(parseInt(row.dataset.layer)));
+    });
+  }
+
+  // Picking a layer in the chart or table pre-fills the layer pause form
+  function selectPauseLayer(layerIndex) {
+    document.getElementById('gc-pause-layer').value = layerIndex;
+    updatePauseLayerHint();
+    document.querySelectorAll('#gc-layer-table-body tr').forEach(row => {
+      row.classList.toggle('active', parseInt(row.dataset.layer) === layerIndex);
+    });
+  }
+
+  function updatePauseLayerHint() {
+    const hint = document.getElementById('gc-pause-layer-hint');
+    const layerIndex = parseInt(document.getElementById('gc-pause-layer').value);
+    const layers = gcodeAnalysis ? gcodeAnalysis.layers : [];
+    const layer = layers[layerIndex - 1];
+    if (!layer) {
+      hint.textContent = layers.length > 0 ? `${layers.length} layers in this file` : '';
+      return;
+    }
+    const elapsed = layers.slice(0, layerIndex - 1).reduce((sum, l) => sum + l.time_s, 0);
+    hint.textContent = `Z ${layer.z.toFixed(2)}mm | starts ~${formatSeconds(elapsed)} into the print | T${layer.tool}`;
+  }
+
+  function formatSeconds(seconds) {
+    if (seconds < 60) return `${Math.round(seconds)}s`;
+    return window.gcodeParser.formatTime(Math.round(seconds / 60));
+  }
+
   function renderWarnings(warnings) {
     const area = document.getElementById('gc-warnings-area');
     const list = document.getElementById('gc-warnings-list');
@@ -312,12 +730,396 @@
       card.innerHTML = `
         <span class="gc-warning-icon">${icons[w.level] || icons.info}</span>
         <span class="gc-warning-text">${escapeHtml(w.message)}</span>
+        ${w.line ? `<span class="gc-warning-line">Line ${w.line.toLocaleString()}</span>` : ''}
       `;
       list.appendChild(card);
     });
   }
 
 
+  // ---- Toolpath Preview ----
+
+  // Colours per canonical feature name (see GCODE_FEATURE_TYPES in the parser)
+  const FEATURE_COLORS = {
+    'Outer wall': '#ff8a3d',
+    'Inner wall': '#ffd23f',
+    'Overhang wall': '#3d5afe',
+    'Bridge': '#8e7cc3',
+    'Gap fill': '#f0f0f0',
+    'Top surface': '#e74c6f',
+    'Bottom surface': '#b5651d',
+    'Solid infill': '#b93d8a',
+    'Sparse infill': '#a33b3b',
+    'Support interface': '#7fd67f',
+    'Support': '#4ecdc4',
+    'Skirt/Brim': '#4facfe',
+    'Prime tower': '#9aa0b4',
+    'Ironing': '#ff9ecf',
+    'Other': '#6b7194'
+  };
+  const TOOL_COLORS = ['#4facfe', '#e74c6f', '#4ecdc4', '#f9a825', '#8e7cc3', '#ff8a3d', '#7fd67f', '#ff9ecf'];
+  const GRADIENT_STEPS = 10;
+
+  function initToolpathPreview() {
+    const slider = document.getElementById('gc-toolpath-layer');
+    slider.addEventListener('input', () => showToolpathLayer(parseInt(slider.value)));
+    document.getElementById('gc-toolpath-prev').addEventListener('click', () => showToolpathLayer(toolpathLayer - 1));
+    document.getElementById('gc-toolpath-next').addEventListener('click', () => showToolpathLayer(toolpathLayer + 1));
+    document.getElementById('gc-toolpath-color').addEventListener('change', drawToolpath);
+    document.getElementById('gc-toolpath-travel').addEventListener('change', drawToolpath);
+    // Redraws on window resizes and when the analysis tab becomes visible again
+    new ResizeObserver(drawToolpath).observe(document.getElementById('gc-toolpath-canvas'));
+  }
+
+  function renderToolpathPreview() {
+    const card = document.getElementById('gc-toolpath-card');
+    const a = gcodeAnalysis;
+    if (!a.toolpath || a.layers.length === 0) {
+      card.style.display = 'none';
+      return;
+    }
+
+    // Speed gradient spans the file's extrusion speeds so colours compare across layers
+    const tp = a.toolpath;
+    toolpathSpeedMax = 0;
+    for (let i = 0; i < tp.count; i++) {
+      if (tp.extrude[i] && tp.speed[i] > toolpathSpeedMax) toolpathSpeedMax = tp.speed[i];
+    }
+
+    card.style.display = '';
+    const slider = document.getElementById('gc-toolpath-layer');
+    slider.max = a.layers.length;
+    showToolpathLayer(Math.min(toolpathLayer, a.layers.length));
+  }
+
+  function showToolpathLayer(layerIndex) {
+    if (!gcodeAnalysis || !gcodeAnalysis.toolpath) return;
+    toolpathLayer = Math.max(1, Math.min(layerIndex, gcodeAnalysis.layers.length));
+    document.getElementById('gc-toolpath-layer').value = toolpathLayer;
+    drawToolpath();
+  }
+
+  // Range of toolpath points drawn for a layer: [start, end)
+  function layerPathRange(layerIndex) {
+    const a = gcodeAnalysis;
+    const start = a.layers[layerIndex - 1].pathStart;
+    const end = layerIndex < a.layers.length ? a.layers[layerIndex].pathStart : a.toolpath.count;
+    return { start, end };
+  }
+
+  function drawToolpath() {
+    const card = document.getElementById('gc-toolpath-card');
+    if (!gcodeAnalysis || !gcodeAnalysis.toolpath || card.style.display === 'none') return;
+
+    const a = gcodeAnalysis;
+    const tp = a.toolpath;
+    const layer = a.layers[toolpathLayer - 1];
+    const mode = document.getElementById('gc-toolpath-color').value;
+    const showTravel = document.getElementById('gc-toolpath-travel').checked;
+    const allMarkers = toolpathMarkers();
+    const markers = allMarkers.filter(m => m.layer === toolpathLayer);
+
+    const canvas = document.getElementById('gc-toolpath-canvas');
+    const ratio = window.devicePixelRatio || 1;
+    const width = canvas.clientWidth;
+    const height = canvas.clientHeight;
+    if (width === 0 || height === 0) return;
+    canvas.width = width * ratio;
+    canvas.height = height * ratio;
+    const ctx = canvas.getContext('2d');
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+
+    // Fit the bed (and anything printed off it, like purge lines) into the canvas
+    const printer = selectedPrinter();
+    const bed = printer ? printer.buildVolume : { x: a.maxX, y: a.maxY };
+    const minX = Math.min(0, a.minX);
+    const minY = Math.min(0, a.minY);
+    const maxX = Math.max(bed.x, a.maxX);
+    const maxY = Math.max(bed.y, a.maxY);
+    const pad = 12;
+    const scale = Math.min((width - pad * 2) / (maxX - minX || 1), (height - pad * 2) / (maxY - minY || 1));
+    const offsetX = (width - (maxX - minX) * scale) / 2;
+    const offsetY = (height - (maxY - minY) * scale) / 2;
+    const toX = (x) => offsetX + (x - minX) * scale;
+    const toY = (y) => height - offsetY - (y - minY) * scale;
+
+    const styles = getComputedStyle(document.documentElement);
+    ctx.fillStyle = styles.getPropertyValue('--bg-input').trim();
+    ctx.fillRect(toX(0), toY(bed.y), bed.x * scale, bed.y * scale);
+    ctx.strokeStyle = styles.getPropertyValue('--border-light').trim();
+    ctx.lineWidth = 1;
+    ctx.strokeRect(toX(0), toY(bed.y), bed.x * scale, bed.y * scale);
+
+    const lineWidth = Math.max(1, (a.nozzleDiameter || 0.4) * scale);
+    ctx.lineCap = 'round';
+    ctx.lineJoin = 'round';
+
+    // Previous layer, faint, for context
+    if (toolpathLayer > 1) {
+      const prev = layerPathRange(toolpathLayer - 1);
+      const ghost = new Path2D();
+      for (let i = Math.max(prev.start, 1); i < prev.end; i++) {
+        if (!tp.extrude[i]) continue;
+        ghost.moveTo(toX(tp.x[i - 1]), toY(tp.y[i - 1]));
+        ghost.lineTo(toX(tp.x[i]), toY(tp.y[i]));
+      }
+      ctx.globalAlpha = 0.15;
+      ctx.strokeStyle = styles.getPropertyValue('--text-muted').trim();
+      ctx.lineWidth = lineWidth;
+      ctx.stroke(ghost);
+      ctx.globalAlpha = 1;
+    }
+
+    // One path per colour keeps big layers to a handful of stroke calls
+    const { start, end } = layerPathRange(toolpathLayer);
+    const colorOf = toolpathColorer(mode);
+    const paths = new Map();
+    const travel = new Path2D();
+    for (let i = Math.max(start, 1); i < end; i++) {
+      let path;
+      if (tp.extrude[i]) {
+        const color = colorOf(i);
+        path = paths.get(color);
+        if (!path) {
+          path = new Path2D();
+          paths.set(color, path);
+        }
+      } else if (showTravel) {
+        path = travel;
+      } else {
+        continue;
+      }
+      path.moveTo(toX(tp.x[i - 1]), toY(tp.y[i - 1]));
+      path.lineTo(toX(tp.x[i]), toY(tp.y[i]));
+    }
+
+    ctx.lineWidth = lineWidth;
+    paths.forEach((path, color) => {
+      ctx.strokeStyle = color;
+      ctx.stroke(path);
+    });
+
+    if (showTravel) {
+      ctx.lineWidth = 1;
+      ctx.strokeStyle = styles.getPropertyValue('--text-secondary').trim();
+      ctx.setLineDash([3, 3]);
+      ctx.stroke(travel);
+      ctx.setLineDash([]);
+    }
+
+    // Pause / injection markers where the nozzle will be when the inserted G-code runs
+    markers.forEach(m => {
+      ctx.beginPath();
+      ctx.arc(toX(m.x), toY(m.y), 7, 0, Math.PI * 2);
+      ctx.fillStyle = m.kind === 'pause' ? styles.getPropertyValue('--warning').trim() : styles.getPropertyValue('--accent').trim();
+      ctx.fill();
+      ctx.lineWidth = 2;
+      ctx.strokeStyle = styles.getPropertyValue('--bg-primary').trim();
+      ctx.stroke();
+    });
+
+    document.getElementById('gc-toolpath-layer-label').textContent =
+      `Layer ${toolpathLayer} / ${a.layers.length} | Z ${layer.z.toFixed(2)}mm`;
+    document.getElementById('gc-toolpath-subtitle').textContent =
+      `${(end - start).toLocaleString()} moves on this layer${markers.length > 0 ? ` | ${markers.length} insertion(s) before it` : ''}`;
+    renderToolpathLegend(mode, start, end);
+    renderToolpathMarkerList(allMarkers);
+  }
+
+  // Returns point index => colour for the chosen colouring
+  function toolpathColorer(mode) {
+    const tp = gcodeAnalysis.toolpath;
+    if (mode === 'speed') {
+      return (i) => gradientColor(toolpathSpeedMax > 0 ? tp.speed[i] / toolpathSpeedMax : 0);
+    }
+    if (mode === 'fan') {
+      return (i) => gradientColor(tp.fan[i] / 100);
+    }
+    if (mode === 'tool') {
+      return (i) => toolColor(tp.tool[i]);
+    }
+    return (i) => FEATURE_COLORS[tp.features[tp.feature[i]]] || FEATURE_COLORS.Other;
+  }
+
+  function toolColor(tool) {
+    const filament = gcodeAnalysis.filaments.find(f => f.index === tool);
+    return (filament && filament.color) || TOOL_COLORS[tool % TOOL_COLORS.length];
+  }
+
+  // Blue (low) to red (high), snapped to GRADIENT_STEPS bands
+  function gradientColor(fraction) {
+    const step = Math.min(GRADIENT_STEPS - 1, Math.floor(Math.max(0, fraction) * GRADIENT_STEPS));
+    const hue = 240 - (step / (GRADIENT_STEPS - 1)) * 240;
+    return `hsl(${hue}, 85%, 55%)`;
+  }
+
+  function renderToolpathLegend(mode, start, end) {
+    const legend = document.getElementById('gc-toolpath-legend');
+    const tp = gcodeAnalysis.toolpath;
+    const item = (color, label) => `
+      <span class="gc-toolpath-legend-item">
+        <span class="gc-toolpath-legend-swatch" style="background:${escapeHtml(color)}"></span>${escapeHtml(label)}
+      </span>`;
+
+    if (mode === 'speed' || mode === 'fan') {
+      const max = mode === 'speed' ? toolpathSpeedMax : 100;
+      const unit = mode === 'speed' ? ' mm/s' : '%';
+      legend.innerHTML = [0, 0.5, 1].map(f => item(gradientColor(f), `${Math.round(f * max)}${unit}`)).join('');
+      return;
+    }
+
+    // Only what appears on this layer
+    const seen = new Set();
+    for (let i = start; i < end; i++) {
+      if (tp.extrude[i]) seen.add(mode === 'tool' ? tp.tool[i] : tp.feature[i]);
+    }
+    legend.innerHTML = [...seen].sort((x, y) => x - y).map(v => mode === 'tool'
+      ? item(toolColor(v), `T${v}`)
+      : item(FEATURE_COLORS[tp.features[v]] || FEATURE_COLORS.Other, tp.features[v])
+    ).join('');
+  }
+
+  // Where each pause / injection will be inserted: the parser layer it runs before and the nozzle position then
+  function toolpathMarkers() {
+    if (layerPauses.length === 0 && injections.length === 0) return [];
+    const a = gcodeAnalysis;
+    const tp = a.toolpath;
+    if (!layerStartLineCache) layerStartLineCache = findLayerStartLines(gcodeRawText.split('\n'));
+
+    const requests = [
+      ...layerPauses.map(p => ({ kind: 'pause', label: `Pause @ layer ${p.layer}`, insertIdx: layerStartLineCache[p.layer] })),
+      ...injections.map(inj => ({
+        kind: 'inject',
+        label: inj.mode === 'layer' ? `Injection @ layer ${inj.number}` : `Injection @ line ${inj.number}`,
+        insertIdx: inj.mode === 'layer' ? layerStartLineCache[inj.number] : inj.number - 1
+      }))
+    ];
+
+    return requests.filter(r => r.insertIdx !== undefined && r.insertIdx >= 0).map(r => {
+      // Last move from a line before the insertion (lines are 1-based, insertIdx 0-based)
+      const before = lastPointBeforeLine(r.insertIdx + 1);
+      let next = before + 1;
+      while (next < tp.count && !tp.extrude[next]) next++;
+      return {
+        kind: r.kind,
+        label: r.label,
+        layer: layerForPoint(next),
+        x: before >= 0 ? tp.x[before] : 0,
+        y: before >= 0 ? tp.y[before] : 0
+      };
+    });
+  }
+
+  function lastPointBeforeLine(lineNumber) {
+    const lines = gcodeAnalysis.toolpath.line;
+    let lo = 0;
+    let hi = gcodeAnalysis.toolpath.count - 1;
+    let found = -1;
+    while (lo <= hi) {
+      const mid = (lo + hi) >> 1;
+      if (lines[mid] < lineNumber) {
+        found = mid;
+        lo = mid + 1;
+      } else {
+        hi = mid - 1;
+      }
+    }
+    return found;
+  }
+
+  function layerForPoint(pointIdx) {
+    const layers = gcodeAnalysis.layers;
+    let layerIndex = 1;
+    for (let i = 0; i < layers.length && layers[i].pathStart <= pointIdx; i++) layerIndex = i + 1;
+    return layerIndex;
+  }
+
+  function renderToolpathMarkerList(markers) {
+    const container = document.getElementById('gc-toolpath-markers');
+    container.innerHTML = markers.map((m, idx) => `
+      <span class="tag ${m.kind === 'pause' ? 'tag-warning' : ''} gc-toolpath-marker${m.layer === toolpathLayer ? ' active' : ''}" data-marker-idx="${idx}">
+        ${m.kind === 'pause' ? '&#x23F8;' : '&#x2795;'} ${escapeHtml(m.label)} &rarr; before layer ${m.layer} (Z ${gcodeAnalysis.layers[m.layer - 1].z.toFixed(2)})
+      </span>
+    `).join('');
+    container.querySelectorAll('.gc-toolpath-marker').forEach(tag => {
+      tag.addEventListener('click', () => showToolpathLayer(markers[parseInt(tag.dataset.markerIdx)].layer));
+    });
+  }
+
+
+  // ---- Lint Rules ----
+
+  const LINT_SEVERITY_TAGS = { error: 'tag-danger', warning: 'tag-warning', info: '' };
+
+  function initLintRules() {
+    loadLintConfig();
+    document.getElementById('gc-btn-lint-rules').addEventListener('click', () => {
+      renderLintRules(window.gcodeLint.resolveConfig(lintConfig || {}));
+      openModal('gc-lint-modal');
+    });
+    document.getElementById('gc-lint-modal-close').addEventListener('click', () => closeModal('gc-lint-modal'));
+    document.getElementById('gc-btn-lint-defaults').addEventListener('click', () => {
+      renderLintRules(window.gcodeLint.resolveConfig({}));
+    });
+    document.getElementById('gc-btn-lint-save').addEventListener('click', saveLintRules);
+  }
+
+  async function loadLintConfig() {
+    try {
+      lintConfig = await window.gcodeLint.loadConfig();
+    } catch (err) {
+      console.error('Failed to load lint rules:', err);
+    }
+  }
+
+  function renderLintRules(config) {
+    document.getElementById('gc-lint-list').innerHTML = window.gcodeLint.rules.map(rule => `
+      <div class="gc-lint-rule" data-rule="${escapeHtml(rule.id)}">
+        <div class="gc-lint-rule-header">
+          <label class="form-checkbox">
+            <input type="checkbox" class="gc-lint-enabled" ${config[rule.id].enabled ? 'checked' : ''}>
+            <span>${escapeHtml(rule.title)}</span>
+          </label>
+          <span class="tag ${LINT_SEVERITY_TAGS[rule.severity]}">${escapeHtml(rule.severity)}</span>
+        </div>
+        <div class="text-sm text-muted gc-lint-rule-desc">${escapeHtml(rule.description)}</div>
+        ${Object.keys(rule.params).length > 0 ? `
+          <div class="gc-lint-params">
+            ${Object.entries(rule.params).map(([name, def]) => `
+              <div class="form-group">
+                <label class="form-label">${escapeHtml(def.label)}${def.unit ? ` (${escapeHtml(def.unit)})` : ''}</label>
+                <input type="number" class="form-input gc-lint-param" data-param="${escapeHtml(name)}" value="${config[rule.id].params[name]}" step="any">
+              </div>
+            `).join('')}
+          </div>
+        ` : ''}
+      </div>
+    `).join('');
+  }
+
+  async function saveLintRules() {
+    const config = {};
+    document.querySelectorAll('#gc-lint-list .gc-lint-rule').forEach(row => {
+      const params = {};
+      row.querySelectorAll('.gc-lint-param').forEach(input => {
+        params[input.dataset.param] = parseFloat(input.value);
+      });
+      config[row.dataset.rule] = { enabled: row.querySelector('.gc-lint-enabled').checked, params };
+    });
+
+    try {
+      lintConfig = await window.gcodeLint.saveConfig(config);
+    } catch (err) {
+      console.error('Failed to save lint rules:', err);
+      alert('Could not save lint rules.');
+      return;
+    }
+    closeModal('gc-lint-modal');
+    if (gcodeRawText) reanalyzeLoadedText();
+  }
+
+
   // ---- Post-Processor ----
 
   function initPostProcessor() {
@@ -325,6 +1127,7 @@
     setupEjectToggle('gc-eject-cool', 'gc-eject-cool-opts');
     setupEjectToggle('gc-eject-shake', 'gc-eject-shake-opts');
     setupEjectToggle('gc-eject-push', 'gc-eject-push-opts');
+    setupEjectToggle('gc-timelapse', 'gc-timelapse-opts');
 
     // Pause command custom toggle
     document.getElementById('gc-pause-command').addEventListener('change', (e) => {
@@ -332,8 +1135,15 @@
         e.target.value === 'custom' ? '' : 'none';
     });
 
+    // Re-simulate print time with the new printer's limits
+    document.getElementById('gc-pp-printer').addEventListener('change', () => {
+      if (!gcodeRawText) return;
+      reanalyzeLoadedText();
+    });
+
     // Add pause button
     document.getElementById('gc-btn-add-pause').addEventListener('click', addLayerPause);
+    document.getElementById('gc-pause-layer').addEventListener('input', updatePauseLayerHint);
 
     // Speed slider
     const speedSlider = document.getElementById('gc-speed-slider');
@@ -352,6 +1162,23 @@
     // Add injection button
     document.getElementById('gc-btn-add-injection').addEventListener('click', addInjection);
 
+    // Keep the pipeline summary in step with the step settings
+    ['gc-speed-slider', 'gc-fan-slider', 'gc-temp-nozzle-offset', 'gc-temp-bed-offset', 'gc-arc-mode',
+      'gc-eject-cool', 'gc-eject-shake', 'gc-eject-push'].forEach(id => {
+      document.getElementById(id).addEventListener('change', updateModSummary);
+    });
+
+    // Modification pipeline
+    pipelineSteps = PIPELINE_STEPS.map(step => ({ id: step.id, enabled: true }));
+    initTimelapse();
+    initResume();
+    document.getElementById('gc-btn-preview-diff').addEventListener('click', previewPipeline);
+    document.getElementById('gc-diff-modal-close').addEventListener('click', () => closeModal('gc-diff-modal'));
+    document.getElementById('gc-btn-diff-download').addEventListener('click', () => {
+      closeModal('gc-diff-modal');
+      applyAndDownload();
+    });
+
     // Apply & Download
     document.getElementById('gc-btn-apply-download').addEventListener('click', applyAndDownload);
   }
@@ -378,7 +1205,9 @@
     const hasFile = !!gcodeRawText;
     document.getElementById('gc-pp-no-file').style.display = hasFile ? 'none' : '';
     document.getElementById('gc-pp-controls').style.display = hasFile ? '' : 'none';
-    updateModSummary();
+    renderObjectList();
+    resetResumeForm();
+    updateTimelapseImpact();
   }
 
   function addLayerPause() {
@@ -404,6 +1233,7 @@
     // Reset inputs
     layerInput.value = '';
     customGcode.value = '';
+    updatePauseLayerHint();
   }
 
   function renderPauseList() {
@@ -432,6 +1262,8 @@
         updateModSummary();
       });
     });
+
+    drawToolpath();
   }
 
   function addInjection() {
@@ -484,30 +1316,821 @@
         updateModSummary();
       });
     });
+
+    drawToolpath();
+  }
+
+  // ---- Recipes ----
+
+  async function initRecipes() {
+    await loadRecipes();
+    renderRecipeSelect();
+
+    document.getElementById('gc-btn-recipe-load').addEventListener('click', () => {
+      const recipe = recipes.find(r => r.id === document.getElementById('gc-recipe-select').value);
+      if (recipe) applyRecipe(recipe);
+    });
+    document.getElementById('gc-btn-recipe-save').addEventListener('click', () => {
+      const recipe = recipes.find(r => r.id === document.getElementById('gc-recipe-select').value);
+      openRecipeModal(recipe || null);
+    });
+    document.getElementById('gc-btn-recipe-export').addEventListener('click', exportRecipes);
+    document.getElementById('gc-btn-recipe-import').addEventListener('click', importRecipes);
+    document.getElementById('gc-pp-printer').addEventListener('change', renderRecipeSelect);
+
+    document.getElementById('gc-recipe-modal-close').addEventListener('click', () => closeModal('gc-recipe-modal'));
+    document.getElementById('gc-recipe-modal-cancel').addEventListener('click', () => closeModal('gc-recipe-modal'));
+    document.getElementById('gc-recipe-modal-save').addEventListener('click', saveRecipe);
+    document.getElementById('gc-recipe-modal-delete').addEventListener('click', deleteRecipe);
+
+    const materialSelect = document.getElementById('gc-recipe-form-material');
+    Object.keys(window.materialDB).forEach(key => {
+      const opt = document.createElement('option');
+      opt.value = key;
+      opt.textContent = window.materialDB[key].name;
+      materialSelect.appendChild(opt);
+    });
+  }
+
+  async function loadRecipes() {
+    try {
+      recipes = (await window.storage.load(RECIPES_KEY + '.json')) || [];
+    } catch (e) {
+      recipes = [];
+    }
+  }
+
+  async function persistRecipes() {
+    try {
+      await window.storage.save(RECIPES_KEY + '.json', recipes);
+    } catch (e) {
+      console.error('Failed to save recipes:', e);
+    }
+  }
+
+  // Recipes for the target printer first, then generic ones, then the rest
+  function renderRecipeSelect() {
+    const select = document.getElementById('gc-recipe-select');
+    const current = select.value;
+    const printer = document.getElementById('gc-pp-printer').value;
+    const rank = (r) => r.printer === printer ? 0 : r.printer === 'generic' ? 1 : 2;
+    const sorted = [...recipes].sort((a, b) => rank(a) - rank(b) || a.name.localeCompare(b.name));
+
+    select.innerHTML = '<option value="">New recipe...</option>' + sorted.map(r => {
+      const printerLabel = r.printer === 'generic' ? 'Generic' : window.printerRegistry.getShortName(r.printer);
+      const material = r.material ? ` · ${r.material}` : '';
+      const def = r.isDefault ? ' (default)' : '';
+      return `<option value="${escapeHtml(r.id)}">${escapeHtml(r.name)} — ${escapeHtml(printerLabel)}${escapeHtml(material)}${def}</option>`;
+    }).join('');
+    if (recipes.some(r => r.id === current)) select.value = current;
+
+    document.getElementById('gc-btn-recipe-load').disabled = recipes.length === 0;
+  }
+
+  function captureRecipeState() {
+    const fields = {};
+    RECIPE_FIELDS.forEach(id => {
+      const el = document.getElementById(id);
+      fields[id] = el.type === 'checkbox' ? el.checked : el.value;
+    });
+    return {
+      fields,
+      pauses: layerPauses.map(p => ({ ...p })),
+      injections: injections.map(i => ({ ...i })),
+      pipeline: pipelineSteps.map(s => ({ ...s }))
+    };
+  }
+
+  function applyRecipe(recipe) {
+    const state = recipe.state || {};
+
+    Object.entries(state.fields || {}).forEach(([id, value]) => {
+      if (!RECIPE_FIELDS.includes(id)) return;
+      const el = document.getElementById(id);
+      if (el.type === 'checkbox') el.checked = !!value;
+      else el.value = value;
+      // Let the sliders, toggles and pickers refresh their own labels
+      el.dispatchEvent(new Event('input'));
+      el.dispatchEvent(new Event('change'));
+    });
+
+    layerPauses = (state.pauses || []).map(p => ({ ...p }));
+    injections = (state.injections || []).map(i => ({ ...i }));
+
+    // Steps added since the recipe was saved go back in at their default position
+    if (Array.isArray(state.pipeline)) {
+      const known = state.pipeline.filter(s => pipelineStep(s.id));
+      pipelineSteps = known.map(s => ({ id: s.id, enabled: s.enabled !== false }));
+      PIPELINE_STEPS.forEach((step, idx) => {
+        if (known.some(s => s.id === step.id)) return;
+        pipelineSteps.splice(Math.min(idx, pipelineSteps.length), 0, { id: step.id, enabled: true });
+      });
+    }
+
+    if (recipe.id) document.getElementById('gc-recipe-select').value = recipe.id;
+    renderPauseList();
+    renderInjectionList();
+    updateModSummary();
+  }
+
+  // On file load: the target printer's default recipe, preferring one for the file's material
+  function applyDefaultRecipe() {
+    if (!gcodeAnalysis) return;
+    const printer = document.getElementById('gc-pp-printer').value;
+    const material = (gcodeAnalysis.filamentType || '').toUpperCase();
+    const defaults = recipes.filter(r => r.isDefault && r.printer === printer);
+    const recipe = defaults.find(r => r.material && r.material.toUpperCase() === material) || defaults[0];
+    if (recipe) applyRecipe(recipe);
+  }
+
+  function openRecipeModal(recipe) {
+    const isEdit = !!recipe;
+    document.getElementById('gc-recipe-modal-title').textContent = isEdit ? 'Update Recipe' : 'Save Recipe';
+    document.getElementById('gc-recipe-modal-delete').style.display = isEdit ? '' : 'none';
+
+    document.getElementById('gc-recipe-form-id').value = isEdit ? recipe.id : '';
+    document.getElementById('gc-recipe-form-name').value = isEdit ? recipe.name : '';
+    document.getElementById('gc-recipe-form-printer').value = isEdit ? recipe.printer : document.getElementById('gc-pp-printer').value;
+    document.getElementById('gc-recipe-form-material').value = isEdit
+      ? (recipe.material || '')
+      : (window.materialDB[gcodeAnalysis?.filamentType] ? gcodeAnalysis.filamentType : '');
+    document.getElementById('gc-recipe-form-default').checked = isEdit && !!recipe.isDefault;
+
+    openModal('gc-recipe-modal');
+  }
+
+  async function saveRecipe() {
+    const id = document.getElementById('gc-recipe-form-id').value;
+    const name = document.getElementById('gc-recipe-form-name').value.trim();
+    const printer = document.getElementById('gc-recipe-form-printer').value;
+    const material = document.getElementById('gc-recipe-form-material').value;
+    const isDefault = document.getElementById('gc-recipe-form-default').checked;
+
+    if (!name || !printer) return;
+
+    let recipe = id ? recipes.find(r => r.id === id) : null;
+    if (recipe) {
+      Object.assign(recipe, { name, printer, material, isDefault, state: captureRecipeState() });
+    } else {
+      recipe = { id: generateId(), name, printer, material, isDefault, state: captureRecipeState() };
+      recipes.push(recipe);
+    }
+
+    // One default per printer and material
+    if (isDefault) {
+      recipes.forEach(r => {
+        if (r !== recipe && r.printer === printer && (r.material || '') === material) r.isDefault = false;
+      });
+    }
+
+    await persistRecipes();
+    renderRecipeSelect();
+    renderBatchRecipeSelect();
+    document.getElementById('gc-recipe-select').value = recipe.id;
+    closeModal('gc-recipe-modal');
+  }
+
+  async function deleteRecipe() {
+    const id = document.getElementById('gc-recipe-form-id').value;
+    if (!id) return;
+
+    recipes = recipes.filter(r => r.id !== id);
+    await persistRecipes();
+    renderRecipeSelect();
+    renderBatchRecipeSelect();
+    closeModal('gc-recipe-modal');
+  }
+
+  async function exportRecipes() {
+    if (recipes.length === 0) return;
+    try {
+      const savePath = await window.api.saveFile({
+        defaultPath: RECIPES_KEY + '.json',
+        filters: [{ name: 'JSON', extensions: ['json'] }]
+      });
+      if (savePath) {
+        await window.api.writeFile(savePath, JSON.stringify({ type: RECIPES_KEY, version: 1, recipes }, null, 2));
+      }
+    } catch (err) {
+      console.error('Failed to export recipes:', err);
+    }
+  }
+
+  // Accepts an export file or a bare recipe array. Imported recipes get fresh ids and never
+  // displace an existing default.
+  async function importRecipes() {
+    const filePaths = await window.api.openFile({
+      filters: [{ name: 'JSON', extensions: ['json'] }]
+    });
+    if (!filePaths || filePaths.length === 0) return;
+
+    try {
+      const data = JSON.parse(await window.api.readFile(filePaths[0]));
+      const list = Array.isArray(data) ? data : data && data.recipes;
+      if (!Array.isArray(list)) throw new Error('No recipes found in file');
+
+      let added = 0;
+      list.forEach(r => {
+        if (!r || typeof r.name !== 'string' || !r.state || typeof r.state !== 'object') return;
+        const printer = r.printer || 'generic';
+        const material = r.material || '';
+        const hasDefault = recipes.some(x => x.isDefault && x.printer === printer && (x.material || '') === material);
+        recipes.push({
+          id: generateId(),
+          name: r.name,
+          printer,
+          material,
+          isDefault: !!r.isDefault && !hasDefault,
+          state: r.state
+        });
+        added++;
+      });
+
+      await persistRecipes();
+      renderRecipeSelect();
+      renderBatchRecipeSelect();
+      alert(`Imported ${added} recipe(s).`);
+    } catch (err) {
+      console.error('Failed to import recipes:', err);
+      alert('Could not import recipes: ' + err.message);
+    }
+  }
+
+
+  // ---- Batch Processing ----
+
+  function initBatch() {
+    window.printerRegistry.populateSelect(document.getElementById('gc-batch-printer'));
+    renderBatchRecipeSelect();
+    renderBatchSources();
+
+    document.getElementById('gc-btn-batch-folder').addEventListener('click', chooseBatchFolder);
+    document.getElementById('gc-btn-batch-files').addEventListener('click', chooseBatchFiles);
+    document.getElementById('gc-btn-batch-output').addEventListener('click', chooseBatchOutput);
+    document.getElementById('gc-btn-batch-run').addEventListener('click', runBatch);
+    document.getElementById('gc-btn-batch-cancel').addEventListener('click', () => {
+      if (!batchJob) return;
+      batchJob.cancelled = true;
+      if (batchJob.parse) batchJob.parse.cancel();
+    });
+
+    // A recipe brings its printer along
+    document.getElementById('gc-batch-recipe').addEventListener('change', (e) => {
+      const recipe = recipes.find(r => r.id === e.target.value);
+      const printerSelect = document.getElementById('gc-batch-printer');
+      if (recipe && [...printerSelect.options].some(o => o.value === recipe.printer)) {
+        printerSelect.value = recipe.printer;
+      }
+    });
+
+    window.addEventListener('printers:changed', () => {
+      window.printerRegistry.populateSelect(document.getElementById('gc-batch-printer'));
+    });
+  }
+
+  function renderBatchRecipeSelect() {
+    const select = document.getElementById('gc-batch-recipe');
+    const current = select.value;
+    select.innerHTML = '<option value="">Current post-processor settings</option>' + recipes.map(r =>
+      `<option value="${escapeHtml(r.id)}">${escapeHtml(r.name)}</option>`
+    ).join('');
+    if (recipes.some(r => r.id === current)) select.value = current;
+  }
+
+  async function chooseBatchFolder() {
+    const dirs = await window.api.openFile({ properties: ['openDirectory'] });
+    if (!dirs || dirs.length === 0) return;
+
+    const files = await window.api.listFiles(dirs[0], BATCH_EXTENSIONS);
+    if (!files) {
+      alert('Could not read the selected folder.');
+      return;
+    }
+    // The output folder is picked separately: writes are only allowed into a folder chosen
+    // in a dialog, and nothing creates a subfolder of this one
+    batchFiles = files;
+    renderBatchSources();
+  }
+
+  async function chooseBatchFiles() {
+    const filePaths = await window.api.openFile({
+      properties: ['openFile', 'multiSelections'],
+      filters: [{ name: 'G-code Files', extensions: BATCH_EXTENSIONS }]
+    });
+    if (!filePaths || filePaths.length === 0) return;
+
+    batchFiles = await Promise.all(filePaths.map(async (filePath) => ({
+      path: filePath,
+      name: filePath.split(/[/\\]/).pop(),
+      size: await window.api.getFileSize(filePath)
+    })));
+    renderBatchSources();
+  }
+
+  async function chooseBatchOutput() {
+    const dirs = await window.api.openFile({ properties: ['openDirectory', 'createDirectory'] });
+    if (!dirs || dirs.length === 0) return;
+    batchOutputDir = dirs[0];
+    renderBatchSources();
+  }
+
+  function renderBatchSources() {
+    const totalMB = batchFiles.reduce((sum, f) => sum + (f.size || 0), 0) / (1024 * 1024);
+    document.getElementById('gc-batch-sources').textContent = batchFiles.length > 0
+      ? `${batchFiles.length} file(s), ${totalMB.toFixed(1)} MB`
+      : 'No files selected';
+    document.getElementById('gc-batch-output-dir').textContent = batchOutputDir || 'No output folder selected';
+    document.getElementById('gc-btn-batch-run').disabled = batchFiles.length === 0 || !batchOutputDir || !!batchJob;
+  }
+
+  /**
+   * Output file name from the naming pattern. Tokens: {name} (input name without extension),
+   * {recipe}, {printer}, {date} (YYYY-MM-DD) and {n} (position in the batch). The input's
+   * extension is kept.
+   */
+  function batchOutputName(pattern, file, index, recipe, printer) {
+    const ext = file.name.match(/\.(gcode|gco|g)$/i)?.[0] || '.gcode';
+    const tokens = {
+      name: file.name.slice(0, file.name.length - ext.length),
+      recipe: recipe ? recipe.name : 'custom',
+      printer: printer ? printer.shortName : 'generic',
+      date: new Date().toISOString().slice(0, 10),
+      n: String(index + 1)
+    };
+    const base = (pattern || '{name}_modified').replace(/\{(\w+)\}/g, (match, key) =>
+      tokens[key] !== undefined ? tokens[key] : match
+    );
+    return base.replace(/[\\/:*?"<>|]/g, '_').trim() + ext;
+  }
+
+  function joinPath(dir, name) {
+    const sep = dir.includes('\\') && !dir.includes('/') ? '\\' : '/';
+    return dir.replace(/[/\\]+$/, '') + sep + name;
+  }
+
+  // Parse each file, run the recipe's pipeline over it and write the result. The recipe is
+  // loaded into the post-processor for the run and the previous settings put back afterwards;
+  // objects excluded on the loaded file are set aside, since other files reuse their names.
+  async function runBatch() {
+    if (batchJob || batchFiles.length === 0 || !batchOutputDir) return;
+
+    const recipe = recipes.find(r => r.id === document.getElementById('gc-batch-recipe').value) || null;
+    const printerId = document.getElementById('gc-batch-printer').value;
+    const printer = window.printerRegistry.get(printerId);
+    const pattern = document.getElementById('gc-batch-pattern').value.trim();
+
+    const ppPrinter = document.getElementById('gc-pp-printer');
+    const savedPrinter = ppPrinter.value;
+    const savedState = captureRecipeState();
+    const savedExcluded = excludedObjects;
+    const files = [...batchFiles];
+    const rows = [];
+
+    batchJob = { cancelled: false, parse: null };
+    document.getElementById('gc-btn-batch-cancel').style.display = '';
+    document.getElementById('gc-batch-progress').style.display = '';
+    renderBatchSources();
+
+    try {
+      ppPrinter.value = printerId;
+      excludedObjects = new Set();
+      if (recipe) applyRecipe(recipe);
+
+      for (let i = 0; i < files.length && !batchJob.cancelled; i++) {
+        const file = files[i];
+        const row = { file, result: null, output: null, status: 'ok', message: '' };
+        rows.push(row);
+        updateBatchProgress(i, files.length, file.name, 0);
+
+        try {
+          batchJob.parse = window.gcodeParser.parseFile({ filePath: file.path }, {
+            printer,
+            lint: lintConfig,
+            onProgress: (fraction) => updateBatchProgress(i, files.length, file.name, fraction)
+          });
+          const parsed = await batchJob.parse.promise;
+          if (!parsed) {
+            row.status = 'cancelled';
+            break;
+          }
+          row.result = parsed.result;
+
+          const outName = batchOutputName(pattern, file, i, recipe, printer);
+          const outPath = joinPath(batchOutputDir, outName);
+          if (outPath === file.path) {
+            row.status = 'skipped';
+            row.message = 'Output would overwrite the input';
+            continue;
+          }
+
+          const { lines } = runPipeline(parsed.text, false, parsed.result);
+          if (!(await window.api.writeFile(outPath, lines.join('\n')))) {
+            throw new Error(`Could not write ${outName}`);
+          }
+          row.output = outName;
+        } catch (err) {
+          console.error(`Batch: failed on ${file.name}:`, err);
+          row.status = 'failed';
+          row.message = err.message;
+        }
+        renderBatchResults(rows);
+      }
+    } finally {
+      ppPrinter.value = savedPrinter;
+      excludedObjects = savedExcluded;
+      applyRecipe({ state: savedState });
+      batchJob = null;
+      document.getElementById('gc-btn-batch-cancel').style.display = 'none';
+      document.getElementById('gc-batch-progress').style.display = 'none';
+      renderBatchSources();
+      renderBatchResults(rows);
+    }
+  }
+
+  function updateBatchProgress(index, total, name, fraction) {
+    const pct = Math.round((index + fraction) / total * 100);
+    document.getElementById('gc-batch-progress-label').textContent = `${index + 1} / ${total} — ${name}`;
+    document.getElementById('gc-batch-progress-fill').style.width = `${pct}%`;
+  }
+
+  function renderBatchResults(rows) {
+    const card = document.getElementById('gc-batch-results-card');
+    card.style.display = rows.length > 0 ? '' : 'none';
+
+    const statusTags = { ok: 'tag-success', skipped: 'tag-warning', failed: 'tag-danger', cancelled: '' };
+    document.getElementById('gc-batch-results-tbody').innerHTML = rows.map(row => {
+      const r = row.result;
+      const warnings = r ? r.warnings : [];
+      const errors = warnings.filter(w => w.level === 'error').length;
+      const warnTitle = warnings.map(w => (w.line ? `Line ${w.line}: ` : '') + w.message).join('\n');
+      const status = row.status === 'ok' ? 'Written' : row.status.charAt(0).toUpperCase() + row.status.slice(1);
+      return `
+        <tr>
+          <td>${escapeHtml(row.file.name)}</td>
+          <td>${r ? r.layerCount.toLocaleString() : '--'}</td>
+          <td>${r ? window.gcodeParser.formatTime(r.estimatedTime_min) : '--'}</td>
+          <td>${r ? `${r.filamentWeight_g}g` : '--'}</td>
+          <td title="${escapeHtml(warnTitle)}">
+            ${errors > 0 ? `<span class="tag tag-danger">${errors} error(s)</span>` : ''}
+            ${warnings.length - errors > 0 ? `<span class="tag tag-warning">${warnings.length - errors}</span>` : ''}
+            ${r && warnings.length === 0 ? '<span class="text-muted">none</span>' : ''}
+          </td>
+          <td>${row.output ? escapeHtml(row.output) : '--'}</td>
+          <td><span class="tag ${statusTags[row.status]}" title="${escapeHtml(row.message)}">${status}</span></td>
+        </tr>
+      `;
+    }).join('');
+
+    const done = rows.filter(r => r.status === 'ok');
+    const totalMin = done.reduce((sum, r) => sum + (r.result.estimatedTime_min || 0), 0);
+    const totalG = done.reduce((sum, r) => sum + (r.result.filamentWeight_g || 0), 0);
+    const failed = rows.filter(r => r.status === 'failed').length;
+    document.getElementById('gc-batch-summary').textContent =
+      `${done.length} of ${rows.length} written${failed > 0 ? `, ${failed} failed` : ''} · ` +
+      `${window.gcodeParser.formatTime(totalMin)} print time · ${Math.round(totalG)}g filament`;
+  }
+
+
+  // ---- Modification Pipeline ----
+
+  // Every modification is a step that maps a line array (and the file's parse result) to a
+  // new one. The user orders the steps and can switch them off; describe() returns null when
+  // the step has nothing to do.
+  const PIPELINE_STEPS = [
+    {
+      id: 'exclude',
+      label: 'Exclude objects',
+      apply: applyExcludeObjects,
+      describe: () => excludedObjects.size > 0 ? `${excludedObjects.size} object(s) removed` : null
+    },
+    {
+      id: 'speed',
+      label: 'Speed override',
+      apply: applySpeedOverride,
+      describe: () => {
+        const pct = parseInt(document.getElementById('gc-speed-slider').value);
+        return pct !== 100 ? `Speed ${pct}%` : null;
+      }
+    },
+    {
+      id: 'temp',
+      label: 'Temperature tweak',
+      apply: applyTempTweak,
+      describe: () => {
+        const nozzle = parseInt(document.getElementById('gc-temp-nozzle-offset').value) || 0;
+        const bed = parseInt(document.getElementById('gc-temp-bed-offset').value) || 0;
+        if (nozzle === 0 && bed === 0) return null;
+        const signed = (v) => (v > 0 ? '+' : '') + v;
+        return `Nozzle ${signed(nozzle)}°C, bed ${signed(bed)}°C`;
+      }
+    },
+    {
+      id: 'fan',
+      label: 'Fan override',
+      apply: applyFanOverride,
+      describe: () => {
+        const pct = parseInt(document.getElementById('gc-fan-slider').value);
+        return pct !== 100 ? `Fan ${pct}%` : null;
+      }
+    },
+    {
+      id: 'pauses',
+      label: 'Layer pauses',
+      apply: applyLayerPauses,
+      describe: () => layerPauses.length > 0 ? `${layerPauses.length} pause(s)` : null
+    },
+    {
+      id: 'injections',
+      label: 'Custom injections',
+      apply: applyInjections,
+      describe: () => injections.length > 0 ? `${injections.length} injection(s)` : null
+    },
+    {
+      id: 'timelapse',
+      label: 'Time-lapse parking',
+      apply: applyTimelapse,
+      describe: () => {
+        if (!document.getElementById('gc-timelapse').checked) return null;
+        const impact = estimateTimelapseImpact();
+        return impact ? `${impact.stops} park(s), +${formatDuration(impact.minutes)}` : 'Time-lapse parking';
+      }
+    },
+    {
+      id: 'eject',
+      label: 'Auto-eject',
+      apply: applyAutoEject,
+      describe: () => {
+        const parts = [];
+        if (document.getElementById('gc-eject-cool').checked) parts.push('Cool & Release');
+        if (document.getElementById('gc-eject-shake').checked) parts.push('Bed Shake');
+        if (document.getElementById('gc-eject-push').checked) parts.push('Push-Off');
+        return parts.length > 0 ? parts.join(', ') : null;
+      }
+    },
+    {
+      id: 'arcs',
+      label: 'Arcs',
+      apply: applyArcMode,
+      describe: () => {
+        const mode = document.getElementById('gc-arc-mode').value;
+        if (mode === 'fit') return 'Arc fitting';
+        if (mode === 'expand') return 'Arc expansion';
+        return null;
+      }
+    }
+  ];
+
+  const DIFF_CONTEXT_LINES = 3;
+  const DIFF_RESYNC_WINDOW = 1000;  // Lines searched ahead for the next common line
+  const DIFF_MAX_HUNKS = 200;       // Hunks rendered in the preview; the rest are only counted
+
+  function pipelineStep(id) {
+    return PIPELINE_STEPS.find(s => s.id === id);
+  }
+
+  function updateModSummary() {
+    const active = pipelineSteps
+      .filter(s => s.enabled)
+      .map(s => pipelineStep(s.id).describe())
+      .filter(Boolean);
+
+    const summary = document.getElementById('gc-pp-mod-summary');
+    summary.textContent = active.length > 0 ? active.join(' + ') : 'No modifications configured';
+
+    renderPipeline();
+  }
+
+  function renderPipeline(counts = null) {
+    const container = document.getElementById('gc-pipeline-list');
+    container.innerHTML = pipelineSteps.map((s, idx) => {
+      const step = pipelineStep(s.id);
+      const desc = step.describe();
+      const count = counts && counts[s.id];
+      let countTag = '';
+      if (count) {
+        countTag = (count.added || count.removed)
+          ? `<span class="tag tag-success">+${count.added.toLocaleString()}</span> <span class="tag tag-danger">&minus;${count.removed.toLocaleString()}</span>`
+          : '<span class="tag">no changes</span>';
+      }
+      return `
+        <div class="gc-pipeline-step${s.enabled && desc ? '' : ' gc-pipeline-step-idle'}">
+          <span class="gc-pipeline-index">${idx + 1}</span>
+          <label class="form-checkbox">
+            <input type="checkbox" data-step-toggle="${idx}" ${s.enabled ? 'checked' : ''}>
+            <span>${escapeHtml(step.label)}</span>
+          </label>
+          <span class="gc-pipeline-desc text-sm text-muted">${escapeHtml(desc || 'Not configured')}</span>
+          <span class="gc-pipeline-count">${countTag}</span>
+          <button class="btn-icon" data-step-up="${idx}" title="Move up" ${idx === 0 ? 'disabled' : ''}>&#x25B2;</button>
+          <button class="btn-icon" data-step-down="${idx}" title="Move down" ${idx === pipelineSteps.length - 1 ? 'disabled' : ''}>&#x25BC;</button>
+        </div>
+      `;
+    }).join('');
+
+    container.querySelectorAll('[data-step-toggle]').forEach(input => {
+      input.addEventListener('change', () => {
+        pipelineSteps[parseInt(input.dataset.stepToggle)].enabled = input.checked;
+        updateModSummary();
+      });
+    });
+    container.querySelectorAll('[data-step-up]').forEach(btn => {
+      btn.addEventListener('click', () => moveStep(parseInt(btn.dataset.stepUp), -1));
+    });
+    container.querySelectorAll('[data-step-down]').forEach(btn => {
+      btn.addEventListener('click', () => moveStep(parseInt(btn.dataset.stepDown), 1));
+    });
+  }
+
+  function moveStep(idx, delta) {
+    const target = idx + delta;
+    if (target < 0 || target >= pipelineSteps.length) return;
+    const [step] = pipelineSteps.splice(idx, 1);
+    pipelineSteps.splice(target, 0, step);
+    updateModSummary();
+  }
+
+  /**
+   * Run the enabled steps in order on a file's text. analysis is that file's parse result
+   * (the loaded file's unless a batch passes its own).
+   * With withCounts, each step's output is diffed against its input for added/removed counts.
+   */
+  function runPipeline(text, withCounts = false, analysis = gcodeAnalysis) {
+    let lines = text.split('\n');
+    const counts = {};
+
+    pipelineSteps.forEach(s => {
+      const step = pipelineStep(s.id);
+      if (!s.enabled || !step.describe()) return;
+      // Steps may splice their input in place; keep ours intact for the count
+      const output = step.apply(withCounts ? lines.slice() : lines, analysis);
+      if (withCounts) counts[s.id] = countChanges(diffLines(lines, output));
+      lines = output;
+    });
+
+    return { lines, counts };
+  }
+
+  async function previewPipeline() {
+    if (!gcodeRawText) return;
+
+    const original = gcodeRawText.split('\n');
+    const { lines, counts } = runPipeline(gcodeRawText, true);
+    const edits = diffLines(original, lines);
+    const total = countChanges(edits);
+    const hunks = buildHunks(original, lines, edits);
+
+    renderPipeline(counts);
+
+    document.getElementById('gc-diff-summary').innerHTML = `
+      <span class="tag tag-success">+${total.added.toLocaleString()}</span>
+      <span class="tag tag-danger">&minus;${total.removed.toLocaleString()}</span>
+      <span class="text-sm text-muted">${hunks.length.toLocaleString()} hunk(s), ${original.length.toLocaleString()} → ${lines.length.toLocaleString()} lines</span>
+    `;
+    document.getElementById('gc-diff-steps').innerHTML = pipelineSteps
+      .filter(s => counts[s.id])
+      .map(s => `
+        <div class="gc-diff-step">
+          <span>${escapeHtml(pipelineStep(s.id).label)}</span>
+          <span class="text-sm text-muted">+${counts[s.id].added.toLocaleString()} / &minus;${counts[s.id].removed.toLocaleString()}</span>
+        </div>
+      `).join('') || '<div class="text-sm text-muted">No steps are enabled and configured.</div>';
+
+    const output = document.getElementById('gc-diff-output');
+    if (hunks.length === 0) {
+      output.innerHTML = '<div class="text-sm text-muted">The modified file is identical to the original.</div>';
+    } else {
+      const shown = hunks.slice(0, DIFF_MAX_HUNKS).map(renderHunk).join('');
+      const more = hunks.length > DIFF_MAX_HUNKS
+        ? `<div class="gc-diff-more">… ${(hunks.length - DIFF_MAX_HUNKS).toLocaleString()} more hunk(s) not shown</div>`
+        : '';
+      output.innerHTML = shown + more;
+    }
+
+    openModal('gc-diff-modal');
+  }
+
+  /**
+   * Line diff as a list of edits {aStart, aEnd, bStart, bEnd}: a[aStart..aEnd) became
+   * b[bStart..bEnd). Equal-length outputs (the per-line rewrites) are compared line by
+   * line; otherwise a mismatch resyncs at the nearest line pair common to both within
+   * DIFF_RESYNC_WINDOW, which keeps insertions and arc rewrites linear on large files.
+   */
+  function diffLines(a, b) {
+    const edits = [];
+
+    if (a.length === b.length) {
+      for (let i = 0; i < a.length; i++) {
+        if (a[i] === b[i]) continue;
+        const start = i;
+        while (i < a.length && a[i] !== b[i]) i++;
+        edits.push({ aStart: start, aEnd: i, bStart: start, bEnd: i });
+      }
+      return edits;
+    }
+
+    let i = 0;
+    let j = 0;
+    while (i < a.length || j < b.length) {
+      if (i < a.length && j < b.length && a[i] === b[j]) {
+        i++;
+        j++;
+        continue;
+      }
+
+      const sync = findResync(a, b, i, j);
+      edits.push({ aStart: i, aEnd: sync.i, bStart: j, bEnd: sync.j });
+      i = sync.i;
+      j = sync.j;
+    }
+    return edits;
   }
 
-  function updateModSummary() {
-    const parts = [];
+  // Nearest (i', j') past a mismatch where both sides agree again for two lines
+  function findResync(a, b, i, j) {
+    // Single changed line is by far the commonest case
+    if (i + 1 < a.length && j + 1 < b.length && a[i + 1] === b[j + 1] &&
+        (i + 2 >= a.length || j + 2 >= b.length || a[i + 2] === b[j + 2])) {
+      return { i: i + 1, j: j + 1 };
+    }
 
-    if (document.getElementById('gc-eject-cool').checked) parts.push('Cool & Release');
-    if (document.getElementById('gc-eject-shake').checked) parts.push('Bed Shake');
-    if (document.getElementById('gc-eject-push').checked) parts.push('Push-Off');
-    if (layerPauses.length > 0) parts.push(`${layerPauses.length} pause(s)`);
+    const bEnd = Math.min(b.length, j + DIFF_RESYNC_WINDOW);
+    const ahead = new Map();
+    for (let l = j; l < bEnd; l++) {
+      if (!ahead.has(b[l])) ahead.set(b[l], l);
+    }
 
-    const speedVal = parseInt(document.getElementById('gc-speed-slider').value);
-    if (speedVal !== 100) parts.push(`Speed ${speedVal}%`);
+    let best = null;
+    const aEnd = Math.min(a.length, i + DIFF_RESYNC_WINDOW);
+    for (let k = i; k < aEnd; k++) {
+      if (best && k - i >= best.cost) break;
+      const l = ahead.get(a[k]);
+      if (l === undefined) continue;
+      const confirmed = k + 1 >= a.length || l + 1 >= b.length || a[k + 1] === b[l + 1];
+      const cost = (k - i) + (l - j);
+      if (confirmed && (!best || cost < best.cost)) best = { i: k, j: l, cost };
+    }
 
-    const nozzleOff = parseInt(document.getElementById('gc-temp-nozzle-offset').value) || 0;
-    const bedOff = parseInt(document.getElementById('gc-temp-bed-offset').value) || 0;
-    if (nozzleOff !== 0 || bedOff !== 0) parts.push('Temp tweak');
+    if (best) return { i: best.i, j: best.j };
+    // Nothing common nearby: treat the rest of the window as replaced
+    return { i: aEnd, j: bEnd };
+  }
 
-    const fanVal = parseInt(document.getElementById('gc-fan-slider').value);
-    if (fanVal !== 100) parts.push(`Fan ${fanVal}%`);
+  function countChanges(edits) {
+    let added = 0;
+    let removed = 0;
+    edits.forEach(e => {
+      added += e.bEnd - e.bStart;
+      removed += e.aEnd - e.aStart;
+    });
+    return { added, removed };
+  }
 
-    if (injections.length > 0) parts.push(`${injections.length} injection(s)`);
+  // Group edits into unified-diff hunks with DIFF_CONTEXT_LINES of context around each
+  function buildHunks(a, b, edits) {
+    const hunks = [];
+    let current = null;
+
+    edits.forEach(e => {
+      const ctxStart = Math.max(0, e.aStart - DIFF_CONTEXT_LINES);
+      if (current && ctxStart <= current.aEnd + DIFF_CONTEXT_LINES) {
+        current.edits.push(e);
+        current.aEnd = e.aEnd;
+        current.bEnd = e.bEnd;
+        return;
+      }
+      current = { aStart: e.aStart, bStart: e.bStart, aEnd: e.aEnd, bEnd: e.bEnd, edits: [e] };
+      hunks.push(current);
+    });
 
-    const summary = document.getElementById('gc-pp-mod-summary');
-    summary.textContent = parts.length > 0 ? parts.join(' + ') : 'No modifications configured';
+    return hunks.map(h => {
+      const lead = Math.min(DIFF_CONTEXT_LINES, h.aStart);
+      const trail = Math.min(DIFF_CONTEXT_LINES, a.length - h.aEnd);
+      const rows = [];
+      let ai = h.aStart - lead;
+      let bi = h.bStart - lead;
+
+      h.edits.forEach(e => {
+        for (; ai < e.aStart; ai++, bi++) rows.push({ type: ' ', text: a[ai] });
+        for (; ai < e.aEnd; ai++) rows.push({ type: '-', text: a[ai] });
+        for (; bi < e.bEnd; bi++) rows.push({ type: '+', text: b[bi] });
+      });
+      for (let n = 0; n < trail; n++, ai++) rows.push({ type: ' ', text: a[ai] });
+
+      const aFrom = h.aStart - lead;
+      const bFrom = h.bStart - lead;
+      return {
+        header: `@@ -${aFrom + 1},${ai - aFrom} +${bFrom + 1},${bi + trail - bFrom} @@`,
+        rows
+      };
+    });
+  }
+
+  function renderHunk(hunk) {
+    const rows = hunk.rows.map(r => {
+      const cls = r.type === '+' ? 'gc-diff-add' : r.type === '-' ? 'gc-diff-del' : '';
+      return `<div class="gc-diff-line ${cls}">${r.type} ${escapeHtml(r.text) || '&nbsp;'}</div>`;
+    }).join('');
+    return `<div class="gc-diff-hunk"><div class="gc-diff-header">${hunk.header}</div>${rows}</div>`;
   }
 
 
@@ -516,28 +2139,15 @@
   async function applyAndDownload() {
     if (!gcodeRawText) return;
 
-    let lines = gcodeRawText.split('\n');
-
-    // 1. Apply speed override
-    lines = applySpeedOverride(lines);
-
-    // 2. Apply temperature tweaks
-    lines = applyTempTweak(lines);
-
-    // 3. Apply fan control override
-    lines = applyFanOverride(lines);
-
-    // 4. Apply layer pauses (process from highest layer to lowest to avoid index shifts)
-    lines = applyLayerPauses(lines);
-
-    // 5. Apply custom injections (process from highest to lowest)
-    lines = applyInjections(lines);
-
-    // 6. Apply auto-eject sequences (appended at end)
-    lines = applyAutoEject(lines);
+    const { lines } = runPipeline(gcodeRawText);
 
     const modifiedText = lines.join('\n');
 
+    if (gcodeArchive) {
+      await saveArchive(modifiedText);
+      return;
+    }
+
     // Save file
     try {
       const baseName = gcodeFileName.replace(/\.(gcode|gco|g)$/i, '');
@@ -557,6 +2167,28 @@
     }
   }
 
+  // Write the modified plate back into a copy of the original .gcode.3mf package; returns the
+  // path, or null when cancelled or when the write failed (the failure is shown to the user)
+  async function saveArchive(modifiedText, suffix = 'modified') {
+    try {
+      const baseName = gcodeFileName.replace(/(\.gcode)?\.3mf$/i, '');
+      const savePath = await window.api.saveFile({
+        defaultPath: `${baseName}_${suffix}.gcode.3mf`,
+        filters: [{ name: 'Sliced 3MF', extensions: ['3mf'] }]
+      });
+
+      if (savePath) {
+        const bytes = await window.gcode3mf.buildWithPlate(gcodeArchive, gcodePlate, modifiedText);
+        if (!(await window.api.writeFile(savePath, bytes))) throw new Error(`Could not write ${savePath}`);
+      }
+      return savePath || null;
+    } catch (err) {
+      console.error('Failed to save modified 3MF:', err);
+      alert('Could not save the 3MF package: ' + err.message);
+      return null;
+    }
+  }
+
   function applySpeedOverride(lines) {
     const pct = parseInt(document.getElementById('gc-speed-slider').value);
     if (pct === 100) return lines;
@@ -706,9 +2338,10 @@
     return lines;
   }
 
-  function applyAutoEject(lines) {
-    const printer = document.getElementById('gc-pp-printer').value;
-    const isBambu = printer === 'bambu_a1';
+  function applyAutoEject(lines, analysis) {
+    const printer = window.printerRegistry.get(document.getElementById('gc-pp-printer').value);
+    const isBambu = !!printer && printer.gcodeFlavor === 'bambu';
+    const bed = printer ? printer.buildVolume : { x: 220, y: 220 };
 
     const coolEnabled = document.getElementById('gc-eject-cool').checked;
     const shakeEnabled = document.getElementById('gc-eject-shake').checked;
@@ -736,7 +2369,7 @@
       if (isBambu) {
         ejectLines.push('G28 X ; Home X axis');
       } else {
-        ejectLines.push(`G1 X0 Y${isBambu ? 256 : 220} F6000 ; Move to front`);
+        ejectLines.push(`G1 X0 Y${bed.y} F6000 ; Move to front`);
       }
 
       ejectLines.push(`M190 S${targetTemp} ; Wait for bed to cool to ${targetTemp}C`);
@@ -761,7 +2394,7 @@
       ejectLines.push('G90 ; Absolute positioning');
 
       // Move to center of bed for balanced shaking
-      const centerY = isBambu ? 128 : 110;
+      const centerY = Math.round(bed.y / 2);
       ejectLines.push(`G1 Y${centerY} F6000 ; Move to bed center Y`);
       ejectLines.push('G91 ; Relative positioning');
 
@@ -781,15 +2414,15 @@
       ejectLines.push('; --- Push-Off ---');
 
       // Lower nozzle to just above first layer height for pushing
-      if (gcodeAnalysis) {
-        const pushZ = Math.max(0.3, gcodeAnalysis.firstLayerHeight || 0.2);
+      if (analysis) {
+        const pushZ = Math.max(0.3, analysis.firstLayerHeight || 0.2);
         ejectLines.push('G90 ; Absolute positioning');
         ejectLines.push(`G1 Z${pushZ.toFixed(1)} F1000 ; Lower to push height`);
 
         // Move to the min-X side of the print (approach from the left)
-        const approachX = Math.max(0, (gcodeAnalysis.minX || 10) - 10);
-        const midY = gcodeAnalysis.dimensions
-          ? ((gcodeAnalysis.minY || 0) + gcodeAnalysis.dimensions.y / 2).toFixed(1)
+        const approachX = Math.max(0, (analysis.minX || 10) - 10);
+        const midY = analysis.dimensions
+          ? ((analysis.minY || 0) + analysis.dimensions.y / 2).toFixed(1)
           : '110';
 
         ejectLines.push(`G1 X${approachX} Y${midY} F3000 ; Move to part edge`);
@@ -820,6 +2453,809 @@
     return [...lines, ...ejectLines];
   }
 
+  // ---- Arcs ----
+
+  const ARC_FIT_MIN_SEGMENTS = 4;     // Shorter runs aren't worth an arc
+  const ARC_FIT_MAX_SEGMENTS = 200;
+  const ARC_FIT_MAX_RADIUS = 1000;    // mm; flatter runs are effectively straight
+  const ARC_FIT_FLOW_VARIATION = 0.15; // Max spread of E per mm across a fitted run
+
+  // "G1 X1 Y2 E0.3 ; note" -> {code, params, comment}; null for blank and comment-only lines
+  function parseCommand(line) {
+    const semi = line.indexOf(';');
+    const stripped = (semi === -1 ? line : line.substring(0, semi)).trim();
+    if (!stripped) return null;
+    const parts = stripped.split(/\s+/);
+    const params = {};
+    for (let i = 1; i < parts.length; i++) {
+      params[parts[i][0].toUpperCase()] = parseFloat(parts[i].substring(1));
+    }
+    return { code: parts[0].toUpperCase(), params, comment: semi === -1 ? '' : line.substring(semi) };
+  }
+
+  // Tracks the nozzle position and positioning modes through a line stream
+  function createPositionTracker() {
+    const state = { x: 0, y: 0, z: 0, e: 0, relative: false, relativeE: false };
+    return {
+      state,
+      update(cmd) {
+        const p = cmd.params;
+        if (cmd.code === 'G90') state.relative = false;
+        if (cmd.code === 'G91') state.relative = true;
+        if (cmd.code === 'M82') state.relativeE = false;
+        if (cmd.code === 'M83') state.relativeE = true;
+        if (cmd.code === 'G92') {
+          ['x', 'y', 'z', 'e'].forEach(axis => {
+            if (p[axis.toUpperCase()] !== undefined) state[axis] = p[axis.toUpperCase()];
+          });
+        }
+        if (['G0', 'G1', 'G2', 'G3'].includes(cmd.code)) {
+          ['x', 'y', 'z'].forEach(axis => {
+            const v = p[axis.toUpperCase()];
+            if (v !== undefined) state[axis] = state.relative ? state[axis] + v : v;
+          });
+          if (p.E !== undefined) state.e = state.relativeE ? state.e + p.E : p.E;
+        }
+      }
+    };
+  }
+
+  const fmtXY = (v) => parseFloat(v.toFixed(3)).toString();
+  const fmtE = (v) => parseFloat(v.toFixed(5)).toString();
+
+  /**
+   * Replace runs of short extruding G1 moves that lie on a circle with one G2/G3.
+   * Every original point must sit within tolerance of the arc and the run must turn one
+   * way with steady flow. Returns {lines, arcs}.
+   */
+  function applyArcFitting(lines, tolerance) {
+    const out = [];
+    const tracker = createPositionTracker();
+    let arcs = 0;
+    let i = 0;
+
+    while (i < lines.length) {
+      const s = tracker.state;
+      const run = s.relative ? [] : collectArcCandidates(lines, i, s);
+      const fit = run.length >= ARC_FIT_MIN_SEGMENTS ? longestArc({ x: s.x, y: s.y }, run, tolerance) : null;
+
+      if (fit) {
+        const first = run[0].cmd;
+        const last = run[fit.count - 1];
+        const eValue = s.relativeE
+          ? run.slice(0, fit.count).reduce((sum, pt) => sum + pt.eDelta, 0)
+          : last.cmd.params.E;
+        out.push(`${fit.clockwise ? 'G2' : 'G3'} X${fmtXY(last.x)} Y${fmtXY(last.y)} ` +
+          `I${fmtXY(fit.cx - s.x)} J${fmtXY(fit.cy - s.y)} E${fmtE(eValue)}` +
+          (first.params.F !== undefined ? ` F${first.params.F}` : ''));
+        run.slice(0, fit.count).forEach(pt => tracker.update(pt.cmd));
+        arcs++;
+        i += fit.count;
+        continue;
+      }
+
+      const cmd = parseCommand(lines[i]);
+      if (cmd) tracker.update(cmd);
+      out.push(lines[i]);
+      i++;
+    }
+
+    return { lines: out, arcs };
+  }
+
+  // Consecutive plain "G1 X Y E" extrusions from index i (F only allowed on the first)
+  function collectArcCandidates(lines, i, state) {
+    const run = [];
+    let e = state.e;
+    for (let k = i; k < lines.length && run.length < ARC_FIT_MAX_SEGMENTS; k++) {
+      const cmd = parseCommand(lines[k]);
+      if (!cmd || cmd.code !== 'G1' || cmd.comment) break;
+      const p = cmd.params;
+      const keys = Object.keys(p);
+      if (p.X === undefined || p.Y === undefined || p.E === undefined) break;
+      if (keys.some(key => !['X', 'Y', 'E', 'F'].includes(key))) break;
+      if (p.F !== undefined && run.length > 0) break;
+      const eDelta = state.relativeE ? p.E : p.E - e;
+      if (!(eDelta > 0)) break;
+      e = state.relativeE ? e + p.E : p.E;
+      run.push({ x: p.X, y: p.Y, eDelta, cmd });
+    }
+    return run;
+  }
+
+  // Longest prefix of run (from start) that fits one arc, or null
+  function longestArc(start, run, tolerance) {
+    let best = null;
+    for (let n = ARC_FIT_MIN_SEGMENTS; n <= run.length; n++) {
+      const fit = fitArc(start, run.slice(0, n), tolerance);
+      if (!fit) break;
+      best = { ...fit, count: n };
+    }
+    return best;
+  }
+
+  function fitArc(start, pts, tolerance) {
+    const mid = pts[Math.floor((pts.length - 1) / 2)];
+    const end = pts[pts.length - 1];
+
+    // Circle through start, middle and end point
+    const ax = start.x, ay = start.y;
+    const bx = mid.x, by = mid.y;
+    const cx = end.x, cy = end.y;
+    const d = 2 * (ax * (by - cy) + bx * (cy - ay) + cx * (ay - by));
+    if (Math.abs(d) < 1e-9) return null;
+    const ux = ((ax * ax + ay * ay) * (by - cy) + (bx * bx + by * by) * (cy - ay) + (cx * cx + cy * cy) * (ay - by)) / d;
+    const uy = ((ax * ax + ay * ay) * (cx - bx) + (bx * bx + by * by) * (ax - cx) + (cx * cx + cy * cy) * (bx - ax)) / d;
+    const r = Math.hypot(ax - ux, ay - uy);
+    if (r > ARC_FIT_MAX_RADIUS) return null;
+
+    // Same turn direction throughout, every point and chord midpoint on the circle
+    let turn = 0;
+    let prev = start;
+    let polyLength = 0;
+    let sweep = 0;
+    const rates = [];
+    for (let i = 0; i < pts.length; i++) {
+      const p = pts[i];
+      const len = Math.hypot(p.x - prev.x, p.y - prev.y);
+      if (len === 0) return null;
+      const cross = (prev.x - ux) * (p.y - uy) - (prev.y - uy) * (p.x - ux);
+      const sign = Math.sign(cross);
+      if (sign === 0 || (turn !== 0 && sign !== turn)) return null;
+      turn = sign;
+      if (Math.abs(Math.hypot(p.x - ux, p.y - uy) - r) > tolerance) return null;
+      if (r - Math.hypot((p.x + prev.x) / 2 - ux, (p.y + prev.y) / 2 - uy) > tolerance) return null;
+      sweep += Math.asin(Math.min(1, len / (2 * r))) * 2;
+      polyLength += len;
+      rates.push(p.eDelta / len);
+      prev = p;
+    }
+    if (sweep >= Math.PI * 2 - 0.01) return null;
+    if (Math.abs(sweep * r - polyLength) > polyLength * 0.05) return null;
+
+    const avgRate = rates.reduce((a, b) => a + b, 0) / rates.length;
+    if (rates.some(rate => Math.abs(rate - avgRate) > avgRate * ARC_FIT_FLOW_VARIATION)) return null;
+
+    return { cx: ux, cy: uy, clockwise: turn < 0 };
+  }
+
+  // Replace every G2/G3 with the G1 chords the parser would trace. Returns {lines, expanded}.
+  function applyArcExpansion(lines) {
+    const out = [];
+    const tracker = createPositionTracker();
+    let expanded = 0;
+
+    lines.forEach(line => {
+      const cmd = parseCommand(line);
+      const s = tracker.state;
+      if (!cmd || (cmd.code !== 'G2' && cmd.code !== 'G3') || s.relative) {
+        if (cmd) tracker.update(cmd);
+        out.push(line);
+        return;
+      }
+
+      const p = cmd.params;
+      const x = p.X !== undefined ? p.X : s.x;
+      const y = p.Y !== undefined ? p.Y : s.y;
+      const z = p.Z !== undefined ? p.Z : s.z;
+      const points = window.gcodeParser.interpolateArc(s.x, s.y, s.z, x, y, z, p, cmd.code === 'G2');
+      const eTotal = p.E === undefined ? 0 : (s.relativeE ? p.E : p.E - s.e);
+
+      points.forEach((pt, k) => {
+        let move = `G1 X${fmtXY(pt.x)} Y${fmtXY(pt.y)}`;
+        if (z !== s.z) move += ` Z${fmtXY(pt.z)}`;
+        if (p.E !== undefined) {
+          move += ` E${fmtE(s.relativeE ? eTotal / points.length : s.e + eTotal * (k + 1) / points.length)}`;
+        }
+        if (k === 0 && p.F !== undefined) move += ` F${p.F}`;
+        if (k === 0 && cmd.comment) move += ` ${cmd.comment}`;
+        out.push(move);
+      });
+
+      tracker.update(cmd);
+      expanded++;
+    });
+
+    return { lines: out, expanded };
+  }
+
+  function applyArcMode(lines) {
+    const mode = document.getElementById('gc-arc-mode').value;
+    const report = document.getElementById('gc-arc-report');
+    if (mode === 'none') {
+      report.textContent = '';
+      return lines;
+    }
+
+    const before = lines.length;
+    let after;
+    let done;
+    if (mode === 'fit') {
+      const tolerance = parseFloat(document.getElementById('gc-arc-tolerance').value) || 0.02;
+      const fitted = applyArcFitting(lines, tolerance);
+      lines = fitted.lines;
+      done = `${fitted.arcs.toLocaleString()} arcs fitted`;
+    } else {
+      const expanded = applyArcExpansion(lines);
+      lines = expanded.lines;
+      done = `${expanded.expanded.toLocaleString()} arcs expanded`;
+    }
+    after = lines.length;
+
+    const change = before > 0 ? ((after - before) / before * 100).toFixed(1) : '0.0';
+    report.textContent = `${done}: ${before.toLocaleString()} → ${after.toLocaleString()} lines (${after <= before ? '' : '+'}${change}%)`;
+    return lines;
+  }
+
+  // ---- Exclude Objects ----
+
+  const OBJECT_COLORS = ['#4facfe', '#4ecdc4', '#f9a825', '#8e7cc3', '#ff8a3d', '#7fd67f', '#ff9ecf'];
+
+  function renderObjectList() {
+    const card = document.getElementById('gc-objects-card');
+    const objects = (gcodeAnalysis && gcodeAnalysis.objects) || [];
+    card.style.display = objects.length > 0 ? '' : 'none';
+    if (objects.length === 0) return;
+
+    const total = objects.reduce((sum, o) => sum + o.extrusion_mm, 0);
+    document.getElementById('gc-objects-subtitle').textContent =
+      `${objects.length} labelled object(s) on the plate. Tick the ones to leave out of the re-print.`;
+
+    const list = document.getElementById('gc-objects-list');
+    list.innerHTML = objects.map((o, idx) => {
+      const b = o.bbox;
+      const size = b
+        ? `X ${b.minX}–${b.maxX}, Y ${b.minY}–${b.maxY} (${(b.maxX - b.minX).toFixed(1)} × ${(b.maxY - b.minY).toFixed(1)} mm)`
+        : 'No extrusion';
+      const share = total > 0 ? Math.round(o.extrusion_mm / total * 100) : 0;
+      return `
+        <div class="gc-object-item${excludedObjects.has(o.name) ? ' gc-object-excluded' : ''}">
+          <span class="gc-object-swatch" style="background:${OBJECT_COLORS[idx % OBJECT_COLORS.length]}"></span>
+          <label class="form-checkbox">
+            <input type="checkbox" data-object-idx="${idx}" ${excludedObjects.has(o.name) ? 'checked' : ''}>
+            <span>${escapeHtml(o.name)}</span>
+          </label>
+          <span class="gc-object-bbox text-sm text-muted">${size}</span>
+          <span class="tag">${share}% of filament</span>
+        </div>
+      `;
+    }).join('');
+
+    list.querySelectorAll('[data-object-idx]').forEach(input => {
+      input.addEventListener('change', () => {
+        const name = objects[parseInt(input.dataset.objectIdx)].name;
+        if (input.checked) excludedObjects.add(name);
+        else excludedObjects.delete(name);
+        renderObjectList();
+        updateModSummary();
+      });
+    });
+
+    drawObjectMap(objects);
+  }
+
+  // Plate outline with every object's footprint; excluded ones are crossed out
+  function drawObjectMap(objects) {
+    const canvas = document.getElementById('gc-objects-canvas');
+    const ctx = canvas.getContext('2d');
+    const printer = selectedPrinter();
+    const bed = printer ? printer.buildVolume : {
+      x: Math.max(220, Math.ceil(gcodeAnalysis.maxX)),
+      y: Math.max(220, Math.ceil(gcodeAnalysis.maxY))
+    };
+
+    const size = canvas.clientWidth || 220;
+    const scale = size / Math.max(bed.x, bed.y);
+    canvas.width = size;
+    canvas.height = Math.round(bed.y * scale);
+
+    const styles = getComputedStyle(document.documentElement);
+    ctx.clearRect(0, 0, canvas.width, canvas.height);
+    ctx.strokeStyle = styles.getPropertyValue('--border').trim() || '#444';
+    ctx.strokeRect(0.5, 0.5, bed.x * scale - 1, bed.y * scale - 1);
+
+    objects.forEach((o, idx) => {
+      if (!o.bbox) return;
+      // Bed Y grows away from the front, canvas Y grows down
+      const x = o.bbox.minX * scale;
+      const y = canvas.height - o.bbox.maxY * scale;
+      const w = Math.max(2, (o.bbox.maxX - o.bbox.minX) * scale);
+      const h = Math.max(2, (o.bbox.maxY - o.bbox.minY) * scale);
+      const color = OBJECT_COLORS[idx % OBJECT_COLORS.length];
+      const excluded = excludedObjects.has(o.name);
+
+      ctx.globalAlpha = excluded ? 0.25 : 0.6;
+      ctx.fillStyle = color;
+      ctx.fillRect(x, y, w, h);
+      ctx.globalAlpha = 1;
+      ctx.strokeStyle = color;
+      ctx.strokeRect(x, y, w, h);
+      if (excluded) {
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + w, y + h);
+        ctx.moveTo(x + w, y);
+        ctx.lineTo(x, y + h);
+        ctx.stroke();
+      }
+    });
+  }
+
+  // Same line with its E word set to a new value, comment kept
+  function withE(line, e) {
+    const semi = line.indexOf(';');
+    const code = semi === -1 ? line : line.substring(0, semi);
+    return code.replace(/(\s)E-?[\d.]+/i, `$1E${fmtE(e)}`) + (semi === -1 ? '' : line.substring(semi));
+  }
+
+  /**
+   * Strip the labelled blocks of excluded objects. Moves inside them are dropped, but
+   * retract / unretract (E-only) moves and non-motion commands such as temperatures and
+   * fans are kept so the machine state matches the original. With absolute extrusion the
+   * filament the dropped moves would have used is subtracted from every later E value until
+   * the next G92 E. After each block the nozzle travels to where the block left it.
+   */
+  function applyExcludeObjects(lines) {
+    if (excludedObjects.size === 0) return lines;
+
+    const out = [];
+    const tracker = createPositionTracker();
+    let current = null;     // Object whose block we are in
+    let skipping = false;
+    let dropped = false;    // A move was dropped in the current block
+    let eOffset = 0;        // Absolute E removed so far
+    let feed = 0;           // Modal F of the original stream
+    let travelFeed = 9000;
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i];
+      const trimmed = line.trim();
+      const label = trimmed ? window.gcodeParser.objectLabel(trimmed) : null;
+      const cmd = parseCommand(line);
+
+      if (label && label.action === 'start' && current === null) {
+        current = label.name;
+        skipping = excludedObjects.has(current);
+        dropped = false;
+        if (skipping) {
+          out.push(`; --- Excluded object: ${current} ---`);
+          continue;
+        }
+      } else if (label && label.action === 'end' && current !== null) {
+        const wasSkipping = skipping;
+        current = null;
+        skipping = false;
+        if (wasSkipping) {
+          if (dropped) {
+            const s = tracker.state;
+            if (s.relative) out.push('G90');
+            out.push(`G0 X${fmtXY(s.x)} Y${fmtXY(s.y)} Z${fmtXY(s.z)} F${travelFeed}`);
+            if (feed) out.push(`G1 F${feed}`);
+            if (s.relative) out.push('G91');
+          }
+          out.push('; --- End excluded object ---');
+          continue;
+        }
+      } else if (label && label.action === 'define' && excludedObjects.has(label.name)) {
+        continue;
+      }
+
+      if (!cmd) {
+        if (!skipping) out.push(line);
+        continue;
+      }
+
+      const isMove = ['G0', 'G1', 'G2', 'G3'].includes(cmd.code);
+      const p = cmd.params;
+      const prevE = tracker.state.e;
+      tracker.update(cmd);
+      if (isMove && p.F) {
+        feed = p.F;
+        if (cmd.code === 'G0' || (p.E === undefined && (p.X !== undefined || p.Y !== undefined))) travelFeed = p.F;
+      }
+      if (cmd.code === 'G92' && p.E !== undefined) eOffset = 0;
+
+      if (skipping) {
+        // Nested labels of the excluded object (Bambu M624 inside its comment block)
+        if (label) continue;
+        if (isMove) {
+          // An arc always moves the head, even a full circle given only by I / J
+          const arc = cmd.code === 'G2' || cmd.code === 'G3';
+          const positioned = arc || p.X !== undefined || p.Y !== undefined || p.Z !== undefined;
+          if (positioned) {
+            dropped = true;
+            if (p.E !== undefined && !tracker.state.relativeE) eOffset += tracker.state.e - prevE;
+            continue;
+          }
+          if (p.E !== undefined && !tracker.state.relativeE && eOffset !== 0) {
+            out.push(withE(line, tracker.state.e - eOffset));
+            continue;
+          }
+        }
+        out.push(line);
+        continue;
+      }
+
+      if (isMove && p.E !== undefined && !tracker.state.relativeE && eOffset !== 0) {
+        out.push(withE(line, tracker.state.e - eOffset));
+      } else {
+        out.push(line);
+      }
+    }
+
+    return out;
+  }
+
+  // ---- Resume Failed Print ----
+
+  // Slicer comments that open a layer's change block
+  const LAYER_CHANGE_COMMENT = /^;\s*(LAYER_CHANGE|CHANGE_LAYER|LAYER:\s*\d+)/i;
+
+  function initResume() {
+    document.getElementById('gc-resume-height').addEventListener('input', () => {
+      const layer = resumeLayerForHeight(parseFloat(document.getElementById('gc-resume-height').value));
+      document.getElementById('gc-resume-layer').value = layer ? layer.index : '';
+      updateResumeHint();
+    });
+    document.getElementById('gc-resume-layer').addEventListener('input', updateResumeHint);
+    document.getElementById('gc-btn-resume-generate').addEventListener('click', generateResumeFile);
+    window.addEventListener('prints:changed', renderResumePrintSelect);
+  }
+
+  function resetResumeForm() {
+    document.getElementById('gc-resume-height').value = '';
+    document.getElementById('gc-resume-layer').value = '';
+    document.getElementById('gc-resume-nozzle').value = gcodeAnalysis ? gcodeAnalysis.nozzleTemp || '' : '';
+    document.getElementById('gc-resume-bed').value = gcodeAnalysis ? gcodeAnalysis.bedTemp || '' : '';
+    updateResumeHint();
+    if (gcodeRawText) renderResumePrintSelect();
+  }
+
+  // Failed and cancelled prints, newest first; preselects the latest one named after the file
+  async function renderResumePrintSelect() {
+    const select = document.getElementById('gc-resume-print');
+    const current = select.value;
+    let prints = [];
+    try {
+      prints = await window.storage.getPrints();
+    } catch (err) {
+      console.error('Failed to load print records:', err);
+    }
+    const failed = prints
+      .filter(p => p.status === 'failed' || p.status === 'cancelled')
+      .sort((a, b) => (b.date || '').localeCompare(a.date || ''));
+
+    select.innerHTML = '<option value="">Don\'t link to a record</option>' + failed.map(p =>
+      `<option value="${p.id}">${escapeHtml(p.name)} — ${escapeHtml(window.printerRegistry.getShortName(p.printer))}, ${formatDate(p.date)}</option>`
+    ).join('');
+
+    const baseName = (gcodeFileName || '').replace(/(\.gcode)?\.(gcode|gco|g|3mf)$/i, '').toLowerCase();
+    const match = failed.find(p => baseName && p.name.toLowerCase().includes(baseName));
+    if (current && failed.some(p => p.id === current)) select.value = current;
+    else if (match) select.value = match.id;
+  }
+
+  // The last printed layer is the one nearest the measured height; resume at the one above it
+  function resumeLayerForHeight(height) {
+    const layers = gcodeAnalysis ? gcodeAnalysis.layers : [];
+    if (isNaN(height) || layers.length === 0) return null;
+    let nearest = 0;
+    layers.forEach((l, i) => {
+      if (Math.abs(l.z - height) < Math.abs(layers[nearest].z - height)) nearest = i;
+    });
+    return layers[nearest + 1] || null;
+  }
+
+  function selectedResumeLayer() {
+    const index = parseInt(document.getElementById('gc-resume-layer').value);
+    const layers = gcodeAnalysis ? gcodeAnalysis.layers : [];
+    return layers.find(l => l.index === index && l.index > 1) || null;
+  }
+
+  function updateResumeHint() {
+    const hint = document.getElementById('gc-resume-hint');
+    const layer = selectedResumeLayer();
+    document.getElementById('gc-btn-resume-generate').disabled = !layer;
+    if (!layer) {
+      hint.textContent = gcodeAnalysis && gcodeAnalysis.layers.length > 1
+        ? `Enter the measured height of the failed part, or a layer between 2 and ${gcodeAnalysis.layers.length}.`
+        : 'No layers detected in this file.';
+      return;
+    }
+    const remaining_s = gcodeAnalysis.layers
+      .filter(l => l.index >= layer.index)
+      .reduce((sum, l) => sum + l.time_s, 0);
+    hint.textContent = `Resumes at layer ${layer.index} of ${gcodeAnalysis.layers.length} (Z ${layer.z} mm), about ${formatDuration(remaining_s / 60)} left to print.`;
+  }
+
+  /**
+   * Index of the line a resume starts from: the layer's change block (slicer comment or the
+   * Z move up to it) when there is one after the previous layer's first extrusion, otherwise
+   * the layer's first extrusion.
+   */
+  function resumeCutLine(lines, layer) {
+    const first = layer.startLine - 1;
+    const prev = gcodeAnalysis.layers[layer.index - 2];
+    const floor = prev ? prev.startLine : 0;
+    let zMove = -1;
+    for (let i = first - 1; i >= floor; i--) {
+      const trimmed = lines[i].trim();
+      if (LAYER_CHANGE_COMMENT.test(trimmed)) return i;
+      const cmd = zMove === -1 ? parseCommand(trimmed) : null;
+      if (cmd && (cmd.code === 'G0' || cmd.code === 'G1') && cmd.params.Z !== undefined &&
+        Math.abs(cmd.params.Z - layer.z) < 0.005) {
+        zMove = i;
+      }
+    }
+    return zMove !== -1 ? zMove : first;
+  }
+
+  /**
+   * Start block for a resume followed by the rest of the file. Heats up, sets or lifts Z
+   * clear of the print, homes X/Y only, restores the extrusion mode, tool and fan, then
+   * resets E to the value the original file had reached so later E words stay valid.
+   */
+  function buildResumeGcode(lines, layer, opts) {
+    const cut = resumeCutLine(lines, layer);
+    const tracker = createPositionTracker();
+    let feed = 0;
+    for (let i = 0; i < cut; i++) {
+      const cmd = parseCommand(lines[i]);
+      if (!cmd) continue;
+      tracker.update(cmd);
+      if (['G0', 'G1', 'G2', 'G3'].includes(cmd.code) && cmd.params.F) feed = cmd.params.F;
+    }
+    const s = tracker.state;
+    // Z is unknown after a reset, so it is declared before anything moves: a hand-raised nozzle
+    // sits the clearance above the measured top, a resting one on it and is lifted relatively
+    const restZ = opts.zMode === 'set' ? opts.height + opts.clearance : opts.height;
+
+    const out = [
+      `; Resume of ${gcodeFileName} from layer ${layer.index} (Z ${layer.z} mm)`,
+      `; Measured height ${opts.height !== null ? opts.height + ' mm' : 'not given'}, generated ${new Date().toISOString()}`,
+      `M140 S${opts.bed}`,
+      `M104 S${opts.nozzle}`
+    ];
+    const restNote = opts.zMode === 'set' ? `Nozzle is ${opts.clearance} mm above the print` : 'Nozzle rests on the print';
+    out.push(opts.flavor === 'klipper'
+      ? `SET_KINEMATIC_POSITION Z=${fmtXY(restZ)}`
+      : `G92 Z${fmtXY(restZ)} ; ${restNote}`);
+    if (opts.zMode === 'rest') out.push('G91', `G1 Z${fmtXY(opts.clearance)} F600`);
+    out.push(
+      'G90',
+      'G28 X Y',
+      `M190 S${opts.bed}`,
+      `M109 S${opts.nozzle}`,
+      s.relativeE ? 'M83' : 'M82'
+    );
+    if (opts.multiTool) out.push(`T${layer.tool}`);
+    out.push(layer.fan_pct > 0 ? `M106 S${Math.round(layer.fan_pct * 2.55)}` : 'M107');
+    out.push(
+      `G92 E${s.relativeE ? 0 : fmtE(s.e)}`,
+      `G0 X${fmtXY(s.x)} Y${fmtXY(s.y)} F6000`,
+      `G0 Z${fmtXY(Math.max(s.z, layer.z))} F600`
+    );
+    if (feed) out.push(`G1 F${feed}`);
+    if (s.relative) out.push('G91');
+    out.push(`; --- Resume at layer ${layer.index} ---`);
+
+    return out.concat(lines.slice(cut));
+  }
+
+  async function generateResumeFile() {
+    const layer = selectedResumeLayer();
+    if (!gcodeRawText || !layer) return;
+
+    const printer = selectedPrinter();
+    const height = parseFloat(document.getElementById('gc-resume-height').value);
+    const opts = {
+      height: isNaN(height) ? null : height,
+      clearance: Math.max(0.5, parseFloat(document.getElementById('gc-resume-clearance').value) || 2),
+      zMode: document.getElementById('gc-resume-zmode').value,
+      nozzle: parseInt(document.getElementById('gc-resume-nozzle').value) || layer.nozzleTemp || gcodeAnalysis.nozzleTemp,
+      bed: parseInt(document.getElementById('gc-resume-bed').value) || layer.bedTemp || gcodeAnalysis.bedTemp,
+      flavor: printer ? printer.gcodeFlavor : 'marlin',
+      multiTool: (gcodeAnalysis.tools || []).length > 1
+    };
+    if (opts.height === null) opts.height = gcodeAnalysis.layers[layer.index - 2].z;
+
+    const text = buildResumeGcode(gcodeRawText.split('\n'), layer, opts).join('\n');
+    const suffix = `resume_L${layer.index}`;
+
+    let savePath = null;
+    if (gcodeArchive) {
+      savePath = await saveArchive(text, suffix);
+    } else {
+      try {
+        const baseName = gcodeFileName.replace(/\.(gcode|gco|g)$/i, '');
+        const ext = gcodeFileName.match(/\.(gcode|gco|g)$/i)?.[0] || '.gcode';
+        savePath = await window.api.saveFile({
+          defaultPath: `${baseName}_${suffix}${ext}`,
+          filters: [{ name: 'G-code Files', extensions: ['gcode', 'gco', 'g'] }]
+        });
+        if (savePath && !(await window.api.writeFile(savePath, text))) {
+          throw new Error(`Could not write ${savePath}`);
+        }
+      } catch (err) {
+        console.error('Failed to save resume G-code:', err);
+        alert('Could not save the resume file: ' + err.message);
+        return;
+      }
+    }
+    if (!savePath) return;
+
+    const printId = document.getElementById('gc-resume-print').value;
+    if (!printId) return;
+    try {
+      const record = await window.storage.getPrint(printId);
+      if (!record) return;
+      const resumeFiles = (record.resumeFiles || []).concat({
+        path: savePath,
+        layer: layer.index,
+        z: layer.z,
+        measuredHeight_mm: opts.height,
+        date: new Date().toISOString()
+      });
+      await window.storage.updatePrint(printId, { resumeFiles });
+      window.dispatchEvent(new CustomEvent('prints:changed'));
+      document.getElementById('gc-resume-hint').textContent = `Saved and linked to "${record.name}".`;
+    } catch (err) {
+      console.error('Failed to link resume file to print record:', err);
+    }
+  }
+
+  // ---- Time-lapse Parking ----
+
+  async function initTimelapse() {
+    try {
+      const settings = await window.storage.getSettings();
+      timelapseParking = settings[TIMELAPSE_SETTINGS_KEY] || {};
+    } catch (err) {
+      console.error('Failed to load time-lapse park positions:', err);
+    }
+    loadTimelapsePark();
+
+    document.getElementById('gc-pp-printer').addEventListener('change', loadTimelapsePark);
+    ['gc-timelapse-x', 'gc-timelapse-y'].forEach(id => {
+      document.getElementById(id).addEventListener('change', saveTimelapsePark);
+    });
+    ['gc-timelapse', 'gc-timelapse-zhop', 'gc-timelapse-retract', 'gc-timelapse-dwell',
+      'gc-timelapse-speed', 'gc-timelapse-m240'].forEach(id => {
+      document.getElementById(id).addEventListener('change', updateTimelapseImpact);
+    });
+  }
+
+  // Saved position for the target printer, or the back-right corner of its bed
+  function loadTimelapsePark() {
+    const printer = selectedPrinter();
+    const bed = printer ? printer.buildVolume : { x: 220, y: 220 };
+    const saved = printer ? timelapseParking[printer.id] : null;
+    document.getElementById('gc-timelapse-x').value = saved ? saved.x : bed.x - 10;
+    document.getElementById('gc-timelapse-y').value = saved ? saved.y : bed.y - 10;
+    document.getElementById('gc-timelapse-hint').textContent = printer
+      ? `Park position for the ${printer.shortName}${saved ? '' : ' (default)'} — remembered per printer.`
+      : 'Park position — remembered per printer.';
+    updateTimelapseImpact();
+  }
+
+  async function saveTimelapsePark() {
+    const printer = selectedPrinter();
+    if (!printer) return;
+    timelapseParking[printer.id] = {
+      x: parseFloat(document.getElementById('gc-timelapse-x').value) || 0,
+      y: parseFloat(document.getElementById('gc-timelapse-y').value) || 0
+    };
+    try {
+      await window.storage.saveSetting(TIMELAPSE_SETTINGS_KEY, timelapseParking);
+    } catch (err) {
+      console.error('Failed to save time-lapse park position:', err);
+    }
+    loadTimelapsePark();
+  }
+
+  function timelapseOptions() {
+    const num = (id, fallback) => {
+      const v = parseFloat(document.getElementById(id).value);
+      return isNaN(v) ? fallback : v;
+    };
+    return {
+      x: num('gc-timelapse-x', 0),
+      y: num('gc-timelapse-y', 0),
+      zHop: Math.max(0, num('gc-timelapse-zhop', 0.4)),
+      retract: Math.max(0, num('gc-timelapse-retract', 0.8)),
+      dwell_ms: Math.max(0, num('gc-timelapse-dwell', 500)),
+      speed: Math.max(1, num('gc-timelapse-speed', 150)),
+      m240: document.getElementById('gc-timelapse-m240').checked
+    };
+  }
+
+  /**
+   * Rough added time: a trip from the bed centre to the park spot and back, the dwell, the
+   * retract / hop moves and the shutter, once per layer after the first.
+   */
+  function estimateTimelapseImpact() {
+    if (!gcodeAnalysis || gcodeAnalysis.layerCount < 2) return null;
+    const opts = timelapseOptions();
+    const printer = selectedPrinter();
+    const bed = printer ? printer.buildVolume : { x: 220, y: 220 };
+    const zSpeed = printer ? printer.kinematics.maxSpeedZ : 10;
+
+    const trip = Math.hypot(opts.x - bed.x / 2, opts.y - bed.y / 2);
+    const perStop_s = 2 * trip / opts.speed + opts.dwell_ms / 1000 + 2 * opts.retract / 40 +
+      2 * opts.zHop / zSpeed + (opts.m240 ? 0.5 : 0);
+    const stops = gcodeAnalysis.layerCount - 1;
+    return { stops, perStop_s, minutes: stops * perStop_s / 60 };
+  }
+
+  function updateTimelapseImpact() {
+    const tag = document.getElementById('gc-timelapse-impact');
+    const impact = estimateTimelapseImpact();
+    if (!impact || !document.getElementById('gc-timelapse').checked) {
+      tag.textContent = '';
+      tag.style.display = 'none';
+    } else {
+      const total = (gcodeAnalysis.estimatedTime_min || 0) + impact.minutes;
+      tag.textContent = `+${formatDuration(impact.minutes)} · ${formatDuration(total)} total`;
+      tag.style.display = '';
+    }
+    updateModSummary();
+  }
+
+  // Park out of frame at the start of every layer after the first, then return to where the
+  // nozzle was. A layer starts where the parser starts one: the first extruding move more
+  // than 0.005 mm above the current layer, so Z-hops don't count and the parks match
+  // estimateTimelapseImpact. This runs on the pipeline's text because earlier steps shift
+  // lines. Retraction follows the file's extrusion mode; relative-positioned files are
+  // switched to absolute for the block and back.
+  function applyTimelapse(lines) {
+    if (!document.getElementById('gc-timelapse').checked) return lines;
+
+    const opts = timelapseOptions();
+    const out = [];
+    const tracker = createPositionTracker();
+    const f = (mmPerSec) => Math.round(mmPerSec * 60);
+    let layerZ = null;
+    let layer = 0;
+
+    for (let i = 0; i < lines.length; i++) {
+      const cmd = parseCommand(lines[i]);
+      const s = Object.assign({}, tracker.state);
+      if (cmd) tracker.update(cmd);
+      const t = tracker.state;
+      const arc = !!cmd && (cmd.code === 'G2' || cmd.code === 'G3');
+      const extruding = !!cmd && ['G0', 'G1', 'G2', 'G3'].includes(cmd.code) && t.e > s.e &&
+        (arc || t.x !== s.x || t.y !== s.y);
+
+      if (extruding && (layerZ === null || t.z > layerZ + 0.005)) {
+        layerZ = t.z;
+        layer++;
+        if (layer > 1) {
+          const retractTo = s.relativeE ? `-${fmtE(opts.retract)}` : fmtE(s.e - opts.retract);
+          const restoreTo = s.relativeE ? fmtE(opts.retract) : fmtE(s.e);
+
+          out.push(`; --- Time-lapse park (layer ${layer}) ---`);
+          if (s.relative) out.push('G90');
+          if (opts.retract > 0) out.push(`G1 E${retractTo} F2400`);
+          if (opts.zHop > 0) out.push(`G1 Z${fmtXY(s.z + opts.zHop)} F600`);
+          out.push(`G0 X${fmtXY(opts.x)} Y${fmtXY(opts.y)} F${f(opts.speed)}`);
+          out.push('M400');
+          if (opts.dwell_ms > 0) out.push(`G4 P${Math.round(opts.dwell_ms)}`);
+          if (opts.m240) out.push('M240 ; Trigger camera');
+          out.push(`G0 X${fmtXY(s.x)} Y${fmtXY(s.y)} F${f(opts.speed)}`);
+          if (opts.zHop > 0) out.push(`G1 Z${fmtXY(s.z)} F600`);
+          if (opts.retract > 0) out.push(`G1 E${restoreTo} F2400`);
+          if (s.relative) out.push('G91');
+          out.push('; --- End time-lapse park ---');
+        }
+      }
+
+      out.push(lines[i]);
+    }
+
+    return out;
+  }
+
+
   /**
    * Build a map of layer number -> line index where that layer starts.
    * Detects layer changes by Z-height changes in G0/G1 moves.
@@ -875,6 +3311,7 @@
   async function initTemplates() {
     await loadTemplates();
     renderTemplateList();
+    renderCalibrationTemplates();
 
     document.getElementById('gc-btn-new-template').addEventListener('click', () => {
       openTemplateModal(null);
@@ -932,12 +3369,6 @@
     emptyState.style.display = 'none';
     container.innerHTML = '';
 
-    const printerNames = {
-      bambu_a1: 'Bambu A1',
-      kobra_s1: 'Kobra S1',
-      generic: 'Generic'
-    };
-
     const purposeLabels = {
       'end-gcode': 'End G-code',
       'start-gcode': 'Start G-code',
@@ -951,7 +3382,7 @@
       const card = document.createElement('div');
       card.className = 'gc-template-card';
 
-      const printerLabel = printerNames[tpl.printer] || tpl.printer;
+      const printerLabel = tpl.printer === 'generic' ? 'Generic' : window.printerRegistry.getShortName(tpl.printer);
       const purposeLabel = purposeLabels[tpl.purpose] || tpl.purpose;
       const previewLines = (tpl.gcode || '').split('\n').slice(0, 8).join('\n');
       const builtInTag = tpl.builtIn ? '<span class="tag tag-success">Built-in</span>' : '';
@@ -1050,6 +3481,7 @@
 
     await persistTemplates();
     renderTemplateList();
+    renderCalibrationTemplates();
     closeModal('gc-template-modal');
   }
 
@@ -1060,10 +3492,129 @@
     templates = templates.filter(t => t.id !== id);
     await persistTemplates();
     renderTemplateList();
+    renderCalibrationTemplates();
     closeModal('gc-template-modal');
   }
 
 
+  // ---- Calibration ----
+
+  function initCalibration() {
+    const typeSelect = document.getElementById('gc-cal-type');
+    typeSelect.innerHTML = window.gcodeCalibration.types.map(t =>
+      `<option value="${t.id}">${escapeHtml(t.title)}</option>`
+    ).join('');
+
+    const materialSelect = document.getElementById('gc-cal-material');
+    materialSelect.innerHTML = Object.keys(window.materialDB).map(key =>
+      `<option value="${escapeHtml(key)}">${escapeHtml(window.materialDB[key].name)}</option>`
+    ).join('');
+
+    ['gc-cal-type', 'gc-cal-printer', 'gc-cal-material'].forEach(id => {
+      document.getElementById(id).addEventListener('change', renderCalibrationParams);
+    });
+    document.getElementById('gc-cal-printer').addEventListener('change', renderCalibrationTemplates);
+    document.getElementById('gc-btn-cal-open').addEventListener('click', openCalibrationInAnalyzer);
+    document.getElementById('gc-btn-cal-save').addEventListener('click', saveCalibration);
+
+    renderCalibrationTemplates();
+    renderCalibrationParams();
+  }
+
+  function calibrationContext() {
+    const printer = window.printerRegistry.get(document.getElementById('gc-cal-printer').value);
+    if (!printer) return null;
+    return window.gcodeCalibration.context(printer, document.getElementById('gc-cal-material').value);
+  }
+
+  // Parameter inputs for the chosen print, filled with the printer / material defaults
+  function renderCalibrationParams() {
+    const ctx = calibrationContext();
+    const type = window.gcodeCalibration.types.find(t => t.id === document.getElementById('gc-cal-type').value);
+    if (!ctx || !type) return;
+
+    const defaults = window.gcodeCalibration.defaults(type.id, ctx);
+    document.getElementById('gc-cal-desc').textContent = type.description;
+    document.getElementById('gc-cal-temps').textContent =
+      `${ctx.material.name} on ${ctx.printer.shortName}: nozzle ${ctx.nozzle}°C, bed ${ctx.bed}°C`;
+    document.getElementById('gc-cal-params').innerHTML = Object.keys(type.params).map(name => `
+      <div class="form-group">
+        <label class="form-label">${escapeHtml(type.params[name].label)}${type.params[name].unit ? ` (${escapeHtml(type.params[name].unit)})` : ''}</label>
+        <input type="number" class="form-input" step="any" data-cal-param="${name}" value="${defaults[name]}">
+      </div>
+    `).join('');
+    document.getElementById('gc-cal-summary').textContent = '';
+  }
+
+  // Start / end templates for the printer (or generic); the printer's own come first
+  function renderCalibrationTemplates() {
+    const printer = document.getElementById('gc-cal-printer').value;
+    const fill = (selectId, purpose) => {
+      const select = document.getElementById(selectId);
+      const matching = templates
+        .filter(t => t.purpose === purpose && (t.printer === printer || t.printer === 'generic'))
+        .sort((a, b) => (a.printer === printer ? 0 : 1) - (b.printer === printer ? 0 : 1));
+      select.innerHTML = '<option value="">Built-in default</option>' + matching.map(t =>
+        `<option value="${escapeHtml(t.id)}">${escapeHtml(t.name)}</option>`
+      ).join('');
+      if (matching.length > 0) select.value = matching[0].id;
+    };
+    fill('gc-cal-start', 'start-gcode');
+    fill('gc-cal-end', 'end-gcode');
+  }
+
+  function generateCalibration() {
+    const ctx = calibrationContext();
+    if (!ctx) return null;
+
+    const typeId = document.getElementById('gc-cal-type').value;
+    const params = {};
+    document.querySelectorAll('#gc-cal-params [data-cal-param]').forEach(input => {
+      params[input.dataset.calParam] = input.value;
+    });
+    const start = templates.find(t => t.id === document.getElementById('gc-cal-start').value);
+    const end = templates.find(t => t.id === document.getElementById('gc-cal-end').value);
+
+    try {
+      const { gcode, summary } = window.gcodeCalibration.generate(typeId, ctx, params, {
+        startGcode: start ? start.gcode : null,
+        endGcode: end ? end.gcode : null
+      });
+      document.getElementById('gc-cal-summary').textContent = summary.join(' · ');
+      const name = `${typeId}_${ctx.material.name.replace(/\W+/g, '')}_${ctx.printer.shortName.replace(/\W+/g, '')}.gcode`;
+      return { gcode, name };
+    } catch (err) {
+      console.error('Failed to generate calibration print:', err);
+      alert('Could not generate the calibration print: ' + err.message);
+      return null;
+    }
+  }
+
+  async function openCalibrationInAnalyzer() {
+    const generated = generateCalibration();
+    if (!generated) return;
+
+    document.querySelector('#gc-tab-bar [data-tab="gc-tab-analyzer"]').click();
+    const parsed = await parseWithProgress({ text: generated.gcode }, generated.name);
+    if (parsed) loadGcodeContent(parsed, generated.name);
+  }
+
+  async function saveCalibration() {
+    const generated = generateCalibration();
+    if (!generated) return;
+
+    try {
+      const savePath = await window.api.saveFile({
+        defaultPath: generated.name,
+        filters: [{ name: 'G-code Files', extensions: ['gcode'] }]
+      });
+      if (savePath) await window.api.writeFile(savePath, generated.gcode);
+    } catch (err) {
+      console.error('Failed to save calibration G-code:', err);
+    }
+  }
+
+
   // ---- Utility ----
 
   function escapeHtml(str) {
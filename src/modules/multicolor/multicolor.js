@@ -21,6 +21,7 @@
 
   async function init() {
     initTabs('#multicolor-module');
+    window.printerRegistry.populateSelect(document.getElementById('mc-batch-printer'));
     await loadInventory();
     bindEvents();
     renderLoadedFilaments();
@@ -57,9 +58,17 @@
     });
     document.getElementById('mc-btn-apply-matches').addEventListener('click', applyMatchesToSlotPlanner);
 
+    // Printer registry edits change the available slots
+    window.addEventListener('printers:changed', () => {
+      window.printerRegistry.populateSelect(document.getElementById('mc-batch-printer'));
+      renderLoadedFilaments();
+      renderSlotPlanner();
+    });
+
     // Purge estimator
     document.getElementById('mc-btn-calc-purge').addEventListener('click', calculatePurge);
     document.getElementById('mc-btn-purge-reset').addEventListener('click', resetPurgeDefaults);
+    document.getElementById('mc-btn-purge-from-gcode').addEventListener('click', fillPurgeFromGcode);
     document.getElementById('mc-purge-adv-toggle').addEventListener('click', () => {
       const section = document.getElementById('mc-purge-adv-section');
       const arrow = document.getElementById('mc-purge-adv-arrow');
@@ -346,7 +355,7 @@
       const printerFils = state.loadedFilaments.filter(f => f.printer === pId);
       let totalDist = 0;
       let matchCount = 0;
-      let canFit = state.neededColors.length <= profiles[pId].ams.totalSlots;
+      let canFit = state.neededColors.length <= window.printerRegistry.getColorCapacity(pId);
 
       state.neededColors.forEach(needed => {
         let bestDist = Infinity;
@@ -374,7 +383,7 @@
         avgScore,
         matchedColors: printerFils.length,
         canFit,
-        slotsAvailable: profiles[pId].ams.totalSlots
+        slotsAvailable: window.printerRegistry.getColorCapacity(pId)
       };
     });
 
@@ -520,38 +529,50 @@
 
     // ---- Printer comparison ----
 
-    // Bambu A1 Combo: uses standard purge tower, efficient with Bambu Studio optimizations
-    // Bambu typically has a purge multiplier of ~0.85x due to flushing optimization
-    const bambuMultiplier = 0.85;
-    const bambuWasteG = totalWasteG * bambuMultiplier;
-    const bambuSwapTimeSec = 12; // ~12s per AMS Lite swap
-    const bambuTimeImpactMin = (totalSwaps * bambuSwapTimeSec) / 60;
-    // Tower footprint: approximate as 16x16mm for Bambu
-    const bambuTowerMm = '16 x 16 mm';
-
-    document.getElementById('mc-purge-bambu-method').textContent = 'Purge tower (Bambu Studio optimized)';
-    document.getElementById('mc-purge-bambu-waste').textContent = bambuWasteG.toFixed(1) + 'g ($' + ((bambuWasteG / 1000) * costPerKg).toFixed(2) + ')';
-    document.getElementById('mc-purge-bambu-time').textContent = '+' + bambuTimeImpactMin.toFixed(0) + ' min';
-    document.getElementById('mc-purge-bambu-footprint').textContent = bambuTowerMm;
-
-    // Anycubic Kobra S1 Combo: Ace Pro dual units, standard purge tower
-    // Ace Pro is slightly less optimized, multiplier ~1.0x
-    const kobraMultiplier = 1.0;
-    const kobraWasteG = totalWasteG * kobraMultiplier;
-    const kobraSwapTimeSec = 15; // ~15s per Ace Pro swap
-    const kobraTimeImpactMin = (totalSwaps * kobraSwapTimeSec) / 60;
-    const kobraTowerMm = '18 x 18 mm';
-
-    document.getElementById('mc-purge-kobra-method').textContent = 'Purge tower (standard)';
-    document.getElementById('mc-purge-kobra-waste').textContent = kobraWasteG.toFixed(1) + 'g ($' + ((kobraWasteG / 1000) * costPerKg).toFixed(2) + ')';
-    document.getElementById('mc-purge-kobra-time').textContent = '+' + kobraTimeImpactMin.toFixed(0) + ' min';
-    document.getElementById('mc-purge-kobra-footprint').textContent = kobraTowerMm;
+    // Each printer scales the base waste by its own flushing efficiency and swap time
+    // (e.g. Bambu Studio purge matrices ~0.85x, ~12s per AMS Lite swap)
+    const printerPurge = window.printerRegistry.list()
+      .filter(p => p.ams.totalSlots > 1)
+      .map(p => {
+        const wasteG = totalWasteG * p.purge.multiplier;
+        return {
+          printer: p,
+          wasteG,
+          timeImpactMin: (totalSwaps * p.purge.swapTime_s) / 60
+        };
+      });
+
+    document.getElementById('mc-purge-printer-grid').innerHTML = printerPurge.map(({ printer: p, wasteG, timeImpactMin }) => `
+      <div class="mc-printer-purge-card">
+        <div class="mc-printer-purge-header">
+          <span class="mc-printer-purge-name">${esc(p.name)}</span>
+          <span class="tag">${esc(p.ams.units > 1 ? `${p.ams.units}x ${p.ams.type}` : p.ams.type)} &middot; ${p.ams.totalSlots} slots</span>
+        </div>
+        <div class="mc-printer-purge-body">
+          <div class="mc-purge-detail-row">
+            <span>Purge Method</span>
+            <span class="mc-purge-detail-val">${esc(p.purge.method)}</span>
+          </div>
+          <div class="mc-purge-detail-row">
+            <span>Waste Estimate</span>
+            <span class="mc-purge-detail-val">${wasteG.toFixed(1)}g ($${((wasteG / 1000) * costPerKg).toFixed(2)})</span>
+          </div>
+          <div class="mc-purge-detail-row">
+            <span>Print Time Impact</span>
+            <span class="mc-purge-detail-val">+${timeImpactMin.toFixed(0)} min</span>
+          </div>
+          <div class="mc-purge-detail-row">
+            <span>Purge Tower Footprint</span>
+            <span class="mc-purge-detail-val">${esc(p.purge.towerFootprint)}</span>
+          </div>
+        </div>
+      </div>`).join('');
 
     // ---- Waste Reduction Tips ----
-    renderPurgeTips(totalWasteG, totalSwaps, changesPerLayer, colors, purgeVolMm3, bambuWasteG, kobraWasteG);
+    renderPurgeTips(totalWasteG, totalSwaps, changesPerLayer, colors, purgeVolMm3, printerPurge);
   }
 
-  function renderPurgeTips(totalWasteG, totalSwaps, changesPerLayer, colors, purgeVol, bambuWaste, kobraWaste) {
+  function renderPurgeTips(totalWasteG, totalSwaps, changesPerLayer, colors, purgeVol, printerPurge) {
     const tips = [];
 
     // Tip: Reduce purge volume
@@ -590,12 +611,16 @@
       saving: '~30-60%'
     });
 
-    // Tip: Bambu advantage
-    if (bambuWaste < kobraWaste) {
+    // Tip: most efficient printer for this job
+    const byWaste = [...printerPurge].sort((a, b) => a.wasteG - b.wasteG);
+    const leanest = byWaste[0];
+    const heaviest = byWaste[byWaste.length - 1];
+    if (leanest && leanest.wasteG < heaviest.wasteG) {
+      const pct = Math.round((1 - leanest.printer.purge.multiplier / heaviest.printer.purge.multiplier) * 100);
       tips.push({
         icon: '&#x1F3C6;',
-        text: '<strong>Bambu Studio flushing optimization</strong> can save ~15% purge waste compared to standard purge towers, thanks to configurable per-color purge matrices.',
-        saving: '-' + (kobraWaste - bambuWaste).toFixed(0) + 'g'
+        text: `<strong>Print on the ${esc(leanest.printer.shortName)}</strong> (${esc(leanest.printer.purge.method.toLowerCase())}) to save ~${pct}% purge waste compared to the ${esc(heaviest.printer.shortName)}.`,
+        saving: '-' + (heaviest.wasteG - leanest.wasteG).toFixed(0) + 'g'
       });
     }
 
@@ -625,6 +650,64 @@
     `).join('');
   }
 
+  // Pre-fill the estimator from a sliced file's actual tool changes and flush volumes
+  async function fillPurgeFromGcode() {
+    const filePaths = await window.api.openFile({
+      filters: [{ name: 'G-code Files', extensions: ['gcode', 'gco', 'g', '3mf'] }]
+    });
+    if (!filePaths || filePaths.length === 0) return;
+
+    const filePath = filePaths[0];
+    const name = filePath.split(/[/\\]/).pop();
+    const hint = document.getElementById('mc-purge-gcode-hint');
+    hint.style.display = '';
+    hint.textContent = `Reading ${name}...`;
+
+    let result;
+    let source = name;
+    try {
+      if (window.gcode3mf.isArchiveName(name)) {
+        const archive = await window.gcode3mf.open(await window.api.readFileBinary(filePath));
+        const plate = archive.plates[0];
+        if (!plate) throw new Error('No sliced plate in package');
+        const text = await window.gcode3mf.readText(archive, plate.gcodePath);
+        ({ result } = await window.gcodeParser.parseFile({ text }).promise);
+        if (archive.plates.length > 1) source = `${name} (plate ${plate.index} of ${archive.plates.length})`;
+      } else {
+        ({ result } = await window.gcodeParser.parseFile({ filePath }).promise);
+      }
+    } catch (err) {
+      console.error('Failed to read G-code for purge estimate:', err);
+      hint.textContent = `Could not read ${name}: ${err.message}`;
+      return;
+    }
+
+    const changes = result.toolChanges;
+    if (changes.count === 0) {
+      hint.textContent = `${source} has no tool or colour changes.`;
+      return;
+    }
+
+    const layers = Math.max(1, changes.layersWithChanges);
+    document.getElementById('mc-purge-colors').value = Math.max(2, result.tools.length);
+    document.getElementById('mc-purge-changes').value = Math.max(1, Math.round(changes.count / layers));
+    document.getElementById('mc-purge-layers').value = layers;
+    if (result.purge.perChange_mm3 > 0) document.getElementById('mc-purge-volume').value = result.purge.perChange_mm3;
+    const density = result.filaments.length > 0 ? result.filaments[0].density : 0;
+    if (density > 0) document.getElementById('mc-purge-density').value = density;
+
+    // The slicer's flush matrix already shaped these volumes, so don't adjust them again
+    document.getElementById('mc-purge-ltd-reduction').value = 0;
+    document.getElementById('mc-purge-dtl-increase').value = 0;
+    document.getElementById('mc-purge-tower-infill').value = 100;
+
+    const systems = { ams: 'AMS', ace: 'ACE', toolchange: 'tool changer', m600: 'M600 manual swaps' };
+    hint.textContent = `From ${source}: ${changes.count} changes (${systems[changes.system] || changes.system}) on ${changes.layersWithChanges} layers, ` +
+      `${result.purge.weight_g}g flushed${result.purge.primeTower ? ' incl. prime tower' : ''}.`;
+
+    calculatePurge();
+  }
+
   function resetPurgeDefaults() {
     document.getElementById('mc-purge-colors').value = 4;
     document.getElementById('mc-purge-changes').value = 3;
@@ -636,6 +719,7 @@
     document.getElementById('mc-purge-dtl-increase').value = 20;
     document.getElementById('mc-purge-tower-infill').value = 100;
     document.getElementById('mc-purge-results-card').style.display = 'none';
+    document.getElementById('mc-purge-gcode-hint').style.display = 'none';
   }
 
   // ================================================================
@@ -1183,8 +1267,7 @@
   }
 
   function getPrinterShortName(printerId) {
-    const p = window.printerProfiles[printerId];
-    return p ? p.shortName : printerId || 'Unknown';
+    return printerId ? window.printerRegistry.getShortName(printerId) : 'Unknown';
   }
 
   function createEmptyState(id, icon, title, text) {
@@ -746,6 +746,7 @@
 
   async function init() {
     initTabs('#optimizer-module');
+    populatePrinterSelects();
     await loadCustomProfiles();
     renderBuiltinProfiles();
     renderCustomProfiles();
@@ -787,8 +788,8 @@
 
   function renderProfileCard(profile, isBuiltin) {
     const s = profile.settings;
-    const printerLabel = profile.printer === 'both' ? 'Both Printers' :
-      (profile.printer === 'bambu_a1' ? 'Bambu A1' : 'Kobra S1');
+    const printerLabel = profile.printer === 'both' ? 'Any Printer' :
+      window.printerRegistry.getShortName(profile.printer);
     const patternName = INFILL_PATTERNS[s.infillPattern] ? INFILL_PATTERNS[s.infillPattern].name : s.infillPattern;
 
     const tags = (profile.tags || []).map(t =>
@@ -862,6 +863,11 @@
     renderCustomProfiles();
   }
 
+  function populatePrinterSelects() {
+    window.printerRegistry.populateSelect(document.getElementById('opt-prof-filter-printer'), { useShortName: true });
+    window.printerRegistry.populateSelect(document.getElementById('opt-form-printer'));
+  }
+
   function bindProfileActions() {
     const module = document.getElementById('optimizer-module');
 
@@ -871,6 +877,12 @@
     });
     document.getElementById('opt-prof-search').addEventListener('input', renderAllProfiles);
 
+    // Printer registry edits
+    window.addEventListener('printers:changed', () => {
+      populatePrinterSelects();
+      renderAllProfiles();
+    });
+
     // New profile button
     document.getElementById('opt-btn-new-profile').addEventListener('click', () => openProfileModal(null));
 
@@ -999,7 +1011,13 @@
       const idx = customProfiles.findIndex(p => p.id === editingProfileId);
       if (idx !== -1) customProfiles[idx] = profile;
     } else {
-      await window.storage.addProfile(profile);
+      try {
+        await window.storage.addProfile(profile);
+      } catch (err) {
+        console.error('Error saving profile:', err);
+        alert('Could not save the profile: ' + err.message);
+        return;
+      }
       customProfiles.push(profile);
     }
 
@@ -1014,7 +1032,13 @@
     dup.builtin = false;
     delete dup.builtin;
 
-    await window.storage.addProfile(dup);
+    try {
+      await window.storage.addProfile(dup);
+    } catch (err) {
+      console.error('Error duplicating profile:', err);
+      alert('Could not duplicate the profile: ' + err.message);
+      return;
+    }
     customProfiles.push(dup);
     renderAllProfiles();
   }
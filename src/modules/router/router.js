@@ -4,48 +4,55 @@
 (function () {
   'use strict';
 
-  // ---- Editable Profile Overrides (synced from profile inputs) ----
-  // Start from window.printerProfiles, but allow user edits within this session.
-
-  let profileOverrides = {
-    bambu_a1: {
-      buildX: 256, buildY: 256, buildZ: 256,
-      maxSpeed: 500, amsSlots: 4,
-      maxNozzleTemp: 300, maxBedTemp: 100,
-      hasEnclosure: false,
-      materials: ['PLA', 'PLA+', 'PETG', 'TPU', 'PVA', 'PLA-CF']
-    },
-    kobra_s1: {
-      buildX: 220, buildY: 220, buildZ: 250,
-      maxSpeed: 300, amsSlots: 8,
-      maxNozzleTemp: 300, maxBedTemp: 110,
-      hasEnclosure: false,
-      materials: ['PLA', 'PLA+', 'PETG', 'TPU', 'ABS', 'ASA']
-    }
-  };
+  // ---- Editable Profile Overrides (synced from the printer registry) ----
+  // Flattened specs for every active printer; edits in the profile cards are saved back to the registry.
+
+  let profileOverrides = {};
+
+  const PROFILE_TEXT_FIELDS = ['name', 'shortName', 'amsType', 'hotend'];
 
-  // Sync overrides from the global printerProfiles on load
   function syncFromGlobalProfiles() {
-    const profiles = window.printerProfiles || {};
-    Object.keys(profiles).forEach(id => {
-      const p = profiles[id];
-      if (!profileOverrides[id]) return;
-      profileOverrides[id].buildX = p.buildVolume.x;
-      profileOverrides[id].buildY = p.buildVolume.y;
-      profileOverrides[id].buildZ = p.buildVolume.z;
-      profileOverrides[id].maxSpeed = p.maxSpeed;
-      profileOverrides[id].amsSlots = p.ams ? p.ams.totalSlots : 1;
-      profileOverrides[id].maxNozzleTemp = p.maxNozzleTemp;
-      profileOverrides[id].maxBedTemp = p.maxBedTemp;
-      profileOverrides[id].hasEnclosure = p.hasEnclosure;
-      profileOverrides[id].materials = [...p.supportedMaterials];
+    profileOverrides = {};
+    window.printerRegistry.list().forEach(p => {
+      profileOverrides[p.id] = {
+        name: p.name,
+        shortName: p.shortName,
+        buildX: p.buildVolume.x, buildY: p.buildVolume.y, buildZ: p.buildVolume.z,
+        maxSpeed: p.maxSpeed,
+        maxAccel: p.kinematics.maxAccel,
+        nozzleSize: p.nozzleSize,
+        hotend: p.hotend,
+        amsType: p.ams.type,
+        amsUnits: p.ams.units,
+        slotsPerUnit: p.ams.slotsPerUnit,
+        amsSlots: window.printerRegistry.getColorCapacity(p.id),
+        maxNozzleTemp: p.maxNozzleTemp,
+        maxBedTemp: p.maxBedTemp,
+        hasEnclosure: p.hasEnclosure,
+        features: [...p.features],
+        materials: [...p.supportedMaterials]
+      };
     });
   }
 
+  function printerLabel(printerId) {
+    return profileOverrides[printerId]
+      ? profileOverrides[printerId].shortName
+      : window.printerRegistry.getShortName(printerId);
+  }
+
+  // Print records list material labels like "PLA Black"; match on the material type
+  function usedMaterial(print, material) {
+    return print.material.some(label => label === material || label.startsWith(material + ' '));
+  }
+
   // ---- Cached data from async sources ----
   let cachedFilaments = [];
   let cachedPrints = [];
 
+  // Optional sliced file for the job: { name, filePath, times } — lets speed scoring use simulated print times
+  let jobGcode = null;
+
   // ---- DOM References ----
 
   const form = document.getElementById('rtr-job-form');
@@ -114,10 +121,61 @@
       flexibleMaterial: document.getElementById('rtr-req-flexible').checked,
       highTemp: document.getElementById('rtr-req-hightemp').checked,
       enclosedChamber: document.getElementById('rtr-req-enclosed').checked,
-      estWeight: parseFloat(document.getElementById('rtr-est-weight').value) || 0
+      estWeight: parseFloat(document.getElementById('rtr-est-weight').value) || 0,
+      printTimes: {}
     };
   }
 
+  // Simulate the loaded G-code on every active printer (minutes by printer id). Each run is
+  // streamed through the parser worker; times are kept per printer spec, so a repeat
+  // recommendation only re-simulates printers whose profile changed.
+  async function simulatePrintTimes() {
+    const times = {};
+    const job = jobGcode;
+    if (!job) return times;
+    for (const id of Object.keys(profileOverrides)) {
+      const printer = window.printerRegistry.get(id);
+      const key = JSON.stringify(printer);
+      if (!job.times[id] || job.times[id].key !== key) {
+        const { result } = await window.gcodeParser.parseFile({ filePath: job.filePath }, { printer }).promise;
+        job.times[id] = { key, minutes: result.timeEstimate.kinematic_min };
+      }
+      times[id] = job.times[id].minutes;
+    }
+    return times;
+  }
+
+  async function loadJobGcode() {
+    const filePaths = await window.api.openFile({
+      filters: [{ name: 'G-code Files', extensions: ['gcode', 'gco', 'g'] }]
+    });
+    if (!filePaths || filePaths.length === 0) return;
+
+    const nameEl = document.getElementById('rtr-gcode-name');
+    const name = filePaths[0].split(/[/\\]/).pop();
+    jobGcode = null;
+    nameEl.textContent = `Reading ${name}...`;
+
+    let a;
+    try {
+      ({ result: a } = await window.gcodeParser.parseFile({ filePath: filePaths[0] }).promise);
+    } catch (err) {
+      console.error('Failed to read G-code for the router:', err);
+      nameEl.textContent = `Could not read ${name}: ${err.message}`;
+      return;
+    }
+    jobGcode = { name, filePath: filePaths[0], times: {} };
+
+    // Pre-fill what the file can tell us
+    if (a.dimensions.x > 0) document.getElementById('rtr-dim-x').value = a.dimensions.x;
+    if (a.dimensions.y > 0) document.getElementById('rtr-dim-y').value = a.dimensions.y;
+    if (a.dimensions.z > 0) document.getElementById('rtr-dim-z').value = a.dimensions.z;
+    if (a.filamentWeight_g > 0) document.getElementById('rtr-est-weight').value = a.filamentWeight_g;
+    if (a.filaments.length > 1) document.getElementById('rtr-colors').value = a.filaments.length;
+
+    nameEl.textContent = jobGcode.name;
+  }
+
   // ---- Recommendation Engine ----
 
   // Evaluate a single printer against the job parameters.
@@ -126,7 +184,7 @@
     const prof = profileOverrides[printerId];
     if (!prof) return { score: 0, canPrint: false, reasons: [], advantages: [], limitations: [] };
 
-    const printerName = printerId === 'bambu_a1' ? 'Bambu A1' : 'Kobra S1';
+    const printerName = prof.shortName;
 
     let score = 50; // Start at neutral
     const reasons = [];
@@ -220,23 +278,35 @@
       }
     }
 
-    // Kobra wins at 5-8 colors due to dual Ace Pro
-    if (job.colors >= 5 && job.colors <= 8) {
-      if (printerId === 'kobra_s1' && prof.amsSlots >= 8) {
-        reasons.push({ type: 'pro', text: 'Dual Ace Pro handles 5-8 colors natively' });
-        advantages.push('8-color capability with dual Ace Pro');
-        score += 20;
-      } else if (printerId === 'bambu_a1' && prof.amsSlots < job.colors) {
-        // Already penalized above
-      }
+    // Multi-unit feeders (e.g. dual Ace Pro) handle 5+ colors natively
+    if (job.colors >= 5 && prof.amsUnits > 1 && prof.amsSlots >= job.colors) {
+      reasons.push({ type: 'pro', text: `${prof.amsUnits}x ${prof.amsType} on ${printerName} handles ${job.colors} colors natively` });
+      advantages.push(`${prof.amsSlots}-color capability with ${prof.amsUnits}x ${prof.amsType}`);
+      score += 20;
     }
 
     // ---- 4. SPEED CHECK ----
     // speedQuality: 0 = max speed, 100 = max quality
     const speedPriority = (100 - job.speedQuality) / 100; // 1.0 = max speed priority
-    if (speedPriority > 0.5) {
+    const simulatedTimes = Object.values(job.printTimes).filter(t => t > 0);
+    const printTime = job.printTimes[printerId] || 0;
+    if (speedPriority > 0.5 && printTime > 0) {
+      // A sliced file was supplied: compare simulated print times on each printer's motion limits
+      const quickest = Math.min(...simulatedTimes);
+      score += Math.round((quickest / printTime) * speedPriority * 15);
+      if (printTime === quickest) {
+        advantages.push(`Fastest simulated print time: ${formatDuration(printTime)}`);
+      } else {
+        advantages.push(`Simulated print time: ${formatDuration(printTime)}`);
+      }
+      if (printTime > quickest * 1.25 && speedPriority > 0.7) {
+        reasons.push({ type: 'warn', text: `${printerName} needs about ${formatDuration(printTime)} vs ${formatDuration(quickest)} on the quickest printer` });
+        limitations.push(`Slower for this file (${formatDuration(printTime)})`);
+      }
+    } else if (speedPriority > 0.5) {
       // User favors speed
-      const speedAdvantage = prof.maxSpeed / 500; // Normalized to Bambu's 500
+      const fastest = Math.max(...Object.values(profileOverrides).map(p => p.maxSpeed), 1);
+      const speedAdvantage = prof.maxSpeed / fastest; // Normalized to the fastest printer in the shop
       score += Math.round(speedAdvantage * speedPriority * 15);
       if (prof.maxSpeed >= 400) {
         advantages.push(`High speed: up to ${prof.maxSpeed}mm/s`);
@@ -283,7 +353,7 @@
 
     // ---- 7. FLEXIBLE MATERIAL CHECK ----
     if (job.flexibleMaterial) {
-      // Direct drive is essential for flex; both printers have it
+      // Direct drive is essential for flex
       // But slower printers handle flex better
       if (prof.maxSpeed <= 300) {
         advantages.push('Lower speed range suits flexible materials');
@@ -294,7 +364,7 @@
 
     // ---- 8. SUPPORT MATERIAL CHECK ----
     if (job.needsSupports) {
-      // PVA support is a big advantage (Bambu supports PVA)
+      // PVA support is a big advantage
       if (prof.materials.includes('PVA')) {
         advantages.push('PVA water-soluble supports available');
         score += 8;
@@ -304,19 +374,14 @@
     }
 
     // ---- 9. SPECIAL FEATURES ----
-    // Give Bambu a bonus for LiDAR / auto-calibration (reliability)
-    if (printerId === 'bambu_a1') {
-      const globalProfile = (window.printerProfiles || {}).bambu_a1;
-      if (globalProfile && globalProfile.features) {
-        if (globalProfile.features.includes('LiDAR')) {
-          advantages.push('LiDAR first-layer inspection');
-          score += 3;
-        }
-        if (globalProfile.features.includes('Vibration compensation')) {
-          advantages.push('Vibration compensation for better quality at speed');
-          score += 3;
-        }
-      }
+    // Bonus for LiDAR / vibration compensation (reliability)
+    if (prof.features.includes('LiDAR')) {
+      advantages.push('LiDAR first-layer inspection');
+      score += 3;
+    }
+    if (prof.features.includes('Vibration compensation')) {
+      advantages.push('Vibration compensation for better quality at speed');
+      score += 3;
     }
 
     // ---- 10. FILAMENT AVAILABILITY ----
@@ -354,7 +419,7 @@
 
     // ---- 11. PRINT HISTORY CHECK ----
     const similarPrints = cachedPrints.filter(p =>
-      p.printer === printerId && p.material === job.material
+      p.printer === printerId && usedMaterial(p, job.material)
     );
     const successPrints = similarPrints.filter(p => p.status === 'success');
     const failedPrints = similarPrints.filter(p => p.status === 'failed');
@@ -381,63 +446,60 @@
     return { score, canPrint, reasons, advantages, limitations };
   }
 
-  // Run the full recommendation engine.
-  // Returns { recommended, bambuResult, kobraResult, confidence, reasoning }
+  // Run the full recommendation engine across every active printer.
+  // Returns { recommended, results, ranked, tied, confidence, reasoning }
   function runRecommendation(job) {
-    const bambu = evaluatePrinter('bambu_a1', job);
-    const kobra = evaluatePrinter('kobra_s1', job);
+    const results = {};
+    Object.keys(profileOverrides).forEach(id => {
+      results[id] = evaluatePrinter(id, job);
+    });
+
+    // Printers that can take the job, best score first
+    const ranked = Object.keys(results)
+      .filter(id => results[id].canPrint)
+      .sort((a, b) => results[b].score - results[a].score);
 
     let recommended = null;
     let confidence = 0;
+    let tied = [];
     const reasoning = [];
+    const allReasons = Object.values(results).flatMap(r => r.reasons);
 
-    const bothCanPrint = bambu.canPrint && kobra.canPrint;
-    const neitherCanPrint = !bambu.canPrint && !kobra.canPrint;
-
-    if (neitherCanPrint) {
+    if (ranked.length === 0) {
       recommended = 'neither';
       confidence = 0;
-      reasoning.push({ type: 'con', text: 'Neither printer can handle this job as configured' });
+      reasoning.push({ type: 'con', text: 'No printer can handle this job as configured' });
       // Collect all blocking reasons
-      bambu.reasons.filter(r => r.type === 'con').forEach(r => reasoning.push(r));
-      kobra.reasons.filter(r => r.type === 'con').forEach(r => reasoning.push(r));
+      allReasons.filter(r => r.type === 'con').forEach(r => reasoning.push(r));
       reasoning.push({ type: 'info', text: 'Consider adjusting model size, material choice, or printer upgrades' });
-    } else if (bambu.canPrint && !kobra.canPrint) {
-      recommended = 'bambu_a1';
-      confidence = Math.min(95, bambu.score);
-      reasoning.push({ type: 'pro', text: 'Bambu A1 is the only printer that can handle this job' });
-      kobra.reasons.filter(r => r.type === 'con').forEach(r => reasoning.push(r));
-    } else if (!bambu.canPrint && kobra.canPrint) {
-      recommended = 'kobra_s1';
-      confidence = Math.min(95, kobra.score);
-      reasoning.push({ type: 'pro', text: 'Kobra S1 is the only printer that can handle this job' });
-      bambu.reasons.filter(r => r.type === 'con').forEach(r => reasoning.push(r));
+    } else if (ranked.length === 1) {
+      recommended = ranked[0];
+      confidence = Math.min(95, results[recommended].score);
+      reasoning.push({ type: 'pro', text: `${printerLabel(recommended)} is the only printer that can handle this job` });
+      Object.keys(results)
+        .filter(id => id !== recommended)
+        .forEach(id => results[id].reasons.filter(r => r.type === 'con').forEach(r => reasoning.push(r)));
     } else {
-      // Both can print — compare scores
-      const scoreDiff = Math.abs(bambu.score - kobra.score);
+      // Several can print — compare the leaders
+      const best = results[ranked[0]];
+      tied = ranked.filter(id => best.score - results[id].score < 5);
 
-      if (scoreDiff < 5) {
+      if (tied.length > 1) {
         // Too close to call
         recommended = 'either';
-        confidence = Math.round((bambu.score + kobra.score) / 2);
-        reasoning.push({ type: 'info', text: 'Both printers are equally suitable for this job' });
-      } else if (bambu.score > kobra.score) {
-        recommended = 'bambu_a1';
-        confidence = Math.min(95, Math.round(50 + scoreDiff * 0.8));
+        confidence = Math.round(tied.reduce((sum, id) => sum + results[id].score, 0) / tied.length);
+        reasoning.push({ type: 'info', text: `${tied.map(printerLabel).join(', ')} are equally suitable for this job` });
       } else {
-        recommended = 'kobra_s1';
+        recommended = ranked[0];
+        const scoreDiff = best.score - results[ranked[1]].score;
         confidence = Math.min(95, Math.round(50 + scoreDiff * 0.8));
       }
 
-      // Collect the winning reasons
-      const winner = recommended === 'bambu_a1' ? bambu : (recommended === 'kobra_s1' ? kobra : bambu);
-      const loser = recommended === 'bambu_a1' ? kobra : (recommended === 'kobra_s1' ? bambu : kobra);
-
       // Add the key differentiating reasons
-      winner.reasons.filter(r => r.type === 'pro').forEach(r => reasoning.push(r));
+      best.reasons.filter(r => r.type === 'pro').forEach(r => reasoning.push(r));
 
-      // Add info/warn items from both
-      [...bambu.reasons, ...kobra.reasons]
+      // Add info/warn items from every printer
+      allReasons
         .filter(r => r.type === 'info' || r.type === 'warn')
         .forEach(r => {
           // Avoid duplicates
@@ -447,7 +509,7 @@
         });
     }
 
-    return { recommended, bambuResult: bambu, kobraResult: kobra, confidence, reasoning };
+    return { recommended, results, ranked, tied, confidence, reasoning };
   }
 
   // ---- Render Results ----
@@ -455,7 +517,7 @@
   function renderRecommendation(result) {
     resultsArea.style.display = 'block';
 
-    const { recommended, bambuResult, kobraResult, confidence, reasoning } = result;
+    const { recommended, results, ranked, tied, confidence, reasoning } = result;
 
     // --- Recommendation Banner ---
     const banner = document.getElementById('rtr-recommendation-banner');
@@ -465,18 +527,14 @@
     const printerEl = document.getElementById('rtr-rec-printer');
     const confEl = document.getElementById('rtr-rec-confidence');
 
-    if (recommended === 'bambu_a1') {
-      banner.classList.add('rtr-rec-bambu');
-      iconEl.textContent = '\uD83D\uDDA8\uFE0F';
-      printerEl.textContent = 'Bambu Lab A1 Combo';
-    } else if (recommended === 'kobra_s1') {
-      banner.classList.add('rtr-rec-kobra');
-      iconEl.textContent = '\uD83D\uDDA8\uFE0F';
-      printerEl.textContent = 'Anycubic Kobra S1 Combo';
-    } else if (recommended === 'either') {
+    if (recommended === 'either') {
       banner.classList.add('rtr-rec-either');
       iconEl.textContent = '\u2696\uFE0F';
-      printerEl.textContent = 'Either Printer Works';
+      printerEl.textContent = tied.length === 2 ? 'Either Printer Works' : `${tied.length} Printers Work Equally`;
+    } else if (recommended !== 'neither') {
+      banner.classList.add('rtr-rec-single');
+      iconEl.textContent = '\uD83D\uDDA8\uFE0F';
+      printerEl.textContent = profileOverrides[recommended].name;
     } else {
       banner.classList.add('rtr-rec-neither');
       iconEl.textContent = '\u26A0\uFE0F';
@@ -512,25 +570,34 @@
     // Override / use buttons
     const btnUse = document.getElementById('rtr-btn-use-recommended');
     const btnOverride = document.getElementById('rtr-btn-override');
+    const overrideSelect = document.getElementById('rtr-override-printer');
+    const chosen = recommended === 'either' ? tied[0] : recommended;
+    const others = Object.keys(profileOverrides).filter(id => id !== chosen);
+
     if (recommended === 'neither') {
       btnUse.style.display = 'none';
       btnOverride.style.display = 'none';
-    } else if (recommended === 'either') {
-      btnUse.textContent = 'Use Bambu A1';
-      btnUse.style.display = '';
-      btnOverride.textContent = 'Use Kobra S1';
-      btnOverride.style.display = '';
+      overrideSelect.style.display = 'none';
     } else {
-      btnUse.textContent = `Use ${recommended === 'bambu_a1' ? 'Bambu A1' : 'Kobra S1'}`;
+      btnUse.dataset.printer = chosen;
+      btnUse.textContent = `Use ${printerLabel(chosen)}`;
       btnUse.style.display = '';
-      const otherName = recommended === 'bambu_a1' ? 'Kobra S1' : 'Bambu A1';
-      btnOverride.textContent = `Override \u2014 Use ${otherName}`;
-      btnOverride.style.display = '';
+
+      // Capable printers first, in score order
+      others.sort((a, b) => (ranked.indexOf(a) === -1) - (ranked.indexOf(b) === -1) || results[b].score - results[a].score);
+      overrideSelect.innerHTML = others.map(id =>
+        `<option value="${escapeHtml(id)}">${escapeHtml(printerLabel(id))}${results[id].canPrint ? '' : ' (cannot print)'}</option>`
+      ).join('');
+      btnOverride.textContent = recommended === 'either' ? 'Use' : 'Override \u2014 Use';
+      btnOverride.style.display = others.length > 0 ? '' : 'none';
+      overrideSelect.style.display = others.length > 0 ? '' : 'none';
     }
 
     // --- Side-by-Side Comparison ---
-    renderComparisonCard('bambu_a1', bambuResult, recommended);
-    renderComparisonCard('kobra_s1', kobraResult, recommended);
+    const grid = document.getElementById('rtr-comparison-grid');
+    grid.innerHTML = '';
+    const order = [...ranked, ...Object.keys(results).filter(id => !ranked.includes(id))];
+    order.forEach(id => renderComparisonCard(id, results[id], recommended, tied));
 
     // --- Filament Availability ---
     renderFilamentAvailability();
@@ -542,11 +609,19 @@
     resultsArea.scrollIntoView({ behavior: 'smooth', block: 'start' });
   }
 
-  function renderComparisonCard(printerId, result, recommended) {
-    const card = document.getElementById(`rtr-compare-${printerId}`);
-    const body = document.getElementById(`rtr-compare-body-${printerId}`);
-    const tag = document.getElementById(`rtr-tag-${printerId}`);
+  function renderComparisonCard(printerId, result, recommended, tied) {
     const prof = profileOverrides[printerId];
+    const card = document.createElement('div');
+    card.innerHTML = `
+      <div class="rtr-compare-header">
+        <div class="rtr-compare-name">${escapeHtml(prof.name)}</div>
+        <span class="tag">--</span>
+      </div>
+      <div class="rtr-compare-body"></div>
+    `;
+    const body = card.querySelector('.rtr-compare-body');
+    const tag = card.querySelector('.tag');
+    document.getElementById('rtr-comparison-grid').appendChild(card);
 
     // Card border styling
     card.className = 'rtr-compare-card';
@@ -561,7 +636,7 @@
     if (recommended === printerId) {
       tag.classList.add('tag-success');
       tag.textContent = 'Recommended';
-    } else if (recommended === 'either') {
+    } else if (recommended === 'either' && tied.includes(printerId)) {
       tag.classList.add('tag-success');
       tag.textContent = 'Suitable';
     } else if (!result.canPrint) {
@@ -656,10 +731,7 @@
     }
 
     container.innerHTML = matching.map(f => {
-      const printerName = f.printer === 'bambu_a1' ? 'Bambu A1'
-        : f.printer === 'kobra_s1' ? 'Kobra S1'
-        : 'Storage';
-      const locationDetail = f.printer ? `Loaded on ${printerName}` : 'In storage (not loaded)';
+      const locationDetail = f.location ? `Loaded on ${printerLabel(f.location.printer)}` : 'In storage (not loaded)';
       const color = f.colorHex || '#888';
       const name = [f.brand, f.color, f.material].filter(Boolean).join(' ');
       const remaining = Math.round(f.weightRemaining_g);
@@ -677,7 +749,7 @@
   function renderPastPrints() {
     const job = getJobParams();
     const container = document.getElementById('rtr-history-list');
-    const similar = cachedPrints.filter(p => p.material === job.material).slice(0, 10);
+    const similar = cachedPrints.filter(p => usedMaterial(p, job.material)).slice(0, 10);
 
     if (similar.length === 0) {
       container.innerHTML = `<div class="empty-state" style="padding:24px;">
@@ -689,15 +761,15 @@
     }
 
     container.innerHTML = similar.map(p => {
-      const printerLabel = p.printer === 'bambu_a1' ? 'Bambu A1' : (p.printer === 'kobra_s1' ? 'Kobra S1' : p.printer);
+      const printerName = printerLabel(p.printer);
       const statusTag = p.status === 'success' ? '<span class="tag tag-success">Success</span>'
         : p.status === 'failed' ? '<span class="tag tag-danger">Failed</span>'
         : '<span class="tag tag-warning">Cancelled</span>';
       const date = p.date ? formatDate(p.date) : '';
       return `<div class="rtr-history-row">
         <div class="rtr-history-name">${escapeHtml(p.name || 'Untitled')}</div>
-        <div class="rtr-history-printer">${escapeHtml(printerLabel)}</div>
-        <div class="rtr-history-material">${escapeHtml(p.material || '')}</div>
+        <div class="rtr-history-printer">${escapeHtml(printerName)}</div>
+        <div class="rtr-history-material">${escapeHtml(p.material.join(', '))}</div>
         ${statusTag}
         <div class="text-sm text-muted">${escapeHtml(date)}</div>
       </div>`;
@@ -731,7 +803,7 @@
     });
 
     // Show confirmation
-    const name = chosenPrinter === 'bambu_a1' ? 'Bambu Lab A1 Combo' : 'Anycubic Kobra S1 Combo';
+    const name = window.printerRegistry.getName(chosenPrinter);
     const action = wasOverride ? 'Override logged' : 'Choice logged';
     if (window.notifications && typeof window.notifications.show === 'function') {
       window.notifications.show(`${action}: ${name}`, 'success');
@@ -742,6 +814,136 @@
 
   // ---- Profile Management ----
 
+  function renderProfileCards() {
+    const grid = document.getElementById('rtr-profiles-grid');
+    grid.innerHTML = Object.keys(profileOverrides).map(id => {
+      const prof = profileOverrides[id];
+      const attrs = field => `class="form-input rtr-profile-input" data-printer="${escapeHtml(id)}" data-field="${field}"`;
+      return `<div class="rtr-profile-card" id="rtr-profile-${escapeHtml(id)}">
+        <div class="flex items-center justify-between mb-sm">
+          <h4 class="rtr-profile-name" style="margin-bottom:0;">${escapeHtml(prof.name)}</h4>
+          <div class="flex gap-sm">
+            <button class="btn btn-secondary btn-sm rtr-btn-clone-printer" data-printer="${escapeHtml(id)}">Clone</button>
+            <button class="btn btn-secondary btn-sm rtr-btn-retire-printer" data-printer="${escapeHtml(id)}">Retire</button>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group" style="flex:2">
+            <label class="form-label">Name</label>
+            <input type="text" ${attrs('name')}>
+          </div>
+          <div class="form-group">
+            <label class="form-label">Short Name</label>
+            <input type="text" ${attrs('shortName')}>
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label">Build X (mm)</label>
+            <input type="number" ${attrs('buildX')} min="1">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Build Y (mm)</label>
+            <input type="number" ${attrs('buildY')} min="1">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Build Z (mm)</label>
+            <input type="number" ${attrs('buildZ')} min="1">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label">Max Speed (mm/s)</label>
+            <input type="number" ${attrs('maxSpeed')} min="1">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Max Accel (mm/s&sup2;)</label>
+            <input type="number" ${attrs('maxAccel')} min="1">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Nozzle (mm)</label>
+            <input type="number" ${attrs('nozzleSize')} min="0.1" step="0.05">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Max Nozzle (&deg;C)</label>
+            <input type="number" ${attrs('maxNozzleTemp')} min="1">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label">Feeder Type</label>
+            <input type="text" ${attrs('amsType')} placeholder="e.g. AMS Lite">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Feeder Units</label>
+            <input type="number" ${attrs('amsUnits')} min="0">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Slots / Unit</label>
+            <input type="number" ${attrs('slotsPerUnit')} min="0">
+          </div>
+        </div>
+        <div class="form-row">
+          <div class="form-group">
+            <label class="form-label">Max Bed (&deg;C)</label>
+            <input type="number" ${attrs('maxBedTemp')} min="1">
+          </div>
+          <div class="form-group">
+            <label class="form-label">Hotend</label>
+            <select class="form-select rtr-profile-input" data-printer="${escapeHtml(id)}" data-field="hotend">
+              <option value="standard">Standard flow</option>
+              <option value="high-flow">High flow</option>
+            </select>
+          </div>
+          <div class="form-group">
+            <label class="form-label">
+              <label class="form-checkbox">
+                <input type="checkbox" class="rtr-profile-check" data-printer="${escapeHtml(id)}" data-field="hasEnclosure">
+                Enclosed
+              </label>
+            </label>
+          </div>
+        </div>
+        <div class="form-group">
+          <label class="form-label">Supported Materials</label>
+          <input type="text" ${attrs('materials')}>
+        </div>
+      </div>`;
+    }).join('');
+
+    grid.querySelectorAll('.rtr-btn-clone-printer').forEach(btn => {
+      btn.addEventListener('click', () => window.printerRegistry.clone(btn.dataset.printer));
+    });
+    grid.querySelectorAll('.rtr-btn-retire-printer').forEach(btn => {
+      btn.addEventListener('click', () => {
+        const name = window.printerRegistry.getName(btn.dataset.printer);
+        if (confirm(`Retire ${name}? It will be hidden from printer lists but kept in print history.`)) {
+          window.printerRegistry.retire(btn.dataset.printer);
+        }
+      });
+    });
+
+    renderRetiredPrinters();
+    populateProfileInputs();
+  }
+
+  function renderRetiredPrinters() {
+    const container = document.getElementById('rtr-retired-printers');
+    const retired = window.printerRegistry.list({ includeRetired: true }).filter(p => p.retired);
+    if (retired.length === 0) {
+      container.innerHTML = '';
+      return;
+    }
+    container.innerHTML = `<span class="text-sm text-muted">Retired:</span> ${retired.map(p =>
+      `<span class="tag">${escapeHtml(p.name)}
+        <button class="rtr-btn-restore-printer" data-printer="${escapeHtml(p.id)}" title="Restore">&#x21BA;</button>
+      </span>`
+    ).join(' ')}`;
+    container.querySelectorAll('.rtr-btn-restore-printer').forEach(btn => {
+      btn.addEventListener('click', () => window.printerRegistry.restore(btn.dataset.printer));
+    });
+  }
+
   function readProfileInputs() {
     document.querySelectorAll('.rtr-profile-input').forEach(input => {
       const printer = input.dataset.printer;
@@ -750,6 +952,8 @@
 
       if (field === 'materials') {
         profileOverrides[printer].materials = input.value.split(',').map(s => s.trim()).filter(Boolean);
+      } else if (PROFILE_TEXT_FIELDS.includes(field)) {
+        profileOverrides[printer][field] = input.value.trim();
       } else {
         profileOverrides[printer][field] = parseFloat(input.value) || 0;
       }
@@ -761,6 +965,10 @@
       if (!printer || !field || !profileOverrides[printer]) return;
       profileOverrides[printer][field] = input.checked;
     });
+
+    Object.values(profileOverrides).forEach(prof => {
+      prof.amsSlots = Math.max(1, prof.amsUnits * prof.slotsPerUnit);
+    });
   }
 
   function populateProfileInputs() {
@@ -783,33 +991,40 @@
     });
   }
 
-  function resetProfilesToDefaults() {
-    syncFromGlobalProfiles();
-    populateProfileInputs();
+  async function resetProfilesToDefaults() {
+    const builtIn = Object.keys(profileOverrides).filter(id => window.printerRegistry.hasDefaults(id));
+    for (const id of builtIn) {
+      await window.printerRegistry.resetToDefaults(id);
+    }
   }
 
   async function saveProfiles() {
     readProfileInputs();
-    await window.storage.save('router-profiles.json', profileOverrides);
+    // Snapshot first: each registry update re-syncs profileOverrides
+    const updates = Object.entries(profileOverrides).map(([id, prof]) => [id, {
+      name: prof.name || id,
+      shortName: prof.shortName,
+      buildVolume: { x: prof.buildX, y: prof.buildY, z: prof.buildZ },
+      maxSpeed: prof.maxSpeed,
+      kinematics: { maxAccel: prof.maxAccel },
+      nozzleSize: prof.nozzleSize,
+      hotend: prof.hotend,
+      maxNozzleTemp: prof.maxNozzleTemp,
+      maxBedTemp: prof.maxBedTemp,
+      hasEnclosure: prof.hasEnclosure,
+      ams: { type: prof.amsType || 'None', units: prof.amsUnits, slotsPerUnit: prof.slotsPerUnit },
+      supportedMaterials: prof.materials
+    }]);
+    for (const [id, update] of updates) {
+      await window.printerRegistry.update(id, update);
+    }
     if (window.notifications && typeof window.notifications.show === 'function') {
       window.notifications.show('Printer profiles saved', 'success');
     }
   }
 
-  async function loadSavedProfiles() {
-    try {
-      const saved = await window.storage.load('router-profiles.json');
-      if (saved && typeof saved === 'object') {
-        Object.keys(saved).forEach(id => {
-          if (profileOverrides[id]) {
-            Object.assign(profileOverrides[id], saved[id]);
-          }
-        });
-      }
-    } catch (e) {
-      // No saved profiles, use defaults
-    }
-    populateProfileInputs();
+  async function addPrinter() {
+    await window.printerRegistry.add({ name: 'New Printer' });
   }
 
   // ---- Utility ----
@@ -843,6 +1058,16 @@
       }
 
       const job = getJobParams();
+      if (jobGcode) {
+        const nameEl = document.getElementById('rtr-gcode-name');
+        nameEl.textContent = `${jobGcode.name} — simulating on each printer...`;
+        try {
+          job.printTimes = await simulatePrintTimes();
+        } catch (err) {
+          console.error('Print time simulation failed:', err);
+        }
+        if (jobGcode) nameEl.textContent = jobGcode.name;
+      }
 
       // Basic validation
       if (!job.material) {
@@ -865,6 +1090,8 @@
     btnReset.addEventListener('click', () => {
       if (form) form.reset();
       resultsArea.style.display = 'none';
+      jobGcode = null;
+      document.getElementById('rtr-gcode-name').textContent = '';
       // Reset slider labels
       if (valSpeedQuality) valSpeedQuality.textContent = 'Balanced';
       if (valStrengthFinish) valStrengthFinish.textContent = 'Balanced';
@@ -872,44 +1099,43 @@
   }
 
   // Use recommended button
-  document.getElementById('rtr-btn-use-recommended')?.addEventListener('click', () => {
-    const printerEl = document.getElementById('rtr-rec-printer');
-    const text = printerEl.textContent;
-    let chosen = null;
-    if (text.includes('Bambu')) chosen = 'bambu_a1';
-    else if (text.includes('Kobra')) chosen = 'kobra_s1';
-    else {
-      // "Either" — default to bambu (button says "Use Bambu A1")
-      chosen = 'bambu_a1';
-    }
+  document.getElementById('rtr-btn-use-recommended')?.addEventListener('click', (e) => {
+    const chosen = e.currentTarget.dataset.printer;
     if (chosen) logChoice(chosen, false);
   });
 
-  // Override button
+  // Override button — uses the printer picked next to it
   document.getElementById('rtr-btn-override')?.addEventListener('click', () => {
-    const printerEl = document.getElementById('rtr-rec-printer');
-    const text = printerEl.textContent;
-    let chosen = null;
-    if (text.includes('Bambu')) chosen = 'kobra_s1';
-    else if (text.includes('Kobra')) chosen = 'bambu_a1';
-    else {
-      // "Either" — override button says "Use Kobra S1"
-      chosen = 'kobra_s1';
-    }
+    const chosen = document.getElementById('rtr-override-printer').value;
     if (chosen) logChoice(chosen, true);
   });
 
-  // Profile save / reset buttons
+  // Optional sliced file
+  document.getElementById('rtr-btn-load-gcode')?.addEventListener('click', () => {
+    loadJobGcode();
+  });
+
+  // Profile save / reset / add buttons
   document.getElementById('rtr-btn-save-profiles')?.addEventListener('click', () => {
     saveProfiles();
   });
   document.getElementById('rtr-btn-reset-profiles')?.addEventListener('click', () => {
     resetProfilesToDefaults();
   });
+  document.getElementById('rtr-btn-add-printer')?.addEventListener('click', () => {
+    addPrinter();
+  });
+
+  // Registry edits (here or elsewhere) invalidate the flattened specs and any shown results
+  window.addEventListener('printers:changed', () => {
+    syncFromGlobalProfiles();
+    renderProfileCards();
+    resultsArea.style.display = 'none';
+  });
 
   // ---- Initialize ----
 
   syncFromGlobalProfiles();
-  loadSavedProfiles();
+  renderProfileCards();
 
 })();
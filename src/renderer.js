@@ -195,6 +195,144 @@ function formatDateTime(isoString) {
   return d.toLocaleDateString('en-US', { month: 'short', day: 'numeric', year: 'numeric', hour: 'numeric', minute: '2-digit' });
 }
 
+// ---- Backup & Restore ----
+
+let pendingArchive = null;   // { archive, rows, fileName } between preview and import
+
+function escapeHtml(str) {
+  const div = document.createElement('div');
+  div.textContent = str == null ? '' : String(str);
+  return div.innerHTML;
+}
+
+function initDataArchive() {
+  const close = () => {
+    closeModal('data-archive-modal');
+    pendingArchive = null;
+  };
+  document.getElementById('open-data-archive').addEventListener('click', () => {
+    resetDataArchiveModal();
+    openModal('data-archive-modal');
+  });
+  document.getElementById('data-archive-close-x').addEventListener('click', close);
+  document.getElementById('data-archive-close').addEventListener('click', close);
+  document.getElementById('data-archive-export').addEventListener('click', exportDataArchive);
+  document.getElementById('data-archive-import').addEventListener('click', previewDataArchive);
+  document.getElementById('data-archive-apply').addEventListener('click', applyDataArchive);
+  document.getElementById('data-archive-reload').addEventListener('click', () => location.reload());
+  document.getElementById('data-archive-mode').addEventListener('change', renderArchiveConflicts);
+  document.getElementById('data-archive-conflict').addEventListener('change', renderArchiveConflicts);
+}
+
+function resetDataArchiveModal() {
+  pendingArchive = null;
+  document.getElementById('data-archive-preview').classList.add('hidden');
+  document.getElementById('data-archive-report').classList.add('hidden');
+  document.getElementById('data-archive-apply').classList.add('hidden');
+  document.getElementById('data-archive-reload').classList.add('hidden');
+  document.getElementById('data-archive-mode').value = 'merge';
+  document.getElementById('data-archive-conflict').value = 'local';
+}
+
+async function exportDataArchive() {
+  try {
+    const savePath = await window.dataArchive.exportToFile();
+    if (savePath) window.notifications.send('Backup saved', savePath);
+  } catch (err) {
+    console.error('Export failed:', err);
+    alert('Could not export: ' + err.message);
+  }
+}
+
+async function previewDataArchive() {
+  const filePaths = await window.api.openFile({
+    filters: [{ name: 'PrintHQ Backup', extensions: ['json'] }]
+  });
+  if (!filePaths || filePaths.length === 0) return;
+
+  resetDataArchiveModal();
+  try {
+    const text = await window.api.readFile(filePaths[0]);
+    if (text === null) throw new Error('The file could not be read.');
+    const archive = await window.dataArchive.parse(text);
+    const rows = await window.dataArchive.diff(archive);
+    pendingArchive = { archive, rows, fileName: filePaths[0].split(/[\\/]/).pop() };
+  } catch (err) {
+    console.error('Import preview failed:', err);
+    alert('Could not open backup: ' + err.message);
+    return;
+  }
+
+  const { archive, rows, fileName } = pendingArchive;
+  document.getElementById('data-archive-source').textContent =
+    `${fileName} — exported ${formatDateTime(archive.manifest.createdAt)}`;
+  document.getElementById('data-archive-diff').innerHTML = rows.map(r => `<tr>
+      <td>${escapeHtml(r.label)}</td>
+      <td>${r.archiveCount}</td>
+      <td>${r.added.length || '-'}</td>
+      <td class="${r.conflicts.length ? 'data-archive-conflict-cell' : ''}">${r.conflicts.length || '-'}</td>
+      <td>${r.unchanged || '-'}</td>
+      <td>${r.localOnly || '-'}</td>
+    </tr>`).join('');
+  renderArchiveConflicts();
+  document.getElementById('data-archive-preview').classList.remove('hidden');
+  document.getElementById('data-archive-apply').classList.remove('hidden');
+}
+
+// What the chosen mode will do with entries that exist on both sides
+function renderArchiveConflicts() {
+  const el = document.getElementById('data-archive-conflicts');
+  if (!pendingArchive) return;
+  const mode = document.getElementById('data-archive-mode').value;
+  document.getElementById('data-archive-conflict').disabled = mode === 'replace';
+
+  const conflicted = pendingArchive.rows.filter(r => r.conflicts.length > 0);
+  const removed = pendingArchive.rows.reduce((sum, r) => sum + r.localOnly, 0);
+  let html = '';
+  if (conflicted.length > 0) {
+    html += '<div class="data-archive-conflicts-title">Different in the backup:</div><ul>' +
+      conflicted.map(r => `<li><strong>${escapeHtml(r.label)}</strong>: ${r.conflicts.slice(0, 8).map(c => escapeHtml(c.name)).join(', ')}` +
+        `${r.conflicts.length > 8 ? ` and ${r.conflicts.length - 8} more` : ''}</li>`).join('') + '</ul>';
+  }
+  if (mode === 'replace' && removed > 0) {
+    html += `<div class="data-archive-warning">Replace removes ${removed} ${removed === 1 ? 'entry' : 'entries'} that only exist on this PC.</div>`;
+  }
+  el.innerHTML = html;
+}
+
+async function applyDataArchive() {
+  if (!pendingArchive) return;
+  const mode = document.getElementById('data-archive-mode').value;
+  const onConflict = document.getElementById('data-archive-conflict').value;
+  if (mode === 'replace' && !confirm('Replace the collections in this backup? Entries that only exist on this PC will be lost.')) return;
+
+  let report;
+  try {
+    report = await window.dataArchive.apply(pendingArchive.archive, pendingArchive.rows, { mode, onConflict });
+  } catch (err) {
+    console.error('Import failed:', err);
+    alert('Import failed: ' + err.message);
+    return;
+  }
+  pendingArchive = null;
+
+  const failed = report.filter(r => !r.ok);
+  const kept = report.filter(r => r.kept.length > 0);
+  const reportEl = document.getElementById('data-archive-report');
+  reportEl.innerHTML = `
+    <div class="data-archive-conflicts-title">${failed.length ? 'Import finished with errors' : 'Import finished'}</div>
+    <ul>${report.map(r => `<li><strong>${escapeHtml(r.label)}</strong>: ${r.ok
+      ? `${r.added} added, ${r.updated} updated${r.removed ? `, ${r.removed} removed` : ''}`
+      : '<span class="data-archive-warning">not saved</span>'}</li>`).join('')}</ul>
+    ${kept.length ? `<div class="text-sm text-muted">Kept the version on this PC for: ${kept.map(r =>
+      `${escapeHtml(r.label)} (${r.kept.map(escapeHtml).join(', ')})`).join('; ')}</div>` : ''}
+    <div class="text-sm text-muted">Reload PrintHQ to see the imported data.</div>`;
+  document.getElementById('data-archive-preview').classList.add('hidden');
+  document.getElementById('data-archive-apply').classList.add('hidden');
+  reportEl.classList.remove('hidden');
+  document.getElementById('data-archive-reload').classList.remove('hidden');
+}
+
 // ---- App Init ----
 
 async function initApp() {
@@ -204,7 +342,11 @@ async function initApp() {
     document.documentElement.setAttribute('data-theme', settings.theme);
   }
 
+  // Printer registry must be ready before any module renders printer lists
+  await window.printerRegistry.load();
+
   initNavigation();
+  initDataArchive();
 
   // Load dashboard by default
   await switchModule('dashboard');
@@ -0,0 +1,224 @@
+// Backup archive — every PrintHQ collection in one file with a manifest
+// Import compares an archive with the local data first, then merges it by id or replaces it.
+
+const ARCHIVE_FORMAT = 'printhq-backup';
+const ARCHIVE_FORMAT_VERSION = 1;
+
+window.dataArchive = {
+  // Collections an archive carries, in the order they are listed
+  COLLECTIONS: [
+    { file: 'prints.json', label: 'Print history' },
+    { file: 'filaments.json', label: 'Filament spools' },
+    { file: 'profiles.json', label: 'Print profiles' },
+    { file: 'printers.json', label: 'Printers' },
+    { file: 'router-profiles.json', label: 'Router profiles (legacy)' },
+    { file: 'router-choices.json', label: 'Router choices' },
+    { file: 'gcode-templates.json', label: 'G-code templates' },
+    { file: 'gcode-recipes.json', label: 'Post-processing recipes' },
+    { file: 'multicolor-plans.json', label: 'Multi-color plans' },
+    { file: 'settings.json', label: 'Settings' }
+  ],
+
+  /**
+   * Snapshot of all local data: { manifest, collections }.
+   * The manifest records the schema version of each collection so an import on a newer
+   * PrintHQ can upgrade it first.
+   */
+  async build() {
+    const collections = {};
+    for (const { file } of this.COLLECTIONS) {
+      const data = await window.storage.load(file);
+      if (data !== null && data !== undefined) collections[file] = data;
+    }
+    const entries = {};
+    Object.entries(collections).forEach(([file, data]) => { entries[file] = { entries: this._count(data) }; });
+    return {
+      manifest: {
+        format: ARCHIVE_FORMAT,
+        formatVersion: ARCHIVE_FORMAT_VERSION,
+        createdAt: new Date().toISOString(),
+        schemaVersions: await window.api.getSchemaVersions(),
+        collections: entries
+      },
+      collections
+    };
+  },
+
+  // Ask where to save and write the archive; resolves to the path, or null when cancelled
+  async exportToFile() {
+    const archive = await this.build();
+    const stamp = archive.manifest.createdAt.slice(0, 10);
+    const savePath = await window.api.saveFile({
+      defaultPath: `printhq-backup-${stamp}.json`,
+      filters: [{ name: 'PrintHQ Backup', extensions: ['json'] }]
+    });
+    if (!savePath) return null;
+    const ok = await window.api.writeFile(savePath, JSON.stringify(archive, null, 2));
+    if (!ok) throw new Error('The backup file could not be written.');
+    return savePath;
+  },
+
+  /**
+   * Parse and check an archive. Collections are upgraded to this build's schema versions;
+   * ones this build doesn't know are skipped. Throws with a readable message.
+   */
+  async parse(text) {
+    let archive;
+    try {
+      archive = JSON.parse(text);
+    } catch {
+      throw new Error('This file is not a PrintHQ backup (it is not valid JSON).');
+    }
+    const manifest = archive && archive.manifest;
+    if (!manifest || manifest.format !== ARCHIVE_FORMAT || !this._isObject(archive.collections)) {
+      throw new Error('This file is not a PrintHQ backup.');
+    }
+    if (manifest.formatVersion > ARCHIVE_FORMAT_VERSION) {
+      throw new Error('This backup was made by a newer version of PrintHQ.');
+    }
+
+    const known = new Set(this.COLLECTIONS.map(c => c.file));
+    const versions = manifest.schemaVersions || {};
+    const collections = {};
+    for (const [file, data] of Object.entries(archive.collections)) {
+      if (!known.has(file)) continue;
+      const upgraded = await window.api.migrateData(file, data, versions[file] || 1);
+      if (upgraded === null) throw new Error(`${file} in this backup could not be read.`);
+      collections[file] = upgraded;
+    }
+    return { manifest, collections };
+  },
+
+  /**
+   * Compare an archive with the local data, one row per collection in the archive:
+   * { file, label, kind, archiveCount, added, conflicts, unchanged, localOnly }
+   * kind 'records' (lists keyed by id) and 'keys' (objects keyed by property) list the
+   * ids that differ on both sides in conflicts as { id, name }; kind 'whole' has no ids,
+   * so the collection as a whole is one conflict when it differs.
+   */
+  async diff(archive) {
+    const rows = [];
+    for (const { file, label } of this.COLLECTIONS) {
+      if (!(file in archive.collections)) continue;
+      const incoming = archive.collections[file];
+      const local = await window.storage.load(file);
+      const row = { file, label, archiveCount: this._count(incoming), added: [], conflicts: [], unchanged: 0, localOnly: 0 };
+
+      const theirs = this._keyed(incoming);
+      const ours = local === null || local === undefined ? { kind: null, map: new Map() } : this._keyed(local);
+      if (theirs && ours && (ours.kind === null || ours.kind === theirs.kind)) {
+        row.kind = theirs.kind;
+        theirs.map.forEach((value, id) => {
+          if (!ours.map.has(id)) row.added.push(id);
+          else if (this._same(value, ours.map.get(id))) row.unchanged++;
+          else row.conflicts.push({ id, name: this._name(value, id) });
+        });
+        ours.map.forEach((value, id) => { if (!theirs.map.has(id)) row.localOnly++; });
+      } else {
+        row.kind = 'whole';
+        if (local === null || local === undefined) row.added.push(file);
+        else if (this._same(incoming, local)) row.unchanged = 1;
+        else row.conflicts.push({ id: file, name: label });
+      }
+      rows.push(row);
+    }
+    return rows;
+  },
+
+  /**
+   * Write an archive into local storage.
+   * mode — 'merge': add what is missing locally and settle conflicts per onConflict
+   *        ('local' keeps ours, 'archive' takes theirs); 'replace': the archive's
+   *        collections overwrite the local ones.
+   * Returns one report row per collection: { file, label, added, updated, removed, kept, ok }
+   * where kept names the local entries that won a conflict.
+   */
+  async apply(archive, rows, { mode, onConflict }) {
+    const report = [];
+    for (const row of rows) {
+      const incoming = archive.collections[row.file];
+      const result = { file: row.file, label: row.label, added: row.added.length, updated: 0, removed: 0, kept: [], ok: true };
+      let data;
+
+      if (mode === 'replace') {
+        data = incoming;
+        result.updated = row.conflicts.length;
+        result.removed = row.localOnly;
+      } else {
+        const takeTheirs = onConflict === 'archive';
+        result.updated = takeTheirs ? row.conflicts.length : 0;
+        result.kept = takeTheirs ? [] : row.conflicts.map(c => c.name);
+        if (row.added.length === 0 && !(takeTheirs && row.conflicts.length > 0)) {
+          report.push(result);
+          continue;
+        }
+        data = this._merge(row, await window.storage.load(row.file), incoming, takeTheirs);
+      }
+
+      result.ok = (await window.storage.save(row.file, data)) !== false;
+      report.push(result);
+    }
+    return report;
+  },
+
+  // ---- Internals ----
+
+  _merge(row, local, incoming, takeTheirs) {
+    if (row.kind === 'whole') return local === null || local === undefined || takeTheirs ? incoming : local;
+
+    const conflictIds = new Set(row.conflicts.map(c => c.id));
+    const added = new Set(row.added);
+    if (row.kind === 'keys') {
+      const merged = Object.assign({}, local);
+      Object.entries(incoming).forEach(([key, value]) => {
+        if (added.has(key) || (takeTheirs && conflictIds.has(key))) merged[key] = value;
+      });
+      return merged;
+    }
+
+    const theirs = new Map(incoming.map(r => [String(r.id), r]));
+    const merged = (local || []).map(r => (takeTheirs && conflictIds.has(String(r.id)) ? theirs.get(String(r.id)) : r));
+    incoming.forEach(r => { if (added.has(String(r.id))) merged.push(r); });
+    // Print history is kept newest first
+    if (row.file === 'prints.json') merged.sort((a, b) => String(b.date || '').localeCompare(String(a.date || '')));
+    return merged;
+  },
+
+  // { kind, map } for lists of records with ids and for plain objects, null otherwise
+  _keyed(data) {
+    if (Array.isArray(data)) {
+      if (!data.every(r => this._isObject(r) && r.id !== undefined && r.id !== null)) return null;
+      return { kind: 'records', map: new Map(data.map(r => [String(r.id), r])) };
+    }
+    if (this._isObject(data)) return { kind: 'keys', map: new Map(Object.entries(data)) };
+    return null;
+  },
+
+  _count(data) {
+    if (Array.isArray(data)) return data.length;
+    if (this._isObject(data)) return Object.keys(data).length;
+    return 1;
+  },
+
+  _name(value, id) {
+    if (this._isObject(value) && (value.name || value.label)) return `${value.name || value.label}`;
+    return id;
+  },
+
+  // Deep equality that ignores property order
+  _same(a, b) {
+    return this._stable(a) === this._stable(b);
+  },
+
+  _stable(value) {
+    if (Array.isArray(value)) return `[${value.map(v => this._stable(v)).join(',')}]`;
+    if (this._isObject(value)) {
+      return `{${Object.keys(value).sort().map(k => `${JSON.stringify(k)}:${this._stable(value[k])}`).join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  },
+
+  _isObject(v) {
+    return v !== null && typeof v === 'object' && !Array.isArray(v);
+  }
+};
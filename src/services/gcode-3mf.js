@@ -0,0 +1,309 @@
+// .gcode.3mf archive support — client-side zip reader/writer for Bambu Studio / OrcaSlicer plate packages
+// Archives are unpacked in memory; nothing leaves the machine.
+
+window.gcode3mf = {
+  isArchiveName(fileName) {
+    return /\.3mf$/i.test(fileName || '');
+  },
+
+  /**
+   * Open a .gcode.3mf package.
+   * Returns { entries, plates } where each plate carries its G-code path,
+   * thumbnail path and whatever slice_info.config reports for it.
+   */
+  async open(arrayBuffer) {
+    const bytes = new Uint8Array(arrayBuffer);
+    const entries = this._readCentralDirectory(bytes);
+    const archive = { entries, plates: [] };
+
+    let sliceInfo = {};
+    if (entries.has('Metadata/slice_info.config')) {
+      sliceInfo = this.parseSliceInfo(await this.readText(archive, 'Metadata/slice_info.config'));
+    }
+
+    for (const name of entries.keys()) {
+      const m = name.match(/^Metadata\/plate_(\d+)\.gcode$/i);
+      if (!m) continue;
+      const index = parseInt(m[1]);
+      const thumb = `Metadata/plate_${index}.png`;
+      archive.plates.push({
+        index,
+        gcodePath: name,
+        thumbnailPath: entries.has(thumb) ? thumb : null,
+        ...(sliceInfo[index] || this._emptyPlateInfo())
+      });
+    }
+    archive.plates.sort((a, b) => a.index - b.index);
+
+    if (archive.plates.length === 0) {
+      throw new Error('No sliced plates found — export the project with "Export plate sliced file" first.');
+    }
+    return archive;
+  },
+
+  async readBytes(archive, name) {
+    const entry = archive.entries.get(name);
+    if (!entry) return null;
+    if (entry.method === 0) return entry.data;
+    if (entry.method !== 8) throw new Error(`Unsupported compression method ${entry.method} for ${name}`);
+    return this._inflate(entry.data);
+  },
+
+  async readText(archive, name) {
+    const bytes = await this.readBytes(archive, name);
+    return bytes ? new TextDecoder().decode(bytes) : null;
+  },
+
+  // Object URL for a plate thumbnail; caller revokes it
+  async thumbnailUrl(archive, plate) {
+    if (!plate.thumbnailPath) return null;
+    const bytes = await this.readBytes(archive, plate.thumbnailPath);
+    return URL.createObjectURL(new Blob([bytes], { type: 'image/png' }));
+  },
+
+  /**
+   * Rebuild the archive with one plate's G-code replaced.
+   * The plate's .md5 sidecar is regenerated so the printer accepts the file.
+   */
+  async buildWithPlate(archive, plate, gcodeText) {
+    const gcodeBytes = new TextEncoder().encode(gcodeText);
+    const replacements = new Map([[plate.gcodePath, gcodeBytes]]);
+    const md5Path = `${plate.gcodePath}.md5`;
+    if (archive.entries.has(md5Path)) {
+      replacements.set(md5Path, new TextEncoder().encode(this._md5Hex(gcodeBytes).toUpperCase()));
+    }
+    return this._writeArchive(archive, replacements);
+  },
+
+  /**
+   * Parse Metadata/slice_info.config into per-plate info keyed by plate index.
+   */
+  parseSliceInfo(xmlText) {
+    const plates = {};
+    if (!xmlText) return plates;
+
+    const doc = new DOMParser().parseFromString(xmlText, 'application/xml');
+    doc.querySelectorAll('plate').forEach(plateEl => {
+      const meta = {};
+      plateEl.querySelectorAll(':scope > metadata').forEach(m => {
+        meta[m.getAttribute('key')] = m.getAttribute('value');
+      });
+      const index = parseInt(meta.index) || 1;
+
+      const info = this._emptyPlateInfo();
+      info.estimatedTime_min = meta.prediction ? Math.round(parseFloat(meta.prediction) / 60) : 0;
+      info.weight_g = parseFloat(meta.weight) || 0;
+      info.printerModelId = meta.printer_model_id || '';
+      info.nozzleDiameter = parseFloat(meta.nozzle_diameters) || 0;
+      info.objects = [...plateEl.querySelectorAll(':scope > object')].map(o => o.getAttribute('name') || '');
+      info.filaments = [...plateEl.querySelectorAll(':scope > filament')].map(f => ({
+        id: parseInt(f.getAttribute('id')) || 0,
+        type: f.getAttribute('type') || '',
+        color: f.getAttribute('color') || '',
+        used_m: parseFloat(f.getAttribute('used_m')) || 0,
+        used_g: parseFloat(f.getAttribute('used_g')) || 0
+      }));
+      plates[index] = info;
+    });
+
+    return plates;
+  },
+
+  _emptyPlateInfo() {
+    return { estimatedTime_min: 0, weight_g: 0, printerModelId: '', nozzleDiameter: 0, objects: [], filaments: [] };
+  },
+
+  // ---- Zip reading ----
+
+  _readCentralDirectory(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+
+    // End of central directory record sits in the last 64 KB (max comment length)
+    let eocd = -1;
+    for (let i = bytes.length - 22; i >= Math.max(0, bytes.length - 65557); i--) {
+      if (view.getUint32(i, true) === 0x06054b50) { eocd = i; break; }
+    }
+    if (eocd === -1) throw new Error('Not a valid 3MF/zip archive.');
+
+    const count = view.getUint16(eocd + 10, true);
+    let offset = view.getUint32(eocd + 16, true);
+    if (offset === 0xffffffff) throw new Error('ZIP64 archives are not supported.');
+
+    const decoder = new TextDecoder();
+    const entries = new Map();
+
+    for (let n = 0; n < count; n++) {
+      if (view.getUint32(offset, true) !== 0x02014b50) throw new Error('Corrupt zip central directory.');
+      const method = view.getUint16(offset + 10, true);
+      const modTime = view.getUint16(offset + 12, true);
+      const modDate = view.getUint16(offset + 14, true);
+      const crc = view.getUint32(offset + 16, true);
+      const compressedSize = view.getUint32(offset + 20, true);
+      const size = view.getUint32(offset + 24, true);
+      const nameLen = view.getUint16(offset + 28, true);
+      const extraLen = view.getUint16(offset + 30, true);
+      const commentLen = view.getUint16(offset + 32, true);
+      const localOffset = view.getUint32(offset + 42, true);
+      const name = decoder.decode(bytes.subarray(offset + 46, offset + 46 + nameLen));
+
+      // Data starts after the local header, whose name/extra lengths can differ from the central copy
+      const localNameLen = view.getUint16(localOffset + 26, true);
+      const localExtraLen = view.getUint16(localOffset + 28, true);
+      const dataStart = localOffset + 30 + localNameLen + localExtraLen;
+
+      entries.set(name, {
+        name, method, modTime, modDate, crc, compressedSize, size,
+        data: bytes.subarray(dataStart, dataStart + compressedSize)
+      });
+
+      offset += 46 + nameLen + extraLen + commentLen;
+    }
+
+    return entries;
+  },
+
+  async _inflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  },
+
+  async _deflate(data) {
+    const stream = new Blob([data]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return new Uint8Array(await new Response(stream).arrayBuffer());
+  },
+
+  // ---- Zip writing ----
+
+  async _writeArchive(archive, replacements) {
+    const encoder = new TextEncoder();
+    const records = [];
+
+    for (const entry of archive.entries.values()) {
+      if (replacements.has(entry.name)) {
+        const raw = replacements.get(entry.name);
+        const data = await this._deflate(raw);
+        records.push({
+          ...entry, method: 8, data, crc: this._crc32(raw),
+          compressedSize: data.length, size: raw.length
+        });
+      } else {
+        records.push(entry);
+      }
+    }
+
+    const chunks = [];
+    const central = [];
+    let offset = 0;
+
+    records.forEach(r => {
+      const nameBytes = encoder.encode(r.name);
+
+      const local = new DataView(new ArrayBuffer(30));
+      local.setUint32(0, 0x04034b50, true);
+      local.setUint16(4, 20, true);
+      local.setUint16(6, 0x0800, true);       // UTF-8 names
+      local.setUint16(8, r.method, true);
+      local.setUint16(10, r.modTime, true);
+      local.setUint16(12, r.modDate, true);
+      local.setUint32(14, r.crc, true);
+      local.setUint32(18, r.compressedSize, true);
+      local.setUint32(22, r.size, true);
+      local.setUint16(26, nameBytes.length, true);
+      local.setUint16(28, 0, true);
+
+      const cd = new DataView(new ArrayBuffer(46));
+      cd.setUint32(0, 0x02014b50, true);
+      cd.setUint16(4, 20, true);
+      cd.setUint16(6, 20, true);
+      cd.setUint16(8, 0x0800, true);
+      cd.setUint16(10, r.method, true);
+      cd.setUint16(12, r.modTime, true);
+      cd.setUint16(14, r.modDate, true);
+      cd.setUint32(16, r.crc, true);
+      cd.setUint32(20, r.compressedSize, true);
+      cd.setUint32(24, r.size, true);
+      cd.setUint16(28, nameBytes.length, true);
+      cd.setUint32(42, offset, true);
+
+      chunks.push(new Uint8Array(local.buffer), nameBytes, r.data);
+      central.push(new Uint8Array(cd.buffer), nameBytes);
+      offset += 30 + nameBytes.length + r.data.length;
+    });
+
+    const cdSize = central.reduce((sum, c) => sum + c.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, records.length, true);
+    end.setUint16(10, records.length, true);
+    end.setUint32(12, cdSize, true);
+    end.setUint32(16, offset, true);
+
+    const parts = [...chunks, ...central, new Uint8Array(end.buffer)];
+    const out = new Uint8Array(parts.reduce((sum, p) => sum + p.length, 0));
+    let pos = 0;
+    parts.forEach(p => { out.set(p, pos); pos += p.length; });
+    return out;
+  },
+
+  // ---- Checksums ----
+
+  _crc32(bytes) {
+    if (!this._crcTable) {
+      this._crcTable = new Uint32Array(256);
+      for (let n = 0; n < 256; n++) {
+        let c = n;
+        for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+        this._crcTable[n] = c >>> 0;
+      }
+    }
+    let crc = 0xffffffff;
+    for (let i = 0; i < bytes.length; i++) {
+      crc = this._crcTable[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+    }
+    return (crc ^ 0xffffffff) >>> 0;
+  },
+
+  // Bambu firmware verifies plate_N.gcode against plate_N.gcode.md5
+  _md5Hex(bytes) {
+    const S = [7, 12, 17, 22, 5, 9, 14, 20, 4, 11, 16, 23, 6, 10, 15, 21];
+    const K = new Uint32Array(64);
+    for (let i = 0; i < 64; i++) K[i] = Math.floor(Math.abs(Math.sin(i + 1)) * 0x100000000);
+
+    const bitLen = bytes.length * 8;
+    const padded = new Uint8Array(((bytes.length + 72) >>> 6) << 6);
+    padded.set(bytes);
+    padded[bytes.length] = 0x80;
+    const tail = new DataView(padded.buffer);
+    tail.setUint32(padded.length - 8, bitLen >>> 0, true);
+    tail.setUint32(padded.length - 4, Math.floor(bitLen / 0x100000000), true);
+
+    let a0 = 0x67452301, b0 = 0xefcdab89, c0 = 0x98badcfe, d0 = 0x10325476;
+    const M = new Uint32Array(16);
+
+    for (let off = 0; off < padded.length; off += 64) {
+      for (let j = 0; j < 16; j++) M[j] = tail.getUint32(off + j * 4, true);
+      let a = a0, b = b0, c = c0, d = d0;
+
+      for (let i = 0; i < 64; i++) {
+        let f, g;
+        if (i < 16) { f = (b & c) | (~b & d); g = i; }
+        else if (i < 32) { f = (d & b) | (~d & c); g = (5 * i + 1) % 16; }
+        else if (i < 48) { f = b ^ c ^ d; g = (3 * i + 5) % 16; }
+        else { f = c ^ (b | ~d); g = (7 * i) % 16; }
+
+        const s = S[(i >>> 4) * 4 + (i % 4)];
+        const sum = (a + f + K[i] + M[g]) >>> 0;
+        a = d; d = c; c = b;
+        b = (b + ((sum << s) | (sum >>> (32 - s)))) >>> 0;
+      }
+
+      a0 = (a0 + a) >>> 0; b0 = (b0 + b) >>> 0; c0 = (c0 + c) >>> 0; d0 = (d0 + d) >>> 0;
+    }
+
+    return [a0, b0, c0, d0].map(w => {
+      let hex = '';
+      for (let i = 0; i < 4; i++) hex += ((w >>> (i * 8)) & 0xff).toString(16).padStart(2, '0');
+      return hex;
+    }).join('');
+  }
+};
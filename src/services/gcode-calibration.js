@@ -0,0 +1,428 @@
+// Calibration print generators — temperature/retraction towers, flow cubes, PA/LA patterns, first-layer squares
+// Each generator writes plain G-code for one printer profile, with defaults drawn from the material DB.
+
+const CALIBRATION_FILAMENT_DIAMETER = 1.75;
+const CALIBRATION_TRAVEL_SPEED = 150;   // mm/s
+const CALIBRATION_Z_SPEED = 10;         // mm/s
+
+// Nozzle temperatures within the material's range, never above what the printer allows
+const clampNozzleTemp = (v, c) => Math.min(c.printer.maxNozzleTemp, Math.max(c.material.nozzleMin, v));
+
+/*
+ * Generator shape:
+ *   id, title, description
+ *   params — { name: { label, unit, default(ctx), clamp(value, ctx)? } }; ctx is
+ *            { printer, material, nozzle, bed }. clamp limits both the default and a user value.
+ *   build(w, ctx, p) — draws the print with the writer from createCalibrationWriter()
+ *
+ * Start and end G-code come from the caller (the user's templates) or the flavor defaults below.
+ */
+const CALIBRATION_TYPES = [
+  {
+    id: 'temp-tower',
+    title: 'Temperature tower',
+    description: 'Stacked blocks printed hottest first, stepping down through the material\'s nozzle range. Pick the block with the best bridging, overhangs and layer bonding.',
+    params: {
+      tempStart: { label: 'Start (bottom block)', unit: '°C', default: (c) => c.material.nozzleMax, clamp: clampNozzleTemp },
+      tempEnd: { label: 'End (top block)', unit: '°C', default: (c) => c.material.nozzleMin, clamp: clampNozzleTemp },
+      tempStep: { label: 'Step', unit: '°C', default: () => 5 },
+      blockHeight: { label: 'Block height', unit: 'mm', default: () => 8 },
+      size: { label: 'Block size', unit: 'mm', default: () => 20 },
+      speed: { label: 'Print speed', unit: 'mm/s', default: () => 60 }
+    },
+    build(w, ctx, p) {
+      const step = Math.max(1, Math.abs(p.tempStep)) * (p.tempEnd < p.tempStart ? -1 : 1);
+      const temps = [];
+      for (let t = p.tempStart; step < 0 ? t >= p.tempEnd : t <= p.tempEnd; t += step) temps.push(t);
+      const layersPerBlock = Math.max(1, Math.round(p.blockHeight / w.layerHeight));
+      const blocks = Math.min(temps.length, Math.floor(ctx.printer.buildVolume.z / p.blockHeight));
+      const { cx, cy } = w.center;
+
+      for (let b = 0; b < blocks; b++) {
+        for (let l = 0; l < layersPerBlock; l++) {
+          w.nextLayer();
+          if (b === 0 && l === 0) w.skirt(cx, cy, p.size, p.size);
+          if (l === 0) {
+            w.comment(`Block ${b + 1}: ${temps[b]}°C`);
+            w.raw(`M104 S${temps[b]}`);
+          }
+          w.perimeters(cx, cy, p.size, p.size, 2, p.speed);
+        }
+      }
+      w.summary.push(`${blocks} blocks: ${temps.slice(0, blocks).join(', ')}°C`);
+    }
+  },
+  {
+    id: 'retraction-tower',
+    title: 'Retraction tower',
+    description: 'Two pillars with a travel between them on every layer. Retraction length rises per block; the lowest block without stringing wins.',
+    params: {
+      retractStart: { label: 'Start length', unit: 'mm', default: (c) => c.printer.directDrive ? 0.2 : 1 },
+      retractStep: { label: 'Step per block', unit: 'mm', default: (c) => c.printer.directDrive ? 0.2 : 0.5 },
+      blocks: { label: 'Blocks', unit: '', default: () => 8 },
+      blockHeight: { label: 'Block height', unit: 'mm', default: () => 5 },
+      retractSpeed: { label: 'Retraction speed', unit: 'mm/s', default: () => 35 },
+      spacing: { label: 'Pillar spacing', unit: 'mm', default: () => 50 }
+    },
+    build(w, ctx, p) {
+      const pillar = 8;
+      const layersPerBlock = Math.max(1, Math.round(p.blockHeight / w.layerHeight));
+      const blocks = Math.min(Math.max(1, Math.round(p.blocks)), Math.floor(ctx.printer.buildVolume.z / p.blockHeight));
+      const { cx, cy } = w.center;
+      const left = cx - p.spacing / 2;
+      const right = cx + p.spacing / 2;
+
+      const lengths = [];
+      for (let b = 0; b < blocks; b++) {
+        const length = +(p.retractStart + b * p.retractStep).toFixed(2);
+        lengths.push(length);
+        for (let l = 0; l < layersPerBlock; l++) {
+          w.nextLayer();
+          if (b === 0 && l === 0) w.skirt(cx, cy, p.spacing + pillar, pillar);
+          if (l === 0) w.comment(`Block ${b + 1}: retract ${length}mm`);
+          w.setRetraction(length, p.retractSpeed);
+          w.perimeters(left, cy, pillar, pillar, 2, 40);
+          w.perimeters(right, cy, pillar, pillar, 2, 40);
+        }
+      }
+      w.summary.push(`${blocks} blocks: ${lengths.join(', ')}mm retraction at ${p.retractSpeed}mm/s`);
+    }
+  },
+  {
+    id: 'flow-cube',
+    title: 'Flow-rate cubes',
+    description: 'A row of single-wall cubes, each at a different flow multiplier. Measure each wall with calipers; the cube whose wall matches the line width has the right flow.',
+    params: {
+      flowStart: { label: 'Start flow', unit: '%', default: () => 90 },
+      flowEnd: { label: 'End flow', unit: '%', default: () => 110 },
+      flowStep: { label: 'Step', unit: '%', default: () => 5 },
+      size: { label: 'Cube size', unit: 'mm', default: () => 15 },
+      height: { label: 'Height', unit: 'mm', default: () => 10 },
+      speed: { label: 'Print speed', unit: 'mm/s', default: () => 40 }
+    },
+    build(w, ctx, p) {
+      const step = Math.max(1, Math.abs(p.flowStep));
+      const flows = [];
+      for (let f = p.flowStart; f <= p.flowEnd; f += step) flows.push(f);
+      const gap = 5;
+      const fit = Math.max(1, Math.floor((ctx.printer.buildVolume.x - 20 + gap) / (p.size + gap)));
+      const cubes = flows.slice(0, fit);
+      const rowWidth = cubes.length * p.size + (cubes.length - 1) * gap;
+      const { cx, cy } = w.center;
+      const x0 = cx - rowWidth / 2 + p.size / 2;
+      const layers = Math.max(1, Math.round(p.height / w.layerHeight));
+
+      for (let l = 0; l < layers; l++) {
+        w.nextLayer();
+        if (l === 0) w.skirt(cx, cy, rowWidth, p.size);
+        cubes.forEach((flow, i) => {
+          if (l === 0) w.comment(`Cube ${i + 1}: flow ${flow}%`);
+          w.perimeters(x0 + i * (p.size + gap), cy, p.size, p.size, 1, p.speed, flow / 100);
+        });
+      }
+      w.summary.push(`${cubes.length} cubes left to right: ${cubes.join(', ')}% flow, ${w.lineWidth}mm target wall`);
+    }
+  },
+  {
+    id: 'pressure-advance',
+    title: 'Pressure / linear advance',
+    description: 'Lines on the first layer that switch between slow and fast, each with a higher K. Choose the line with even width through the speed changes.',
+    params: {
+      kStart: { label: 'Start K', unit: '', default: () => 0 },
+      kEnd: { label: 'End K', unit: '', default: (c) => c.printer.directDrive ? 0.1 : 1 },
+      kStep: { label: 'Step', unit: '', default: (c) => c.printer.directDrive ? 0.005 : 0.05 },
+      slowSpeed: { label: 'Slow speed', unit: 'mm/s', default: () => 20 },
+      fastSpeed: { label: 'Fast speed', unit: 'mm/s', default: (c) => Math.min(120, c.printer.maxSpeed) },
+      spacing: { label: 'Line spacing', unit: 'mm', default: () => 4 }
+    },
+    build(w, ctx, p) {
+      const step = Math.max(0.0001, Math.abs(p.kStep));
+      const fit = Math.floor((ctx.printer.buildVolume.y - 30) / p.spacing) + 1;
+      const ks = [];
+      for (let k = p.kStart; k <= p.kEnd + step / 2 && ks.length < fit; k += step) ks.push(+k.toFixed(4));
+      const { cx, cy } = w.center;
+      const slow = 20;
+      const fast = 40;
+      const x0 = cx - (slow * 2 + fast) / 2;
+      const y0 = cy - (ks.length - 1) * p.spacing / 2;
+
+      w.nextLayer();
+      w.skirt(cx, cy, slow * 2 + fast, (ks.length - 1) * p.spacing);
+      ks.forEach((k, i) => {
+        const y = y0 + i * p.spacing;
+        w.raw(pressureAdvanceCommand(ctx.printer, k));
+        w.travel(x0, y);
+        w.extrude(x0 + slow, y, p.slowSpeed);
+        w.extrude(x0 + slow + fast, y, p.fastSpeed);
+        w.extrude(x0 + slow * 2 + fast, y, p.slowSpeed);
+      });
+      w.raw(pressureAdvanceCommand(ctx.printer, 0) + ' ; Reset');
+      w.summary.push(`${ks.length} lines front to back: K ${ks[0]} to ${ks[ks.length - 1]}`);
+    }
+  },
+  {
+    id: 'first-layer',
+    title: 'First-layer squares',
+    description: 'Filled single-layer squares in the corners and centre of the bed to check Z offset and levelling everywhere.',
+    params: {
+      size: { label: 'Square size', unit: 'mm', default: () => 30 },
+      margin: { label: 'Distance from bed edge', unit: 'mm', default: () => 20 },
+      speed: { label: 'Print speed', unit: 'mm/s', default: () => 40 }
+    },
+    build(w, ctx, p) {
+      const bv = ctx.printer.buildVolume;
+      const lo = p.margin + p.size / 2;
+      const spots = [
+        [lo, lo], [bv.x - lo, lo], [bv.x / 2, bv.y / 2], [lo, bv.y - lo], [bv.x - lo, bv.y - lo]
+      ];
+
+      w.nextLayer();
+      spots.forEach(([x, y], i) => {
+        w.comment(`Square ${i + 1}`);
+        w.filledSquare(x, y, p.size, p.speed);
+      });
+      w.summary.push(`${spots.length} squares of ${p.size}mm`);
+    }
+  }
+];
+
+// Firmware command that sets the pressure / linear advance factor
+function pressureAdvanceCommand(printer, k) {
+  if (printer.gcodeFlavor === 'klipper') return `SET_PRESSURE_ADVANCE ADVANCE=${k}`;
+  return `M900 K${k}`;
+}
+
+/**
+ * Move writer shared by the generators. Extrusion is relative (M83) and sized from line
+ * width, layer height and a 1.75mm filament; travels retract when the current setting asks.
+ */
+function createCalibrationWriter(ctx, options = {}) {
+  const lines = [];
+  const layerHeight = options.layerHeight || 0.2;
+  const lineWidth = options.lineWidth || +(ctx.printer.nozzleSize * 1.125).toFixed(2);
+  const filamentArea = Math.PI * Math.pow(CALIBRATION_FILAMENT_DIAMETER / 2, 2);
+  const fmt = (v) => +v.toFixed(3);
+
+  let x = 0;
+  let y = 0;
+  let layer = 0;
+  let retracted = false;
+  let retractLength = options.retractLength !== undefined ? options.retractLength : (ctx.printer.directDrive ? 0.8 : 4);
+  let retractSpeed = 35;
+  let filamentUsed = 0;
+
+  // One closed rectangle at half-size (hw, hd)
+  const loop = (cx, cy, hw, hd, speed, flow) => {
+    w.travel(cx - hw, cy - hd);
+    w.extrude(cx + hw, cy - hd, speed, flow);
+    w.extrude(cx + hw, cy + hd, speed, flow);
+    w.extrude(cx - hw, cy + hd, speed, flow);
+    w.extrude(cx - hw, cy - hd, speed, flow);
+  };
+
+  const w = {
+    lines,
+    layerHeight,
+    lineWidth,
+    summary: [],
+    center: { cx: ctx.printer.buildVolume.x / 2, cy: ctx.printer.buildVolume.y / 2 },
+
+    raw(line) {
+      lines.push(line);
+    },
+
+    comment(text) {
+      lines.push(`; ${text}`);
+    },
+
+    feature(name) {
+      lines.push(`;TYPE:${name}`);
+    },
+
+    nextLayer() {
+      layer++;
+      lines.push(`;LAYER:${layer - 1}`);
+      lines.push(`G1 Z${fmt(layer * layerHeight)} F${CALIBRATION_Z_SPEED * 60}`);
+      if (layer === 2) lines.push('M106 S255 ; Part fan on from layer 2');
+    },
+
+    setRetraction(length, speed) {
+      retractLength = length;
+      retractSpeed = speed;
+    },
+
+    travel(nx, ny) {
+      const dist = Math.hypot(nx - x, ny - y);
+      if (dist < 0.01) return;
+      if (!retracted && retractLength > 0 && dist > 1) {
+        lines.push(`G1 E-${retractLength} F${retractSpeed * 60}`);
+        retracted = true;
+      }
+      lines.push(`G0 X${fmt(nx)} Y${fmt(ny)} F${CALIBRATION_TRAVEL_SPEED * 60}`);
+      x = nx;
+      y = ny;
+    },
+
+    extrude(nx, ny, speed, flow = 1) {
+      if (retracted) {
+        lines.push(`G1 E${retractLength} F${retractSpeed * 60}`);
+        retracted = false;
+      }
+      const dist = Math.hypot(nx - x, ny - y);
+      const e = dist * lineWidth * layerHeight / filamentArea * flow;
+      filamentUsed += e;
+      lines.push(`G1 X${fmt(nx)} Y${fmt(ny)} E${e.toFixed(5)} F${Math.round(speed * 60)}`);
+      x = nx;
+      y = ny;
+    },
+
+    filamentUsed: () => filamentUsed,
+
+    // Closed rectangle outline(s) centred on (cx, cy), outermost first
+    perimeters(cx, cy, width, depth, count, speed, flow = 1) {
+      w.feature('Outer wall');
+      for (let i = 0; i < count; i++) {
+        const hw = width / 2 - lineWidth / 2 - i * lineWidth;
+        const hd = depth / 2 - lineWidth / 2 - i * lineWidth;
+        if (hw <= 0 || hd <= 0) break;
+        if (i === 1) w.feature('Inner wall');
+        loop(cx, cy, hw, hd, speed, flow);
+      }
+    },
+
+    // One outline square plus zig-zag fill, for first-layer checks
+    filledSquare(cx, cy, size, speed) {
+      w.perimeters(cx, cy, size, size, 1, speed);
+      w.feature('Bottom surface');
+      const half = size / 2 - lineWidth * 1.5;
+      let left = true;
+      for (let yy = cy - half; yy <= cy + half + 1e-6; yy += lineWidth) {
+        const from = left ? cx - half : cx + half;
+        const to = left ? cx + half : cx - half;
+        if (yy === cy - half) w.travel(from, yy);
+        else w.extrude(from, yy, speed);
+        w.extrude(to, yy, speed);
+        left = !left;
+      }
+    },
+
+    // Priming loop 5mm around the print, drawn on the current (first) layer
+    skirt(cx, cy, width, depth) {
+      w.feature('Skirt');
+      loop(cx, cy, width / 2 + 5, depth / 2 + 5, 30, 1);
+      loop(cx, cy, width / 2 + 5 - lineWidth, depth / 2 + 5 - lineWidth, 30, 1);
+    }
+  };
+  return w;
+}
+
+// Start / end G-code used when the user has no template for the printer
+function defaultCalibrationStart(printer) {
+  const lines = [
+    'M140 S{bed} ; Bed temperature',
+    'M104 S{nozzle} ; Nozzle temperature',
+    printer.gcodeFlavor === 'klipper' ? 'G28' : 'G28 ; Home all axes',
+    'M190 S{bed} ; Wait for bed',
+    'M109 S{nozzle} ; Wait for nozzle',
+    'G90 ; Absolute positioning',
+    'M83 ; Relative extrusion',
+    'G92 E0',
+    'M107 ; Part fan off for the first layer',
+    'G1 Z5 F600',
+    'G0 X5 Y5 F9000',
+    'G1 Z0.3 F600',
+    'G1 X5 Y80 E8 F1500 ; Prime line',
+    'G0 X5.5 Y80 F9000',
+    'G1 X5.5 Y5 E8 F1500',
+    'G1 Z1 F600'
+  ];
+  return lines.join('\n');
+}
+
+function defaultCalibrationEnd() {
+  return [
+    'M400 ; Wait for moves to finish',
+    'M104 S0 ; Turn off nozzle heater',
+    'M140 S0 ; Turn off bed heater',
+    'G91 ; Relative positioning',
+    'G1 E-2 F1800 ; Retract filament',
+    'G1 Z10 F3000 ; Lift nozzle',
+    'G90 ; Absolute positioning',
+    'M107 ; Turn off fan',
+    'M84 ; Disable steppers'
+  ].join('\n');
+}
+
+window.gcodeCalibration = {
+  types: CALIBRATION_TYPES,
+
+  /**
+   * Defaults for a generator on one printer / material, plus the temperatures the print runs at
+   * (middle of the material's ranges, clamped to the printer).
+   */
+  context(printer, materialKey) {
+    const material = window.materialDB[materialKey] || window.materialDB.PLA;
+    const nozzle = Math.min(printer.maxNozzleTemp, Math.round((material.nozzleMin + material.nozzleMax) / 2));
+    const bed = Math.min(printer.maxBedTemp, Math.round((material.bedMin + material.bedMax) / 2));
+    return { printer, material, nozzle, bed };
+  },
+
+  defaults(typeId, ctx) {
+    const type = CALIBRATION_TYPES.find(t => t.id === typeId);
+    const params = {};
+    Object.keys(type.params).forEach(name => {
+      const spec = type.params[name];
+      params[name] = spec.clamp ? spec.clamp(spec.default(ctx), ctx) : spec.default(ctx);
+    });
+    return params;
+  },
+
+  /**
+   * Write a calibration print. startGcode / endGcode may use {nozzle} and {bed}, which are
+   * replaced with the print temperatures. Returns { gcode, summary }.
+   */
+  generate(typeId, ctx, params, { startGcode, endGcode } = {}) {
+    const type = CALIBRATION_TYPES.find(t => t.id === typeId);
+    if (!type) throw new Error(`Unknown calibration print: ${typeId}`);
+
+    const p = { ...this.defaults(typeId, ctx) };
+    Object.keys(params || {}).forEach(name => {
+      const value = parseFloat(params[name]);
+      if (!isNaN(value) && name in p) p[name] = type.params[name].clamp ? type.params[name].clamp(value, ctx) : value;
+    });
+
+    // Temperature towers start hot; the nozzle heats to the first block instead of the midpoint
+    const nozzle = typeId === 'temp-tower' ? p.tempStart : ctx.nozzle;
+    const fill = (text) => text.replace(/\{nozzle\}/g, nozzle).replace(/\{bed\}/g, ctx.bed);
+
+    const w = createCalibrationWriter(ctx);
+    type.build(w, ctx, p);
+
+    const header = [
+      `; ${type.title} — generated by PrintHQ`,
+      `; printer_model = ${ctx.printer.name}`,
+      `; filament_type = ${ctx.material.name}`,
+      `; nozzle_diameter = ${ctx.printer.nozzleSize}`,
+      `; layer_height = ${w.layerHeight}`,
+      `; filament_diameter = ${CALIBRATION_FILAMENT_DIAMETER}`,
+      `; filament used [mm] = ${w.filamentUsed().toFixed(2)}`,
+      ...Object.keys(p).map(name => `; calibration_${name} = ${p[name]}`),
+      ...w.summary.map(s => `; ${s}`),
+      ''
+    ];
+
+    const gcode = [
+      ...header,
+      '; ---- Start G-code ----',
+      fill(startGcode || defaultCalibrationStart(ctx.printer)),
+      'M83 ; Relative extrusion',
+      '; ---- Calibration print ----',
+      ...w.lines,
+      '; ---- End G-code ----',
+      fill(endGcode || defaultCalibrationEnd()),
+      ''
+    ].join('\n');
+
+    return { gcode, summary: w.summary };
+  }
+};
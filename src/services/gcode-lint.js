@@ -0,0 +1,307 @@
+// G-code lint rules — configurable checks run while gcodeParser reads a file
+// Each rule sees every command as it is parsed (line()) and the finished result (finish()).
+// Which rules run and their thresholds live in settings.json under GCODE_LINT_SETTINGS_KEY.
+
+const GCODE_LINT_SETTINGS_KEY = 'gcodeLintRules';
+
+/*
+ * Rule shape:
+ *   id, severity ('error' | 'warning' | 'info'), title, description
+ *   params — { name: { label, unit, default } } user-adjustable thresholds
+ *   create(params) — returns { line(ev), finish(result) }; finish returns a finding
+ *     { message, line? } or null. line() is optional.
+ *
+ * Line events are one reused object, so rules copy what they keep:
+ *   { line, code, params, layer, z, moved, extruding, travel_mm, feedrate, fanPct, feature }
+ */
+const GCODE_LINT_RULES = [
+  {
+    id: 'thin-dimensions',
+    severity: 'warning',
+    title: 'Very thin part',
+    description: 'Footprint narrower than the threshold in X or Y.',
+    params: { minSize: { label: 'Minimum size', unit: 'mm', default: 0.4 } },
+    create: (p) => ({
+      finish: (r) => (r.dimensions.x < p.minSize || r.dimensions.y < p.minSize)
+        ? { message: 'Very thin dimensions detected — may be too thin to print reliably.' }
+        : null
+    })
+  },
+  {
+    id: 'high-retractions',
+    severity: 'warning',
+    title: 'High retraction count',
+    description: 'More retractions than the threshold; grinding and clogs get likelier.',
+    params: { maxCount: { label: 'Maximum retractions', unit: '', default: 5000 } },
+    create: (p) => ({
+      finish: (r) => r.retractionCount > p.maxCount
+        ? { message: `High retraction count (${r.retractionCount}) — increased clogging risk.` }
+        : null
+    })
+  },
+  {
+    id: 'long-print-layers',
+    severity: 'info',
+    title: 'Long print',
+    description: 'Long prints at moderate layer heights that could go thicker to save time.',
+    params: {
+      minMinutes: { label: 'Print longer than', unit: 'min', default: 600 },
+      minLayerHeight: { label: 'Layer height above', unit: 'mm', default: 0.15 }
+    },
+    create: (p) => ({
+      finish: (r) => (r.estimatedTime_min > p.minMinutes && r.layerHeight > p.minLayerHeight)
+        ? { message: 'Long print with moderate detail. Consider thicker layers to save time.' }
+        : null
+    })
+  },
+  {
+    id: 'high-nozzle-temp',
+    severity: 'warning',
+    title: 'High nozzle temperature',
+    description: 'Nozzle target above the threshold, which PTFE-lined hotends cannot take.',
+    params: { maxTemp: { label: 'Maximum nozzle', unit: '°C', default: 260 } },
+    create: (p) => ({
+      finish: (r) => r.nozzleTemp > p.maxTemp
+        ? { message: `High nozzle temperature (${r.nozzleTemp}°C) — ensure all-metal hotend.` }
+        : null
+    })
+  },
+  {
+    id: 'no-bed-heat',
+    severity: 'error',
+    title: 'No heated bed',
+    description: 'File prints without ever setting a bed temperature.',
+    params: { minPrintMoves: { label: 'Ignore files with fewer print moves than', unit: '', default: 100 } },
+    create: (p) => ({
+      finish: (r) => (r.bedTemp === 0 && r.printMoves > p.minPrintMoves)
+        ? { message: 'No heated bed commands detected — adhesion issues likely.' }
+        : null
+    })
+  },
+  {
+    id: 'purge-share',
+    severity: 'warning',
+    title: 'Heavy purge waste',
+    description: 'Flush and prime tower take more than the given share of the print.',
+    params: { maxPercent: { label: 'Maximum share', unit: '%', default: 30 } },
+    create: (p) => ({
+      finish: (r) => (r.purge && r.filamentWeight_g > 0 && r.purge.weight_g > r.filamentWeight_g * p.maxPercent / 100)
+        ? { message: `Purge and prime tower use ${r.purge.weight_g}g (${Math.round(r.purge.weight_g / r.filamentWeight_g * 100)}% of the print) over ${r.toolChanges.count} tool changes — consider grouping colours or printing by object.` }
+        : null
+    })
+  },
+  {
+    id: 'heat-wait-before-extrusion',
+    severity: 'error',
+    title: 'No M109 before first extrusion',
+    description: 'Extrudes before waiting for the nozzle to reach temperature (M109). Files that rely on a PRINT_START macro will trip this.',
+    params: {},
+    create: () => {
+      let waited = false;
+      let firstExtrusion = null;
+      return {
+        line(ev) {
+          if (ev.code === 'M109' || ev.code === 'TEMPERATURE_WAIT') waited = true;
+          if (ev.extruding && firstExtrusion === null && !waited) firstExtrusion = ev.line;
+        },
+        finish: () => firstExtrusion !== null
+          ? { message: 'Extrusion starts before any M109 — the nozzle may still be heating.', line: firstExtrusion }
+          : null
+      };
+    }
+  },
+  {
+    id: 'first-layer-speed',
+    severity: 'warning',
+    title: 'First layer too fast',
+    description: 'Extrusion on the first layer faster than the threshold.',
+    params: { maxSpeed: { label: 'Maximum first-layer speed', unit: 'mm/s', default: 120 } },
+    create: (p) => {
+      let worst = 0;
+      let line = null;
+      return {
+        line(ev) {
+          if (ev.layer === 1 && ev.extruding && ev.feedrate > p.maxSpeed && ev.feedrate > worst) {
+            worst = ev.feedrate;
+            line = ev.line;
+          }
+        },
+        finish: () => line !== null
+          ? { message: `First layer extrudes at up to ${Math.round(worst)}mm/s (limit ${p.maxSpeed}mm/s) — adhesion suffers.`, line }
+          : null
+      };
+    }
+  },
+  {
+    id: 'first-layer-fan',
+    severity: 'warning',
+    title: 'Fan on during first layer',
+    description: 'Part cooling fan above the threshold while the first layer prints.',
+    params: { maxFan: { label: 'Maximum fan', unit: '%', default: 0 } },
+    create: (p) => {
+      let worst = 0;
+      let line = null;
+      return {
+        line(ev) {
+          if (ev.layer === 1 && ev.extruding && ev.fanPct > p.maxFan && ev.fanPct > worst) {
+            worst = ev.fanPct;
+            if (line === null) line = ev.line;
+          }
+        },
+        finish: () => line !== null
+          ? { message: `Part fan runs at ${worst}% on the first layer — can lift corners and weaken bed adhesion.`, line }
+          : null
+      };
+    }
+  },
+  {
+    id: 'end-heaters-off',
+    severity: 'warning',
+    title: 'Heaters left on at the end',
+    description: 'No hotend or bed heater off (M104 S0 / M140 S0 / TURN_OFF_HEATERS) after the last extrusion.',
+    params: {},
+    create: () => {
+      let lastExtrusion = null;
+      let nozzleOff = false;
+      let bedOff = false;
+      return {
+        line(ev) {
+          if (ev.extruding) {
+            lastExtrusion = ev.line;
+            nozzleOff = false;
+            bedOff = false;
+          }
+          if ((ev.code === 'M104' || ev.code === 'M109') && ev.params.S === 0) nozzleOff = true;
+          if ((ev.code === 'M140' || ev.code === 'M190') && ev.params.S === 0) bedOff = true;
+          if (ev.code === 'TURN_OFF_HEATERS' || ev.code === 'PRINT_END' || ev.code === 'END_PRINT') {
+            nozzleOff = true;
+            bedOff = true;
+          }
+        },
+        finish: () => {
+          if (lastExtrusion === null || (nozzleOff && bedOff)) return null;
+          const left = [!nozzleOff && 'hotend', !bedOff && 'bed'].filter(Boolean).join(' and ');
+          return { message: `End G-code never turns the ${left} off after the last extrusion.`, line: lastExtrusion };
+        }
+      };
+    }
+  },
+  {
+    id: 'zhop-missing',
+    severity: 'info',
+    title: 'No Z hop with heavy travel',
+    description: 'Many long travel moves but the nozzle never lifts, so it can drag across printed parts.',
+    params: {
+      travelLength: { label: 'Long travel from', unit: 'mm', default: 10 },
+      minTravels: { label: 'Flag from this many long travels', unit: '', default: 200 }
+    },
+    create: (p) => {
+      let travelPeak = 0;   // Highest Z since the last extrusion; a hop comes back down
+      let hops = 0;
+      let longTravels = 0;
+      let firstLong = null;
+      return {
+        line(ev) {
+          if (ev.extruding) {
+            if (travelPeak > ev.z + 0.05) hops++;
+            travelPeak = 0;
+          } else if (ev.moved) {
+            travelPeak = Math.max(travelPeak, ev.z);
+          }
+          if (!ev.extruding && ev.moved && ev.travel_mm >= p.travelLength) {
+            longTravels++;
+            if (firstLong === null) firstLong = ev.line;
+          }
+        },
+        finish: () => (hops === 0 && longTravels >= p.minTravels)
+          ? { message: `${longTravels} travel moves of ${p.travelLength}mm or more without any Z hop — enable Z hop if the nozzle scars the top surfaces.`, line: firstLong }
+          : null
+      };
+    }
+  },
+  {
+    id: 'volumetric-flow',
+    severity: 'warning',
+    title: 'Flow above hotend limit',
+    description: 'Volumetric flow beyond what the hotend can melt for this material (material DB, per hotend class). Under-extrusion and weak layers follow.',
+    params: {
+      headroom: { label: 'Flag above', unit: '% of limit', default: 100 },
+      minSeconds: { label: 'For at least', unit: 's', default: 10 }
+    },
+    create: (p) => ({
+      finish: (r) => {
+        if (!r.flow || !r.flow.limit) return null;
+        const threshold = r.flow.limit.value * p.headroom / 100;
+        const { bucket, seconds } = r.flow.histogram;
+        const over_s = seconds.reduce((sum, t, i) => (i + 0.5) * bucket > threshold ? sum + t : sum, 0);
+        if (over_s < p.minSeconds) return null;
+        const layers = r.layers.filter(l => l.flow && l.flow.peak > threshold);
+        const { material, hotend, value } = r.flow.limit;
+        return {
+          message: `Volumetric flow peaks at ${r.flow.peak} mm³/s (95th percentile ${r.flow.p95}) — above the ${value} mm³/s ${material} limit for a ${hotend} hotend for ${Math.round(over_s)}s across ${layers.length} layer(s). Slow down or print hotter.`,
+          line: layers.length > 0 ? layers[0].startLine : null
+        };
+      }
+    })
+  }
+];
+
+window.gcodeLint = {
+  rules: GCODE_LINT_RULES,
+
+  /**
+   * Complete config for every rule: { ruleId: { enabled, params } }, saved overrides on top
+   * of the defaults. Unknown rules and params in the saved copy are ignored.
+   */
+  resolveConfig(saved = {}) {
+    const config = {};
+    GCODE_LINT_RULES.forEach(rule => {
+      const stored = saved[rule.id] || {};
+      const params = {};
+      Object.keys(rule.params).forEach(name => {
+        const value = stored.params ? parseFloat(stored.params[name]) : NaN;
+        params[name] = isNaN(value) ? rule.params[name].default : value;
+      });
+      config[rule.id] = { enabled: stored.enabled !== false, params };
+    });
+    return config;
+  },
+
+  async loadConfig() {
+    const settings = await window.storage.getSettings();
+    return this.resolveConfig(settings[GCODE_LINT_SETTINGS_KEY]);
+  },
+
+  async saveConfig(config) {
+    await window.storage.saveSetting(GCODE_LINT_SETTINGS_KEY, config);
+    return this.resolveConfig(config);
+  },
+
+  /**
+   * Instantiates the enabled rules for one parse. The parser feeds line() per command and
+   * calls finish() once the result is complete; findings come back as warnings.
+   */
+  createRunner(savedConfig) {
+    const config = this.resolveConfig(savedConfig);
+    const active = GCODE_LINT_RULES
+      .filter(rule => config[rule.id].enabled)
+      .map(rule => ({ rule, instance: rule.create(config[rule.id].params) }));
+    const listeners = active.filter(a => a.instance.line);
+
+    return {
+      line(ev) {
+        for (let i = 0; i < listeners.length; i++) listeners[i].instance.line(ev);
+      },
+      finish(result) {
+        const warnings = [];
+        active.forEach(({ rule, instance }) => {
+          const finding = instance.finish(result);
+          if (finding) {
+            warnings.push({ level: rule.severity, message: finding.message, line: finding.line || null, rule: rule.id });
+          }
+        });
+        return warnings;
+      }
+    };
+  }
+};
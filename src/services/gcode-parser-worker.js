@@ -0,0 +1,37 @@
+// Background G-code parsing — runs gcodeParser sessions off the UI thread
+//
+// Messages in:  { type: 'start', options } / { type: 'chunk', text } / { type: 'end' }
+// Messages out: { type: 'ack' } after each chunk, { type: 'result', result } or { type: 'error', message }
+
+self.window = self;
+importScripts('material-db.js', 'gcode-lint.js', 'gcode-parser.js');
+
+let session = null;
+
+self.onmessage = (e) => {
+  const msg = e.data;
+  try {
+    switch (msg.type) {
+      case 'start':
+        session = window.gcodeParser.createSession(msg.options || {});
+        break;
+      case 'chunk':
+        session.write(msg.text);
+        self.postMessage({ type: 'ack' });
+        break;
+      case 'end': {
+        const result = session.finish();
+        // Hand the toolpath's typed arrays over instead of copying them
+        const transfer = result.toolpath
+          ? Object.values(result.toolpath).filter(v => ArrayBuffer.isView(v)).map(v => v.buffer)
+          : [];
+        self.postMessage({ type: 'result', result }, transfer);
+        session = null;
+        break;
+      }
+    }
+  } catch (err) {
+    session = null;
+    self.postMessage({ type: 'error', message: err.message });
+  }
+};
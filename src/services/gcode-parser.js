@@ -1,8 +1,99 @@
 // G-code file parsing engine — client-side only
 
+// Slicers we recognise from their "generated by" banner, checked in order
+const GCODE_SLICERS = [
+  { id: 'bambu', name: 'Bambu Studio', pattern: /BambuStudio|Bambu Studio/i },
+  { id: 'anycubic', name: 'Anycubic Slicer', pattern: /Anycubic\s*Slicer/i },
+  { id: 'orca', name: 'OrcaSlicer', pattern: /OrcaSlicer/i },
+  { id: 'prusa', name: 'PrusaSlicer', pattern: /PrusaSlicer/i },
+  { id: 'superslicer', name: 'SuperSlicer', pattern: /SuperSlicer/i },
+  { id: 'cura', name: 'Cura', pattern: /Cura_SteamEngine|Cura/ }
+];
+
+// "; key = value" / "; key : value" comments worth keeping from slicer header, footer and config blocks
+const GCODE_METADATA_KEYS = new Set([
+  'total estimated time',
+  'estimated printing time (normal mode)',
+  'total filament length [mm]',
+  'total filament weight [g]',
+  'filament used [mm]',
+  'filament used [g]',
+  'total filament used [g]',
+  'filament cost',
+  'total filament cost',
+  'filament_type',
+  'filament_colour',
+  'filament_density',
+  'filament_diameter',
+  'filament_cost',
+  'layer_height',
+  'nozzle_diameter',
+  'printer_model',
+  'printer_settings_id'
+]);
+
+// Canonical feature names for ;TYPE: / ; FEATURE: comments across slicers, first match wins
+const GCODE_FEATURE_TYPES = [
+  { name: 'Overhang wall', pattern: /overhang/i },
+  { name: 'Outer wall', pattern: /wall-outer|outer wall|external perimeter/i },
+  { name: 'Inner wall', pattern: /wall-inner|inner wall|^perimeter$/i },
+  { name: 'Bridge', pattern: /bridge/i },
+  { name: 'Gap fill', pattern: /gap/i },
+  { name: 'Top surface', pattern: /^top|top surface|top solid/i },
+  { name: 'Bottom surface', pattern: /^bottom|bottom surface|bottom solid/i },
+  { name: 'Solid infill', pattern: /solid|^skin$/i },
+  { name: 'Sparse infill', pattern: /infill|^fill$/i },
+  { name: 'Support interface', pattern: /support.*interface/i },
+  { name: 'Support', pattern: /support/i },
+  { name: 'Skirt/Brim', pattern: /skirt|brim/i },
+  { name: 'Prime tower', pattern: /prime.?tower|wipe.?tower/i },
+  { name: 'Ironing', pattern: /ironing/i }
+];
+
+// Comments slicers put around tool-change and flush G-code (Prusa/Orca wipe tower, Bambu flush)
+const GCODE_CHANGE_BLOCK_START = /^;\s*(CP TOOLCHANGE START|FLUSH_START|TOOLCHANGE START)\b/i;
+const GCODE_CHANGE_BLOCK_END = /^;\s*(CP TOOLCHANGE END|FLUSH_END|TOOLCHANGE END)\b/i;
+
+// Highest T number treated as a real tool; Bambu uses T255 / T1000 for unload and nozzle moves
+const GCODE_MAX_TOOL = 63;
+
+// Moves the time estimator looks ahead over, like a firmware planner buffer
+const PLANNER_LOOKAHEAD = 16;
+
+// Chord length arcs are split into, mm (Marlin's MM_PER_ARC_SEGMENT)
+const ARC_SEGMENT_LENGTH = 1;
+
+// Volumetric flow histograms: filament mm/s per bucket and bucket count, weighted by move time
+const FLOW_BUCKET = 0.1;
+const FLOW_BUCKETS = 600;
+
+// Moves shorter than this are left out of flow peaks; their rounded E values spike
+const FLOW_PEAK_MIN_LENGTH = 1;
+
+// Bytes read and handed to the parser worker per step
+const PARSE_CHUNK_SIZE = 4 * 1024 * 1024;
+
 window.gcodeParser = {
-  parse(gcodeText) {
-    const lines = gcodeText.split('\n');
+  /**
+   * Parse G-code text.
+   * options.printer — printer registry profile whose kinematics seed the time estimator and
+   *   whose limits the file is validated against (result.validation)
+   * options.toolpath — also record every XY move in result.toolpath for the preview
+   * options.lint — saved lint rule config (see gcodeLint.resolveConfig); defaults when omitted
+   */
+  parse(gcodeText, options = {}) {
+    const session = this.createSession(options);
+    session.write(gcodeText);
+    return session.finish();
+  },
+
+  /**
+   * Incremental parser: feed text in chunks of any size with write(), then call finish()
+   * for the same result parse() returns. Lets the worker parse files without holding one
+   * giant line array.
+   */
+  createSession(options = {}) {
+    const parser = this;
     const result = {
       layerCount: 0,
       layerHeight: 0,
@@ -20,41 +111,212 @@ window.gcodeParser = {
       travelDistance: 0,
       printMoves: 0,
       travelMoves: 0,
+      slicer: { id: 'unknown', name: 'Unknown', version: '' },
+      lineCount: 0,
+      filaments: [],
+      filamentType: '',
+      filamentCost: 0,
+      nozzleDiameter: 0,
+      printerModel: '',
+      timeEstimate: null,
+      validation: null,
+      tools: [],
+      toolChanges: null,
+      purge: null,
+      objects: [],
+      flow: null,
+      layers: [],
       warnings: []
     };
 
-    let currentZ = 0;
+    const meta = { banner: '', keys: {}, cura: {}, lines: {} };
+
     let lastX = 0, lastY = 0, lastZ = 0;
-    let lastE = 0;
     let currentE = 0;
     let isAbsoluteE = true;
-    let layerHeights = new Set();
-    let speedValues = [];
+    let isRelative = false;
+    let feedrate = 0;   // Modal feed rate, mm/s
+    const planner = parser._createPlanner(options.printer);
+    const toolpath = options.toolpath ? parser._createToolpath() : null;
+    const validator = options.printer ? parser._createValidator(options.printer) : null;
+    const lint = window.gcodeLint.createRunner(options.lint);
+    const lintEvent = {};   // Reused per command, see gcodeLint
 
-    for (let i = 0; i < lines.length; i++) {
-      const line = lines[i].trim();
-      if (!line || line.startsWith(';')) {
-        // Parse slicer comments for metadata
-        if (line.startsWith(';TIME:') || line.startsWith('; estimated printing time')) {
-          const match = line.match(/(\d+)/);
-          if (match) {
-            const val = parseInt(match[1]);
-            if (line.includes('TIME:')) {
-              result.estimatedTime_min = Math.round(val / 60);
-            }
-          }
+    // Per-layer state; a layer starts at the first extruding move above the previous layer
+    const layers = result.layers;
+    let layer = null;
+    let tool = 0;
+    let fanPct = 0;
+    let nozzleTarget = 0;
+    let bedTarget = 0;
+    let feature = '';
+
+    // Multi-material: tool / colour changes and the filament they flush
+    let toolSelected = false;     // The first tool selection isn't a change
+    let pendingChanges = 0;       // Changes not yet credited to a layer (they precede its first extrusion)
+    let changeBlock = false;      // Inside M620..M621 or a slicer tool-change / flush block
+    let sawAms = false;
+    const toolUsage = {};         // tool -> extruded mm
+    const changes = { count: 0, manual: 0, flush_mm: 0, tower_mm: 0 };
+
+    // Flow per layer: time-weighted histogram and peak, in filament mm/s until the diameter is known
+    const flowHist = new Map();   // layer index -> Float32Array(FLOW_BUCKETS)
+    const flowPeak = new Map();   // layer index -> peak
+    const speedCap = options.printer ? options.printer.maxSpeed : Infinity;
+
+    // Labelled objects on the plate (exclude / cancel object)
+    const objects = new Map();    // name -> object
+    let object = null;            // Object being printed, null between labelled blocks
+
+    const objectLabel = (label) => {
+      if (label.action === 'end') {
+        object = null;
+        return;
+      }
+      let entry = objects.get(label.name);
+      if (!entry) {
+        entry = { name: label.name, startLine: 0, blocks: 0, extrusion_mm: 0, minX: Infinity, minY: Infinity, maxX: -Infinity, maxY: -Infinity };
+        objects.set(label.name, entry);
+      }
+      // Slicers that write both comment and command labels nest them; the outer one wins
+      if (label.action === 'start' && !object) {
+        object = entry;
+        entry.blocks++;
+        if (!entry.startLine) entry.startLine = lineNo;
+      }
+    };
+
+    let pending = '';   // Unterminated last line of the previous chunk
+    let lineNo = 0;
+
+    // One straight move; firstPart is false for the later chords of an arc so it counts once
+    const moveTo = (x, y, z, eDelta, moved, firstPart) => {
+      const dist = Math.sqrt((x - lastX) ** 2 + (y - lastY) ** 2);
+
+      if (eDelta > 0 && dist > 0 && (!layer || z > layer.z + 0.005)) {
+        const prevZ = layer ? layer.z : 0;
+        layer = {
+          index: layers.length + 1,
+          z: parseFloat(z.toFixed(3)),
+          height: parseFloat((z - prevZ).toFixed(3)),
+          startLine: lineNo,
+          pathStart: toolpath ? toolpath.count() : 0,
+          extrusion_mm: 0,
+          printDistance_mm: 0,
+          travelDistance_mm: 0,
+          retractions: 0,
+          toolChanges: 0,
+          time_s: 0,
+          tool,
+          color: '',
+          fan_pct: fanPct,
+          nozzleTemp: nozzleTarget,
+          bedTemp: bedTarget,
+          features: {}
+        };
+        layers.push(layer);
+      }
+
+      planner.move(x - lastX, y - lastY, z - lastZ, eDelta, feedrate, layers.length);
+      if (validator) validator.move(x, y, z, moved || z !== lastZ, eDelta > 0 && dist > 0, feedrate, lineNo);
+      if (moved || z !== lastZ) lintEvent.moved = true;
+      if (eDelta > 0 && dist > 0) lintEvent.extruding = true;
+      else lintEvent.travel_mm += dist;
+
+      if (z !== lastZ) {
+        result.maxZ = Math.max(result.maxZ, z);
+      }
+
+      if (moved && toolpath) {
+        toolpath.add(x, y, eDelta > 0 && dist > 0, feedrate, feature, tool, fanPct, lineNo);
+      }
+
+      if (moved) {
+        result.maxX = Math.max(result.maxX, x);
+        result.maxY = Math.max(result.maxY, y);
+        result.minX = Math.min(result.minX, x);
+        result.minY = Math.min(result.minY, y);
+      }
+
+      // Extruded filament per mm of path is the line's cross-section (width × layer height);
+      // times the speed that is the melt rate the hotend has to keep up with
+      if (layer && eDelta > 0 && dist > 0 && feedrate > 0) {
+        const speed = Math.min(feedrate, speedCap);
+        const rate = eDelta / dist * speed;
+        let hist = flowHist.get(layer.index);
+        if (!hist) {
+          hist = new Float32Array(FLOW_BUCKETS);
+          flowHist.set(layer.index, hist);
         }
-        if (line.startsWith(';Filament used:') || line.startsWith('; filament used')) {
-          const match = line.match(/([\d.]+)\s*m/);
-          if (match) {
-            result.filamentLength_mm = parseFloat(match[1]) * 1000;
-          }
+        hist[Math.min(FLOW_BUCKETS - 1, Math.floor(rate / FLOW_BUCKET))] += dist / speed;
+        if (dist >= FLOW_PEAK_MIN_LENGTH && rate > (flowPeak.get(layer.index) || 0)) flowPeak.set(layer.index, rate);
+      }
+
+      if (object && eDelta > 0 && dist > 0) {
+        object.extrusion_mm += eDelta;
+        object.minX = Math.min(object.minX, lastX, x);
+        object.maxX = Math.max(object.maxX, lastX, x);
+        object.minY = Math.min(object.minY, lastY, y);
+        object.maxY = Math.max(object.maxY, lastY, y);
+      }
+
+      if (eDelta > 0) {
+        toolSelected = true;
+        toolUsage[tool] = (toolUsage[tool] || 0) + eDelta;
+        if (feature === 'Prime tower') changes.tower_mm += eDelta;
+        else if (changeBlock) changes.flush_mm += eDelta;
+      }
+
+      if (eDelta < 0) {
+        if (firstPart) {
+          result.retractionCount++;
+          if (layer) layer.retractions++;
+        }
+        result.retractionDistance += Math.abs(eDelta);
+      } else if (moved && eDelta > 0) {
+        if (firstPart) result.printMoves++;
+        if (layer) {
+          layer.toolChanges += pendingChanges;
+          pendingChanges = 0;
+          layer.extrusion_mm += eDelta;
+          layer.printDistance_mm += dist;
+          const key = feature || 'Other';
+          layer.features[key] = (layer.features[key] || 0) + eDelta;
+        }
+      } else if (moved) {
+        if (firstPart) result.travelMoves++;
+        result.travelDistance += dist;
+        if (layer) layer.travelDistance_mm += dist;
+      }
+
+      lastX = x;
+      lastY = y;
+      lastZ = z;
+    };
+
+    const processLine = (rawLine) => {
+      lineNo++;
+      const line = rawLine.trim();
+      if (!line || line.startsWith(';')) {
+        // Feature type markers, object labels, then slicer comments for metadata
+        const typeMatch = line.match(/^;\s*(?:TYPE|FEATURE):\s*(.+)$/);
+        const label = !typeMatch && line ? parser.objectLabel(line) : null;
+        if (typeMatch) {
+          feature = parser._normalizeFeature(typeMatch[1].trim());
+        } else if (label) {
+          objectLabel(label);
+        } else if (GCODE_CHANGE_BLOCK_START.test(line)) {
+          changeBlock = true;
+        } else if (GCODE_CHANGE_BLOCK_END.test(line)) {
+          changeBlock = false;
+        } else if (line) {
+          parser._readMetadataComment(line, meta, lineNo);
         }
-        continue;
+        return;
       }
 
       const cmd = line.split(';')[0].trim();
-      if (!cmd) continue;
+      if (!cmd) return;
 
       const parts = cmd.split(/\s+/);
       const code = parts[0];
@@ -67,52 +329,46 @@ window.gcodeParser = {
         }
       }
 
-      // Movement commands
-      if (code === 'G0' || code === 'G1') {
-        const x = params.X !== undefined ? params.X : lastX;
-        const y = params.Y !== undefined ? params.Y : lastY;
-        const z = params.Z !== undefined ? params.Z : lastZ;
+      lintEvent.moved = false;
+      lintEvent.extruding = false;
+      lintEvent.travel_mm = 0;
+
+      // Movement commands; arcs are split into short chords so distances, bounds and times stay right
+      if (code === 'G0' || code === 'G1' || code === 'G2' || code === 'G3') {
+        const x = params.X !== undefined ? (isRelative ? lastX + params.X : params.X) : lastX;
+        const y = params.Y !== undefined ? (isRelative ? lastY + params.Y : params.Y) : lastY;
+        const z = params.Z !== undefined ? (isRelative ? lastZ + params.Z : params.Z) : lastZ;
         const e = params.E !== undefined ? params.E : (isAbsoluteE ? currentE : 0);
         const f = params.F;
 
-        if (f) speedValues.push(f / 60); // Convert mm/min to mm/s
-
-        if (z !== lastZ) {
-          currentZ = z;
-          if (z > 0) {
-            layerHeights.add(parseFloat(z.toFixed(3)));
-          }
-          result.maxZ = Math.max(result.maxZ, z);
+        if (f) {
+          feedrate = f / 60; // Convert mm/min to mm/s
+          result.maxSpeed = Math.max(result.maxSpeed, feedrate);
         }
 
-        if (params.X !== undefined || params.Y !== undefined) {
-          result.maxX = Math.max(result.maxX, x);
-          result.maxY = Math.max(result.maxY, y);
-          result.minX = Math.min(result.minX, x);
-          result.minY = Math.min(result.minY, y);
-
-          const dist = Math.sqrt((x - lastX) ** 2 + (y - lastY) ** 2);
-          const eChange = isAbsoluteE ? (e - currentE) : e;
+        const eDelta = isAbsoluteE ? (e - currentE) : e;
 
-          if (eChange > 0) {
-            result.printMoves++;
-          } else if (eChange < 0) {
-            result.retractionCount++;
-            result.retractionDistance += Math.abs(eChange);
-          } else {
-            result.travelMoves++;
-            result.travelDistance += dist;
-          }
+        if (code === 'G2' || code === 'G3') {
+          const points = parser.interpolateArc(lastX, lastY, lastZ, x, y, z, params, code === 'G2');
+          points.forEach((pt, i) => moveTo(pt.x, pt.y, pt.z, eDelta / points.length, true, i === 0));
+        } else {
+          moveTo(x, y, z, eDelta, params.X !== undefined || params.Y !== undefined, true);
         }
 
-        lastX = x;
-        lastY = y;
-        lastZ = z;
         if (isAbsoluteE) {
           currentE = e;
         }
       }
 
+      // Absolute/relative positioning
+      if (code === 'G90') isRelative = false;
+      if (code === 'G91') isRelative = true;
+
+      // Dwell and firmware motion limits
+      if (code === 'G4') planner.dwell(params.P !== undefined ? params.P / 1000 : (params.S || 0), layers.length);
+      if (code === 'M201' || code === 'M203' || code === 'M204' || code === 'M205') planner.setLimit(code, params);
+      if (code === 'SET_VELOCITY_LIMIT') planner.setKlipperLimit(cmd);
+
       // Absolute/relative extrusion
       if (code === 'M82') isAbsoluteE = true;
       if (code === 'M83') isAbsoluteE = false;
@@ -120,91 +376,930 @@ window.gcodeParser = {
         currentE = params.E;
       }
 
+      // Firmware retraction
+      if (code === 'G10') {
+        result.retractionCount++;
+        if (layer) layer.retractions++;
+      }
+
+      // Tool changes
+      if (/^T\d+$/.test(code)) {
+        const next = parseInt(code.substring(1));
+        if (next <= GCODE_MAX_TOOL) {
+          if (toolSelected && next !== tool) {
+            changes.count++;
+            pendingChanges++;
+          }
+          toolSelected = true;
+          tool = next;
+          if (validator) validator.tool(next, lineNo);
+        }
+      }
+
+      // Bambu AMS change block: M620 S<n>A ... T<n> ... M621 S<n>A (S255 is an unload, not a change)
+      if (code === 'M620' && params.S !== undefined && params.S <= GCODE_MAX_TOOL) {
+        changeBlock = true;
+        sawAms = true;
+      }
+      if (code === 'M621') changeBlock = false;
+
+      // Object labels: Klipper EXCLUDE_OBJECT_*, Bambu M624/M625
+      if (code === 'M624' || code === 'M625' || code.startsWith('EXCLUDE_OBJECT_')) {
+        const label = parser.objectLabel(cmd);
+        if (label) objectLabel(label);
+      }
+
+      // Manual filament change
+      if (code === 'M600') {
+        changes.count++;
+        changes.manual++;
+        pendingChanges++;
+      }
+
+      // Part cooling fan (Bambu numbers it P1, Marlin P0)
+      if ((code === 'M106' || code === 'M107') && !(params.P > 1)) {
+        fanPct = code === 'M107' ? 0 : Math.round((params.S !== undefined ? params.S : 255) / 255 * 100);
+      }
+
       // Temperature commands
-      if ((code === 'M104' || code === 'M109') && params.S) {
+      if ((code === 'M104' || code === 'M109') && params.S !== undefined) {
+        nozzleTarget = params.S;
+        if (validator) validator.temp('nozzle', params.S, lineNo);
         result.nozzleTemp = Math.max(result.nozzleTemp, params.S);
       }
-      if ((code === 'M140' || code === 'M190') && params.S) {
+      if ((code === 'M140' || code === 'M190') && params.S !== undefined) {
+        bedTarget = params.S;
+        if (validator) validator.temp('bed', params.S, lineNo);
         result.bedTemp = Math.max(result.bedTemp, params.S);
       }
+
+      lintEvent.line = lineNo;
+      lintEvent.code = code;
+      lintEvent.params = params;
+      lintEvent.layer = layers.length;
+      lintEvent.z = lastZ;
+      lintEvent.feedrate = feedrate;
+      lintEvent.fanPct = fanPct;
+      lintEvent.feature = feature;
+      lint.line(lintEvent);
+    };
+
+    const finish = () => {
+      processLine(pending);
+      pending = '';
+      result.lineCount = lineNo;
+
+      // Post-process
+      result.layerCount = layers.length;
+
+      if (layers.length >= 2) {
+        result.firstLayerHeight = layers[0].height;
+        // Most common layer height
+        const counts = {};
+        layers.slice(1).forEach(l => { counts[l.height] = (counts[l.height] || 0) + 1; });
+        result.layerHeight = parseFloat(
+          Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || 0.2
+        );
+      }
+
+      result.maxSpeed = Math.round(result.maxSpeed);
+
+      // Slicer-reported time, filament and settings
+      parser._applySlicerMetadata(result, meta);
+
+      // Our own estimate, compared against the slicer's
+      const kinematic = planner.finish();
+      const slicerMin = result.estimatedTime_min;
+      const kinematicMin = Math.round(kinematic.time_s / 60);
+      result.timeEstimate = {
+        slicer_min: slicerMin,
+        kinematic_min: kinematicMin,
+        kinematic_s: Math.round(kinematic.time_s),
+        difference_pct: slicerMin > 0 && kinematicMin > 0 ? Math.round((kinematicMin - slicerMin) / slicerMin * 100) : null,
+        source: slicerMin > 0 ? 'slicer' : (kinematic.time_s > 0 ? 'kinematic' : 'none'),
+        printer: options.printer ? options.printer.id : null
+      };
+      if (slicerMin === 0) result.estimatedTime_min = kinematicMin;
+
+      // Filament weight estimate when the slicer gave none (PLA density ~1.24 g/cm³, 1.75mm filament)
+      if (result.filamentLength_mm > 0 && result.filamentWeight_g === 0) {
+        const first = result.filaments[0] || {};
+        const r = (first.diameter || 1.75) / 2; // mm
+        const volume_mm3 = Math.PI * r * r * result.filamentLength_mm;
+        result.filamentWeight_g = parseFloat((volume_mm3 * (first.density || 1.24) / 1000).toFixed(1));
+      }
+
+      // Finish per-layer figures
+      layers.forEach(l => {
+        l.time_s = parseFloat((kinematic.layerTimes.get(l.index) || 0).toFixed(1));
+        l.extrusion_mm = parseFloat(l.extrusion_mm.toFixed(2));
+        l.printDistance_mm = parseFloat(l.printDistance_mm.toFixed(1));
+        l.travelDistance_mm = parseFloat(l.travelDistance_mm.toFixed(1));
+        Object.keys(l.features).forEach(f => { l.features[f] = parseFloat(l.features[f].toFixed(2)); });
+        const filament = result.filaments.find(f => f.index === l.tool);
+        l.color = filament ? filament.color : '';
+      });
+
+      // Dimensions
+      if (result.minX === Infinity) result.minX = 0;
+      if (result.minY === Infinity) result.minY = 0;
+
+      result.dimensions = {
+        x: parseFloat((result.maxX - result.minX).toFixed(1)),
+        y: parseFloat((result.maxY - result.minY).toFixed(1)),
+        z: parseFloat(result.maxZ.toFixed(1))
+      };
+
+      // Volumetric flow per layer and for the file, against the material's limit
+      parser._summarizeFlow(result, flowHist, flowPeak, options.printer);
+
+      // Objects, with the bounding box of their extrusion
+      result.objects = Array.from(objects.values()).map(o => ({
+        name: o.name,
+        startLine: o.startLine,
+        blocks: o.blocks,
+        extrusion_mm: parseFloat(o.extrusion_mm.toFixed(2)),
+        bbox: o.minX === Infinity ? null : {
+          minX: parseFloat(o.minX.toFixed(2)),
+          minY: parseFloat(o.minY.toFixed(2)),
+          maxX: parseFloat(o.maxX.toFixed(2)),
+          maxY: parseFloat(o.maxY.toFixed(2))
+        }
+      }));
+
+      if (toolpath) result.toolpath = toolpath.finish();
+
+      // Tool usage, changes and purge
+      parser._summarizeTools(result, toolUsage, changes, {
+        ams: sawAms,
+        ace: result.slicer.id === 'anycubic' || /ace/i.test((options.printer && options.printer.ams.type) || '')
+      });
+
+      // Lint rules, then checks against the printer
+      result.warnings.push(...lint.finish(result));
+      if (validator) validator.finish(result, meta);
+
+      return result;
+    };
+
+    return {
+      write(text) {
+        const lines = (pending + text).split('\n');
+        pending = lines.pop();
+        for (let i = 0; i < lines.length; i++) processLine(lines[i]);
+      },
+      finish
+    };
+  },
+
+  // ---- Background parsing ----
+
+  /**
+   * Parse a file in the worker, streaming it in chunks so big files neither freeze the UI nor
+   * need to be split into one huge line array.
+   * source — { filePath } (read through the main process), { file } (a dropped File) or { text }
+   * options.printer, options.toolpath, options.lint — as for parse(); options.onProgress(fraction) — called as chunks complete
+   * Returns { promise, cancel }; the promise resolves to { result, text, size } or null when cancelled.
+   */
+  parseFile(source, options = {}) {
+    const worker = new Worker('services/gcode-parser-worker.js');
+    const onProgress = options.onProgress || (() => {});
+    let cancelled = false;
+    let settle = null;
+
+    const readers = {
+      filePath: {
+        size: () => window.api.getFileSize(source.filePath),
+        read: (offset, length) => window.api.readFileChunk(source.filePath, offset, length)
+      },
+      file: {
+        size: () => source.file.size,
+        read: (offset, length) => source.file.slice(offset, offset + length).arrayBuffer()
+      },
+      text: {
+        size: () => source.text.length,
+        read: (offset, length) => source.text.slice(offset, offset + length)
+      }
+    };
+    const reader = readers[Object.keys(readers).find(k => source[k] !== undefined)];
+
+    // Resolves on the worker's next ack/result, rejects on error
+    const nextReply = () => new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+    });
+    worker.onmessage = (e) => {
+      if (!settle) return;
+      const { resolve, reject } = settle;
+      settle = null;
+      if (e.data.type === 'error') reject(new Error(e.data.message));
+      else resolve(e.data);
+    };
+    worker.onerror = (e) => {
+      if (!settle) return;
+      const { reject } = settle;
+      settle = null;
+      reject(new Error(e.message || 'Parser worker failed'));
+    };
+
+    const run = async () => {
+      const size = await reader.size();
+      if (size === null || size === undefined) throw new Error('Could not read file');
+
+      const decoder = new TextDecoder();
+      const decode = (chunk, last) => typeof chunk === 'string' ? chunk : decoder.decode(chunk, { stream: !last });
+      const parts = [];
+
+      worker.postMessage({
+        type: 'start',
+        options: { printer: options.printer || null, toolpath: !!options.toolpath, lint: options.lint || null }
+      });
+      onProgress(0);
+
+      // Prefetch the next chunk while the worker parses the current one
+      let offset = 0;
+      let pendingRead = size > 0 ? reader.read(0, PARSE_CHUNK_SIZE) : null;
+      while (pendingRead) {
+        const chunk = await pendingRead;
+        if (cancelled) return null;
+        if (chunk === null) throw new Error('Could not read file');
+        offset += PARSE_CHUNK_SIZE;
+        const last = offset >= size;
+        pendingRead = last ? null : reader.read(offset, PARSE_CHUNK_SIZE);
+
+        const text = decode(chunk, last);
+        parts.push(text);
+        const ack = nextReply();
+        worker.postMessage({ type: 'chunk', text });
+        await ack;
+        if (cancelled) return null;
+        onProgress(Math.min(offset, size) / size);
+      }
+
+      const reply = nextReply();
+      worker.postMessage({ type: 'end' });
+      const done = await reply;
+      if (cancelled) return null;
+      onProgress(1);
+      return { result: done.result, text: parts.join(''), size };
+    };
+
+    const promise = run().finally(() => worker.terminate());
+
+    return {
+      promise,
+      cancel() {
+        cancelled = true;
+        worker.terminate();
+        // Unblock a pending wait so run() sees the cancellation
+        if (settle) {
+          settle.resolve(null);
+          settle = null;
+        }
+      }
+    };
+  },
+
+  // ---- Slicer metadata ----
+
+  _readMetadataComment(line, meta, lineNo) {
+    const body = line.replace(/^;\s*/, '');
+    if (!body) return;
+
+    if (!meta.banner && /generated (by|with)|^BambuStudio|^OrcaSlicer/i.test(body)) {
+      meta.banner = body;
+      return;
     }
 
-    // Post-process
-    const sortedHeights = [...layerHeights].sort((a, b) => a - b);
-    result.layerCount = sortedHeights.length;
-
-    if (sortedHeights.length >= 2) {
-      result.firstLayerHeight = sortedHeights[0];
-      const diffs = [];
-      for (let i = 1; i < Math.min(sortedHeights.length, 20); i++) {
-        diffs.push(parseFloat((sortedHeights[i] - sortedHeights[i - 1]).toFixed(3)));
-      }
-      // Most common layer height difference
-      const counts = {};
-      diffs.forEach(d => { counts[d] = (counts[d] || 0) + 1; });
-      result.layerHeight = parseFloat(
-        Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || 0.2
-      );
+    // Cura: ";TIME:1234", ";Filament used: 1.2m", ";Layer height: 0.2"
+    let m = body.match(/^(TIME|Filament used|Layer height|FLAVOR|TARGET_MACHINE\.NAME|EXTRUDER_TRAIN\.0\.NOZZLE\.DIAMETER):\s*(.*)$/);
+    if (m) {
+      if (!(m[1] in meta.cura)) meta.cura[m[1]] = m[2].trim();
+      return;
     }
 
-    if (speedValues.length > 0) {
-      result.maxSpeed = Math.round(Math.max(...speedValues));
+    // Bambu header packs two values on one line: "model printing time: 1h 2m; total estimated time: 1h 10m"
+    m = body.match(/total estimated time:\s*([^;]+)/);
+    if (m) {
+      meta.keys['total estimated time'] = m[1].trim();
+      return;
     }
 
-    // Filament weight estimate (PLA density ~1.24 g/cm³, 1.75mm filament)
-    if (result.filamentLength_mm > 0) {
-      const r = 1.75 / 2; // mm
-      const volume_mm3 = Math.PI * r * r * result.filamentLength_mm;
-      result.filamentWeight_g = parseFloat((volume_mm3 * 1.24 / 1000).toFixed(1));
+    m = body.match(/^([a-z_][\w ()[\]^]*?)\s*[=:]\s*(.*)$/i);
+    if (m) {
+      const key = m[1].trim().toLowerCase();
+      if (GCODE_METADATA_KEYS.has(key) && !(key in meta.keys)) {
+        meta.keys[key] = m[2].trim();
+        meta.lines[key] = lineNo;
+      }
     }
+  },
 
-    // Dimensions
-    if (result.minX === Infinity) result.minX = 0;
-    if (result.minY === Infinity) result.minY = 0;
+  _applySlicerMetadata(result, meta) {
+    const k = meta.keys;
+    const list = (key) => (k[key] !== undefined ? k[key].split(/\s*[;,]\s*/) : []);
+    const nums = (key) => list(key).map(v => parseFloat(v) || 0);
+    const sum = (arr) => arr.reduce((a, b) => a + b, 0);
 
-    result.dimensions = {
-      x: parseFloat((result.maxX - result.minX).toFixed(1)),
-      y: parseFloat((result.maxY - result.minY).toFixed(1)),
-      z: parseFloat(result.maxZ.toFixed(1))
-    };
+    // Which slicer wrote this file
+    const slicer = GCODE_SLICERS.find(s => s.pattern.test(meta.banner));
+    if (slicer) {
+      const version = meta.banner.match(/(\d+(?:\.\d+)+)/);
+      result.slicer = { id: slicer.id, name: slicer.name, version: version ? version[1] : '' };
+    } else if (meta.cura.FLAVOR || meta.cura.TIME) {
+      result.slicer = { id: 'cura', name: 'Cura', version: '' };
+    }
 
-    // Red flag detection
-    this._detectWarnings(result);
+    // Print time
+    const timeStr = k['total estimated time'] || k['estimated printing time (normal mode)'];
+    if (timeStr) {
+      result.estimatedTime_min = this._parseDuration(timeStr);
+    } else if (meta.cura.TIME) {
+      result.estimatedTime_min = Math.round(parseInt(meta.cura.TIME) / 60);
+    }
 
-    return result;
-  },
+    // Per-extruder filament usage
+    const lengths = k['total filament length [mm]'] !== undefined ? nums('total filament length [mm]') : nums('filament used [mm]');
+    const weights = k['total filament weight [g]'] !== undefined ? nums('total filament weight [g]') : nums('filament used [g]');
+    const costs = nums('filament cost');
+    const types = list('filament_type');
+    const colours = list('filament_colour');
+    const densities = nums('filament_density');
+    const diameters = nums('filament_diameter');
+    const pricesPerKg = nums('filament_cost');
 
-  _detectWarnings(result) {
-    if (result.dimensions.x < 0.4 || result.dimensions.y < 0.4) {
-      result.warnings.push({
-        level: 'warning',
-        message: 'Very thin dimensions detected — may be too thin to print reliably.'
+    if (meta.cura['Filament used']) {
+      meta.cura['Filament used'].split(',').forEach((v, i) => {
+        lengths[i] = (parseFloat(v) || 0) * 1000;
       });
     }
-    if (result.retractionCount > 5000) {
-      result.warnings.push({
-        level: 'warning',
-        message: `High retraction count (${result.retractionCount}) — increased clogging risk.`
+
+    const count = Math.max(lengths.length, weights.length, types.length);
+    for (let i = 0; i < count; i++) {
+      const weight = weights[i] || 0;
+      result.filaments.push({
+        index: i,
+        type: types[i] || types[0] || '',
+        color: colours[i] || '',
+        length_mm: parseFloat((lengths[i] || 0).toFixed(1)),
+        weight_g: parseFloat(weight.toFixed(2)),
+        cost: parseFloat((costs[i] !== undefined ? costs[i] : weight / 1000 * (pricesPerKg[i] || 0)).toFixed(2)),
+        density: densities[i] || densities[0] || 0,
+        diameter: diameters[i] || diameters[0] || 0
       });
     }
-    if (result.estimatedTime_min > 600 && result.layerHeight > 0.15) {
-      result.warnings.push({
-        level: 'info',
-        message: 'Long print with moderate detail. Consider thicker layers to save time.'
-      });
+
+    // Multi-material projects list every configured filament; drop the ones this file never uses
+    if (result.filaments.length > 1 && result.filaments.some(f => f.length_mm > 0 || f.weight_g > 0)) {
+      result.filaments = result.filaments.filter(f => f.length_mm > 0 || f.weight_g > 0);
+    }
+
+    const totalLength = sum(result.filaments.map(f => f.length_mm));
+    if (totalLength > 0) result.filamentLength_mm = Math.round(totalLength);
+
+    const totalWeight = parseFloat(k['total filament used [g]']) || sum(result.filaments.map(f => f.weight_g));
+    if (totalWeight > 0) result.filamentWeight_g = parseFloat(totalWeight.toFixed(1));
+
+    result.filamentCost = parseFloat((parseFloat(k['total filament cost']) || sum(result.filaments.map(f => f.cost))).toFixed(2));
+    result.filamentType = result.filaments.length > 0 ? result.filaments[0].type : '';
+
+    // Settings
+    const layerHeight = parseFloat(k.layer_height || meta.cura['Layer height']);
+    if (layerHeight > 0) result.layerHeight = layerHeight;
+    result.nozzleDiameter = parseFloat(k.nozzle_diameter || meta.cura['EXTRUDER_TRAIN.0.NOZZLE.DIAMETER']) || 0;
+    result.printerModel = k.printer_model || k.printer_settings_id || meta.cura['TARGET_MACHINE.NAME'] || '';
+  },
+
+  // ---- Object labels ----
+
+  /**
+   * Object label on a trimmed line: { action: 'define' | 'start' | 'end', name } or null.
+   * Recognises PrusaSlicer / Orca "; printing object" comments, Bambu / Orca unique label ids,
+   * Klipper EXCLUDE_OBJECT_DEFINE / _START / _END and Bambu M624 / M625. End labels may have no name.
+   */
+  objectLabel(line) {
+    if (line.startsWith(';')) {
+      let m = line.match(/^;\s*(start|stop) printing object, unique label id:\s*(\S+)/i);
+      if (m) return { action: m[1].toLowerCase() === 'start' ? 'start' : 'end', name: `id ${m[2]}` };
+      m = line.match(/^;\s*(stop )?printing object\b\s*(.*?)\s*$/i);
+      if (m) return { action: m[1] ? 'end' : 'start', name: m[2] || 'unnamed' };
+      return null;
     }
-    if (result.nozzleTemp > 260) {
-      result.warnings.push({
-        level: 'warning',
-        message: `High nozzle temperature (${result.nozzleTemp}°C) — ensure all-metal hotend.`
+    const cmd = line.split(';')[0].trim();
+    let m = cmd.match(/^EXCLUDE_OBJECT_(DEFINE|START|END)\b/i);
+    if (m) {
+      const action = m[1].toLowerCase();
+      const name = cmd.match(/\bNAME=("[^"]*"|\S+)/i);
+      if (!name && action !== 'end') return null;
+      return { action, name: name ? name[1].replace(/"/g, '') : '' };
+    }
+    m = cmd.match(/^M62([45])\b(?:\s+(\S+))?/);
+    if (m) return { action: m[1] === '4' ? 'start' : 'end', name: m[2] || 'M624' };
+    return null;
+  },
+
+  // ---- Arcs ----
+
+  /**
+   * Chord end points for a G2 (clockwise) / G3 arc in the XY plane, from the centre offset
+   * (I, J) or the radius (R; negative picks the long way round). Z moves linearly for helical
+   * arcs. Falls back to the straight end point when the arc can't be resolved.
+   */
+  interpolateArc(x0, y0, z0, x1, y1, z1, params, clockwise) {
+    let cx;
+    let cy;
+    if (params.I !== undefined || params.J !== undefined) {
+      cx = x0 + (params.I || 0);
+      cy = y0 + (params.J || 0);
+    } else if (params.R) {
+      // Same construction as Marlin: centre on the chord's perpendicular bisector
+      const r = params.R;
+      const dx = x1 - x0;
+      const dy = y1 - y0;
+      const d = Math.hypot(dx, dy);
+      const h2 = r * r - (d / 2) ** 2;
+      if (d === 0 || h2 < 0) return [{ x: x1, y: y1, z: z1 }];
+      const side = (clockwise !== (r < 0)) ? -1 : 1;
+      const h = Math.sqrt(h2);
+      cx = (x0 + x1) / 2 + side * h * (-dy / d);
+      cy = (y0 + y1) / 2 + side * h * (dx / d);
+    } else {
+      return [{ x: x1, y: y1, z: z1 }];
+    }
+
+    const radius = Math.hypot(x0 - cx, y0 - cy);
+    const start = Math.atan2(y0 - cy, x0 - cx);
+    let sweep = Math.atan2(y1 - cy, x1 - cx) - start;
+    // Equal start and end points mean a full circle
+    if (clockwise && sweep >= 0) sweep -= Math.PI * 2;
+    if (!clockwise && sweep <= 0) sweep += Math.PI * 2;
+
+    const segments = Math.max(1, Math.ceil(Math.abs(sweep) * radius / ARC_SEGMENT_LENGTH));
+    const points = [];
+    for (let i = 1; i < segments; i++) {
+      const angle = start + sweep * i / segments;
+      points.push({
+        x: cx + radius * Math.cos(angle),
+        y: cy + radius * Math.sin(angle),
+        z: z0 + (z1 - z0) * i / segments
       });
     }
-    if (result.bedTemp === 0 && result.printMoves > 100) {
-      result.warnings.push({
-        level: 'error',
-        message: 'No heated bed commands detected — adhesion issues likely.'
+    points.push({ x: x1, y: y1, z: z1 });
+    return points;
+  },
+
+  // ---- Printer validation ----
+
+  /**
+   * Checks moves, temperatures, speeds, tools and materials against a printer profile.
+   * Repeated problems are grouped into one finding with the first line, the count and
+   * the worst value, then added to result.warnings (with line) and result.validation.
+   */
+  _createValidator(printer) {
+    const TOLERANCE = 1;      // mm outside the bed before a move is flagged
+    const findings = {};      // key -> {level, line, count, worst, describe}
+    const vol = printer.buildVolume;
+    const slots = Math.max(1, printer.ams.totalSlots);
+
+    const flag = (key, level, value, line, describe) => {
+      const f = findings[key];
+      if (!f) {
+        findings[key] = { level, line, count: 1, worst: value, describe };
+      } else {
+        f.count++;
+        if (value > f.worst) f.worst = value;
+      }
+    };
+
+    const moves = (n) => `${n} move${n === 1 ? '' : 's'}`;
+
+    // Distance past the nearest bed edge, 0 when inside
+    const overshoot = (x, y, z) => Math.max(
+      -x, x - vol.x,
+      -y, y - vol.y,
+      z - vol.z
+    );
+
+    return {
+      move(x, y, z, moved, extruding, speed, line) {
+        if (!moved) return;
+        const out = overshoot(x, y, z);
+        if (out > TOLERANCE) {
+          if (extruding) {
+            flag('bounds-print', 'error', out, line, (f) =>
+              `Extrusion outside the ${vol.x}x${vol.y}x${vol.z}mm build volume of ${printer.shortName} (up to ${f.worst.toFixed(1)}mm past the edge, ${moves(f.count)}).`);
+          } else {
+            flag('bounds-travel', 'info', out, line, (f) =>
+              `Travel outside the build volume of ${printer.shortName} (up to ${f.worst.toFixed(1)}mm, ${moves(f.count)}) — fine for purge or wipe areas, check otherwise.`);
+          }
+        }
+        if (printer.maxSpeed > 0 && speed > printer.maxSpeed) {
+          flag('speed', 'warning', speed, line, (f) =>
+            `Feed rate above the ${printer.maxSpeed}mm/s limit of ${printer.shortName} (up to ${Math.round(f.worst)}mm/s, ${moves(f.count)}) — firmware will clamp it and times will run long.`);
+        }
+      },
+
+      temp(kind, value, line) {
+        const max = kind === 'nozzle' ? printer.maxNozzleTemp : printer.maxBedTemp;
+        if (max > 0 && value > max) {
+          flag(`temp-${kind}`, 'error', value, line, (f) =>
+            `${kind === 'nozzle' ? 'Nozzle' : 'Bed'} temperature ${f.worst}°C exceeds the ${max}°C maximum of ${printer.shortName}.`);
+        }
+      },
+
+      tool(index, line) {
+        if (index >= slots) {
+          flag('tool', 'error', index, line, (f) =>
+            `Tool T${f.worst} used but ${printer.shortName} has ${slots === 1 ? 'a single filament path' : `${slots} filament slots`} (T0-T${slots - 1}).`);
+        }
+      },
+
+      finish(result, meta) {
+        // Materials the slicer configured that this printer isn't set up for
+        const supported = (printer.supportedMaterials || []).map(m => m.toUpperCase());
+        const unsupported = [...new Set(result.filaments.map(f => f.type).filter(Boolean))]
+          .filter(t => !supported.includes(t.toUpperCase()));
+        if (supported.length > 0 && unsupported.length > 0) {
+          findings.material = {
+            level: 'warning',
+            line: meta.lines.filament_type || null,
+            count: unsupported.length,
+            describe: () => `${unsupported.join(', ')} ${unsupported.length === 1 ? 'is' : 'are'} not in the supported materials of ${printer.shortName}.`
+          };
+        }
+
+        const list = Object.keys(findings).map(key => {
+          const f = findings[key];
+          return { id: key, level: f.level, line: f.line, count: f.count, message: f.describe(f) };
+        });
+        result.validation = { printer: printer.id, findings: list };
+        list.forEach(f => result.warnings.push({ level: f.level, message: f.message, line: f.line }));
+      }
+    };
+  },
+
+  // ---- Volumetric flow ----
+
+  /**
+   * result.flow and layer.flow from the per-layer histograms: peak and percentile flows in
+   * mm³/s, the material / hotend limit from the material DB and the time spent above it.
+   */
+  _summarizeFlow(result, flowHist, flowPeak, printer) {
+    const first = result.filaments[0] || {};
+    const r = (first.diameter || 1.75) / 2;
+    const area = Math.PI * r * r;
+    const round = (v) => parseFloat(v.toFixed(1));
+    const total = new Float64Array(FLOW_BUCKETS);
+
+    // Flow at which the given share of extrusion time is reached, from the bucket middles
+    const percentile = (hist, share) => {
+      let sum = 0;
+      for (let i = 0; i < hist.length; i++) sum += hist[i];
+      if (sum === 0) return 0;
+      let acc = 0;
+      for (let i = 0; i < hist.length; i++) {
+        acc += hist[i];
+        if (acc >= sum * share) return (i + 0.5) * FLOW_BUCKET * area;
+      }
+      return 0;
+    };
+
+    let peak = 0;
+    result.layers.forEach(l => {
+      const hist = flowHist.get(l.index);
+      if (!hist) {
+        l.flow = { peak: 0, p95: 0 };
+        return;
+      }
+      for (let i = 0; i < FLOW_BUCKETS; i++) total[i] += hist[i];
+      const layerPeak = (flowPeak.get(l.index) || 0) * area;
+      peak = Math.max(peak, layerPeak);
+      l.flow = { peak: round(layerPeak), p95: round(percentile(hist, 0.95)) };
+    });
+    if (peak === 0 && !total.some(v => v > 0)) return;
+
+    let last = FLOW_BUCKETS - 1;
+    while (last > 0 && total[last] === 0) last--;
+
+    const limit = this._flowLimit(result.filamentType, printer);
+    let overLimit_s = 0;
+    if (limit) {
+      total.forEach((t, i) => {
+        if ((i + 0.5) * FLOW_BUCKET * area > limit.value) overLimit_s += t;
       });
     }
+
+    result.flow = {
+      peak: round(peak),
+      p50: round(percentile(total, 0.5)),
+      p95: round(percentile(total, 0.95)),
+      p99: round(percentile(total, 0.99)),
+      limit,
+      overLimit_s: Math.round(overLimit_s),
+      histogram: {
+        bucket: FLOW_BUCKET * area,
+        seconds: Array.from(total.subarray(0, last + 1), t => parseFloat(t.toFixed(2)))
+      }
+    };
+  },
+
+  /**
+   * Max volumetric speed for a slicer filament type on a printer's hotend class:
+   * { value, material, hotend } or null when the material isn't in the material DB.
+   * "PLA-CF" or "PETG HF" fall back to their base material.
+   */
+  _flowLimit(filamentType, printer) {
+    const db = window.materialDB || {};
+    const type = (filamentType || '').split(/[;,]/)[0].trim().toUpperCase();
+    if (!type) return null;
+    const keys = Object.keys(db).filter(k => db[k].maxVolumetricSpeed);
+    const key = keys.find(k => k.toUpperCase() === type) ||
+      keys.filter(k => type.startsWith(k.toUpperCase())).sort((a, b) => b.length - a.length)[0];
+    if (!key) return null;
+    const hotend = (printer && printer.hotend) || 'standard';
+    const limits = db[key].maxVolumetricSpeed;
+    return { value: limits[hotend] !== undefined ? limits[hotend] : limits.standard, material: key, hotend };
+  },
+
+  // ---- Multi-material ----
+
+  /**
+   * Fills result.tools, result.toolChanges and result.purge from the per-tool extrusion and
+   * change counters gathered while parsing. Flush is filament pushed out inside change blocks;
+   * tower is everything printed as the prime / wipe tower.
+   */
+  _summarizeTools(result, toolUsage, changes, detected) {
+    const filamentFor = (index) => result.filaments.find(f => f.index === index) || {};
+    const toGrams = (mm, index) => {
+      const f = filamentFor(index);
+      const r = (f.diameter || 1.75) / 2;
+      return Math.PI * r * r * mm * (f.density || 1.24) / 1000;
+    };
+    const toVolume = (mm) => {
+      const r = ((result.filaments[0] && result.filaments[0].diameter) || 1.75) / 2;
+      return Math.PI * r * r * mm;
+    };
+
+    result.tools = Object.keys(toolUsage).map(Number).sort((a, b) => a - b).map(index => {
+      const f = filamentFor(index);
+      return {
+        index,
+        extrusion_mm: parseFloat(toolUsage[index].toFixed(1)),
+        weight_g: parseFloat(toGrams(toolUsage[index], index).toFixed(2)),
+        type: f.type || '',
+        color: f.color || ''
+      };
+    });
+
+    const slicerChanges = changes.count - changes.manual;
+    let system = 'none';
+    if (detected.ams) system = 'ams';
+    else if (slicerChanges > 0 && detected.ace) system = 'ace';
+    else if (slicerChanges > 0) system = 'toolchange';
+    else if (changes.manual > 0) system = 'm600';
+
+    const layersWithChanges = result.layers.filter(l => l.toolChanges > 0);
+    result.toolChanges = {
+      count: changes.count,
+      manual: changes.manual,
+      system,
+      layersWithChanges: layersWithChanges.length,
+      maxPerLayer: layersWithChanges.reduce((max, l) => Math.max(max, l.toolChanges), 0)
+    };
+
+    const totalMm = changes.flush_mm + changes.tower_mm;
+    const firstIndex = result.tools.length > 0 ? result.tools[0].index : 0;
+    result.purge = {
+      flush_mm: parseFloat(changes.flush_mm.toFixed(1)),
+      tower_mm: parseFloat(changes.tower_mm.toFixed(1)),
+      volume_mm3: Math.round(toVolume(totalMm)),
+      weight_g: parseFloat(toGrams(totalMm, firstIndex).toFixed(2)),
+      perChange_mm3: changes.count > 0 ? Math.round(toVolume(totalMm) / changes.count) : 0,
+      primeTower: changes.tower_mm > 0
+    };
+  },
+
+  // ---- Toolpath ----
+
+  /**
+   * Compact move log for the toolpath preview. Point i is where move i ends; move i is drawn
+   * from point i - 1. Typed arrays keep multi-million-move files small and cheap to hand back
+   * from the worker. Layers index into it with layer.pathStart.
+   */
+  _createToolpath() {
+    let capacity = 65536;
+    let count = 0;
+    const features = ['Other'];
+    const arrays = {
+      x: new Float32Array(capacity),
+      y: new Float32Array(capacity),
+      extrude: new Uint8Array(capacity),
+      speed: new Uint16Array(capacity),   // mm/s
+      feature: new Uint8Array(capacity),  // Index into features
+      tool: new Uint8Array(capacity),
+      fan: new Uint8Array(capacity),      // %
+      line: new Uint32Array(capacity)     // 1-based source line
+    };
+
+    const grow = () => {
+      capacity *= 2;
+      Object.keys(arrays).forEach(k => {
+        const bigger = new arrays[k].constructor(capacity);
+        bigger.set(arrays[k]);
+        arrays[k] = bigger;
+      });
+    };
+
+    return {
+      count: () => count,
+      add(x, y, extrude, speed, feature, tool, fan, line) {
+        if (count === capacity) grow();
+        let featureIdx = features.indexOf(feature || 'Other');
+        if (featureIdx === -1) featureIdx = features.push(feature) - 1;
+        arrays.x[count] = x;
+        arrays.y[count] = y;
+        arrays.extrude[count] = extrude ? 1 : 0;
+        arrays.speed[count] = Math.min(65535, Math.round(speed));
+        arrays.feature[count] = featureIdx;
+        arrays.tool[count] = tool;
+        arrays.fan[count] = fan;
+        arrays.line[count] = line;
+        count++;
+      },
+      finish() {
+        const out = { count, features };
+        Object.keys(arrays).forEach(k => { out[k] = arrays[k].slice(0, count); });
+        return out;
+      }
+    };
+  },
+
+  // ---- Kinematic time estimate ----
+
+  /**
+   * Trapezoidal motion planner: each move accelerates from its entry speed towards its
+   * nominal speed and decelerates to the next move's entry speed. Corner speeds come from
+   * junction deviation (or classic jerk), limited by M201/M203/M204/M205 from the file
+   * and by the printer profile's kinematics.
+   */
+  _createPlanner(printer) {
+    const k = (printer && printer.kinematics) || {};
+    const xyAccel = k.maxAccel || 1500;
+    const xySpeed = (printer && printer.maxSpeed) || 200;
+    const limits = {
+      printAccel: xyAccel,
+      travelAccel: xyAccel,
+      retractAccel: k.maxAccelE || 5000,
+      axisAccel: [xyAccel, xyAccel, k.maxAccelZ || 100, k.maxAccelE || 5000],
+      axisSpeed: [xySpeed, xySpeed, k.maxSpeedZ || 10, k.maxSpeedE || 60],
+      junctionDeviation: k.junctionDeviation !== undefined ? k.junctionDeviation : 0.013,
+      jerk: k.jerk || 8
+    };
+
+    const buffer = [];
+    const layerTimes = new Map();
+    let committedExit = 0;
+    let prevUnit = null;
+    let total = 0;
+
+    const junctionSpeed = (unit, accel) => {
+      if (!prevUnit || !unit) return 0;
+      if (limits.junctionDeviation > 0) {
+        const cosTheta = -(prevUnit[0] * unit[0] + prevUnit[1] * unit[1] + prevUnit[2] * unit[2]);
+        if (cosTheta > 0.999999) return 0;
+        if (cosTheta < -0.999999) return Infinity;
+        const sinHalf = Math.sqrt(0.5 * (1 - cosTheta));
+        return Math.sqrt(accel * limits.junctionDeviation * sinHalf / (1 - sinHalf));
+      }
+      // Classic jerk: the largest per-axis velocity change may not exceed the jerk limit
+      const maxDelta = Math.max(Math.abs(unit[0] - prevUnit[0]), Math.abs(unit[1] - prevUnit[1]));
+      return maxDelta > 0 ? limits.jerk / maxDelta : Infinity;
+    };
+
+    const blockTime = (b, exit) => {
+      const v0 = b.entry;
+      const a = b.accel;
+      const accelDist = (b.nominal * b.nominal - v0 * v0) / (2 * a);
+      const decelDist = (b.nominal * b.nominal - exit * exit) / (2 * a);
+      if (accelDist + decelDist <= b.length) {
+        return (b.nominal - v0) / a + (b.nominal - exit) / a + (b.length - accelDist - decelDist) / b.nominal;
+      }
+      const peak = Math.sqrt(Math.max(0, (2 * a * b.length + v0 * v0 + exit * exit) / 2));
+      return Math.max(0, (peak - v0) / a) + Math.max(0, (peak - exit) / a);
+    };
+
+    // Re-plan the buffer (backward then forward pass) and retire moves that are settled
+    const flush = (keep) => {
+      let next = 0;
+      for (let i = buffer.length - 1; i >= 0; i--) {
+        const b = buffer[i];
+        b.entry = Math.min(b.maxEntry, Math.sqrt(next * next + 2 * b.accel * b.length));
+        next = b.entry;
+      }
+      if (buffer.length > 0) buffer[0].entry = Math.min(buffer[0].entry, committedExit);
+      for (let i = 1; i < buffer.length; i++) {
+        const prev = buffer[i - 1];
+        buffer[i].entry = Math.min(buffer[i].entry, Math.sqrt(prev.entry * prev.entry + 2 * prev.accel * prev.length));
+      }
+
+      while (buffer.length > keep) {
+        const b = buffer.shift();
+        const exit = buffer.length > 0 ? buffer[0].entry : 0;
+        const t = blockTime(b, exit);
+        total += t;
+        layerTimes.set(b.layer, (layerTimes.get(b.layer) || 0) + t);
+        committedExit = exit;
+      }
+    };
+
+    return {
+      move(dx, dy, dz, de, feedrate, layer) {
+        const xyz = Math.sqrt(dx * dx + dy * dy + dz * dz);
+        const length = xyz > 0 ? xyz : Math.abs(de);
+        if (length === 0 || feedrate <= 0) return;
+
+        // Unit vector over the axes that define the move; E-only moves stop the toolhead
+        const axes = xyz > 0 ? [dx / xyz, dy / xyz, dz / xyz, de / xyz] : [0, 0, 0, Math.sign(de)];
+        let accel = xyz === 0 ? limits.retractAccel : (de > 0 ? limits.printAccel : limits.travelAccel);
+        let nominal = feedrate;
+        axes.forEach((u, i) => {
+          if (u === 0) return;
+          accel = Math.min(accel, limits.axisAccel[i] / Math.abs(u));
+          nominal = Math.min(nominal, limits.axisSpeed[i] / Math.abs(u));
+        });
+
+        const unit = xyz > 0 ? axes.slice(0, 3) : null;
+        const prevNominal = buffer.length > 0 ? buffer[buffer.length - 1].nominal : 0;
+        const maxEntry = Math.min(nominal, prevNominal, junctionSpeed(unit, accel));
+        prevUnit = unit;
+
+        buffer.push({ length, nominal, accel, maxEntry, entry: 0, layer });
+        if (buffer.length > PLANNER_LOOKAHEAD) flush(PLANNER_LOOKAHEAD);
+      },
+
+      // G4 waits for the planner to drain before dwelling
+      dwell(seconds, layer) {
+        flush(0);
+        committedExit = 0;
+        prevUnit = null;
+        total += seconds;
+        layerTimes.set(layer, (layerTimes.get(layer) || 0) + seconds);
+      },
+
+      setLimit(code, params) {
+        if (code === 'M204') {
+          if (params.S) { limits.printAccel = params.S; limits.travelAccel = params.S; }
+          if (params.P) limits.printAccel = params.P;
+          if (params.T) limits.travelAccel = params.T;
+          if (params.R) limits.retractAccel = params.R;
+        } else if (code === 'M201' || code === 'M203') {
+          const target = code === 'M201' ? limits.axisAccel : limits.axisSpeed;
+          ['X', 'Y', 'Z', 'E'].forEach((axis, i) => {
+            if (params[axis] > 0) target[i] = params[axis];
+          });
+        } else if (code === 'M205') {
+          if (params.J !== undefined) limits.junctionDeviation = params.J;
+          else if (params.X > 0) { limits.jerk = params.X; limits.junctionDeviation = 0; }
+        }
+      },
+
+      // Klipper: SET_VELOCITY_LIMIT VELOCITY=.. ACCEL=.. SQUARE_CORNER_VELOCITY=..
+      setKlipperLimit(cmd) {
+        const get = (name) => {
+          const m = cmd.match(new RegExp(`\\b${name}=([\\d.]+)`, 'i'));
+          return m ? parseFloat(m[1]) : null;
+        };
+        const accel = get('ACCEL');
+        const velocity = get('VELOCITY');
+        const scv = get('SQUARE_CORNER_VELOCITY');
+        if (accel) { limits.printAccel = accel; limits.travelAccel = accel; }
+        if (velocity) { limits.axisSpeed[0] = velocity; limits.axisSpeed[1] = velocity; }
+        if (scv !== null) {
+          limits.junctionDeviation = scv * scv * (Math.SQRT2 - 1) / limits.printAccel;
+        }
+      },
+
+      // Returns total seconds plus seconds per layer number (0 = before the first layer)
+      finish() {
+        flush(0);
+        return { time_s: total, layerTimes };
+      }
+    };
+  },
+
+  _normalizeFeature(label) {
+    const match = GCODE_FEATURE_TYPES.find(t => t.pattern.test(label));
+    return match ? match.name : label;
+  },
+
+  // "1d 2h 3m 4s" -> minutes
+  _parseDuration(str) {
+    const units = { d: 1440, h: 60, m: 1, s: 1 / 60 };
+    let minutes = 0;
+    str.replace(/([\d.]+)\s*([dhms])/g, (match, val, unit) => {
+      minutes += parseFloat(val) * units[unit];
+      return match;
+    });
+    return Math.round(minutes);
   },
 
   formatTime(minutes) {
@@ -1,4 +1,5 @@
 // Built-in material properties database
+// maxVolumetricSpeed — mm³/s a hotend of each class (printer profile `hotend`) can melt
 
 window.materialDB = {
   PLA: {
@@ -16,6 +17,7 @@ window.materialDB = {
     needsEnclosure: false,
     bedAdhesion: 'Excellent on PEI, glass, BuildTak',
     dryingTemp: 50, dryingTime_hr: 4,
+    maxVolumetricSpeed: { standard: 12, 'high-flow': 21 },
     notes: 'Best all-around starter material. Biodegradable. Brittle under stress.',
     printerSupport: ['bambu_a1', 'kobra_s1']
   },
@@ -34,6 +36,7 @@ window.materialDB = {
     needsEnclosure: false,
     bedAdhesion: 'Excellent',
     dryingTemp: 50, dryingTime_hr: 4,
+    maxVolumetricSpeed: { standard: 12, 'high-flow': 20 },
     notes: 'Tougher than standard PLA with slightly better layer adhesion.',
     printerSupport: ['bambu_a1', 'kobra_s1']
   },
@@ -52,6 +55,7 @@ window.materialDB = {
     needsEnclosure: false,
     bedAdhesion: 'Good — can stick too well to bare PEI, use glue stick as release agent',
     dryingTemp: 65, dryingTime_hr: 6,
+    maxVolumetricSpeed: { standard: 10, 'high-flow': 16 },
     notes: 'Great balance of strength and ease. Watch for stringing.',
     printerSupport: ['bambu_a1', 'kobra_s1']
   },
@@ -70,6 +74,7 @@ window.materialDB = {
     needsEnclosure: false,
     bedAdhesion: 'Good',
     dryingTemp: 50, dryingTime_hr: 8,
+    maxVolumetricSpeed: { standard: 3, 'high-flow': 4 },
     notes: 'Flexible/rubbery material. Print slow (20-40mm/s). Disable retraction or keep minimal.',
     printerSupport: ['bambu_a1', 'kobra_s1']
   },
@@ -88,6 +93,7 @@ window.materialDB = {
     needsEnclosure: true,
     bedAdhesion: 'Moderate — warps without enclosure. Use ABS slurry or glue stick.',
     dryingTemp: 60, dryingTime_hr: 4,
+    maxVolumetricSpeed: { standard: 12, 'high-flow': 20 },
     notes: 'Strong and heat-resistant but warps easily. Needs enclosure and good ventilation (fumes).',
     printerSupport: ['kobra_s1']
   },
@@ -106,6 +112,7 @@ window.materialDB = {
     needsEnclosure: true,
     bedAdhesion: 'Moderate — similar to ABS, use enclosure',
     dryingTemp: 60, dryingTime_hr: 4,
+    maxVolumetricSpeed: { standard: 12, 'high-flow': 18 },
     notes: 'UV-resistant version of ABS. Best for outdoor parts. Needs enclosure.',
     printerSupport: ['kobra_s1']
   },
@@ -124,6 +131,7 @@ window.materialDB = {
     needsEnclosure: true,
     bedAdhesion: 'Poor — use PVA glue or garolite bed surface',
     dryingTemp: 70, dryingTime_hr: 12,
+    maxVolumetricSpeed: { standard: 8, 'high-flow': 12 },
     notes: 'Extremely strong and flexible. Must be dried before printing. Absorbs moisture quickly.',
     printerSupport: []
   },
@@ -142,6 +150,7 @@ window.materialDB = {
     needsEnclosure: false,
     bedAdhesion: 'Good',
     dryingTemp: 45, dryingTime_hr: 10,
+    maxVolumetricSpeed: { standard: 6, 'high-flow': 10 },
     notes: 'Water-soluble support material. Use with PLA for complex supports. Must keep dry.',
     printerSupport: ['bambu_a1']
   },
@@ -160,6 +169,7 @@ window.materialDB = {
     needsEnclosure: true,
     bedAdhesion: 'Moderate',
     dryingTemp: 60, dryingTime_hr: 4,
+    maxVolumetricSpeed: { standard: 10, 'high-flow': 16 },
     notes: 'Dissolves in limonene. Used as support for ABS prints.',
     printerSupport: []
   },
@@ -178,6 +188,7 @@ window.materialDB = {
     needsEnclosure: true,
     bedAdhesion: 'Poor — needs high bed temp and adhesive',
     dryingTemp: 80, dryingTime_hr: 8,
+    maxVolumetricSpeed: { standard: 8, 'high-flow': 14 },
     notes: 'Extremely strong and heat-resistant. Requires all-metal hotend and enclosure.',
     printerSupport: []
   }
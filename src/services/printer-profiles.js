@@ -1,50 +1,315 @@
-// Printer hardware profiles — editable defaults for both machines
+// Printer registry — persisted hardware profiles for every machine in the shop
+// Seeded with the two original machines; modules read printers from here instead of hard-coding ids.
 
-window.printerProfiles = {
-  bambu_a1: {
+const DEFAULT_PRINTERS = [
+  {
     id: 'bambu_a1',
     name: 'Bambu Lab A1 Combo',
     shortName: 'Bambu A1',
     buildVolume: { x: 256, y: 256, z: 256 },
     maxSpeed: 500,
+    kinematics: {
+      maxAccel: 10000,
+      maxAccelZ: 1500,
+      maxAccelE: 5000,
+      maxSpeedZ: 30,
+      maxSpeedE: 60,
+      junctionDeviation: 0,
+      jerk: 9
+    },
     maxBedTemp: 100,
     maxNozzleTemp: 300,
     nozzleSize: 0.4,
     hasEnclosure: false,
     bedSurface: 'PEI textured plate',
     directDrive: true,
+    hotend: 'high-flow',
     features: ['LiDAR', 'Auto-calibration', 'Vibration compensation'],
     ams: {
       type: 'AMS Lite',
       units: 1,
       slotsPerUnit: 4,
-      totalSlots: 4
+      totalSlots: 4,
+      unitIds: ['ams_lite_1']
     },
     supportedMaterials: ['PLA', 'PLA+', 'PETG', 'TPU', 'PVA', 'PLA-CF'],
     ecosystem: 'Bambu Studio',
+    gcodeFlavor: 'bambu',
+    purge: {
+      method: 'Purge tower (Bambu Studio optimized)',
+      multiplier: 0.85,
+      swapTime_s: 12,
+      towerFootprint: '16 x 16 mm'
+    },
     notes: 'Fast and reliable. No enclosure limits high-temp materials.'
   },
-  kobra_s1: {
+  {
     id: 'kobra_s1',
     name: 'Anycubic Kobra S1 Combo',
     shortName: 'Kobra S1',
     buildVolume: { x: 220, y: 220, z: 250 },
     maxSpeed: 300,
+    kinematics: {
+      maxAccel: 10000,
+      maxAccelZ: 500,
+      maxAccelE: 5000,
+      maxSpeedZ: 20,
+      maxSpeedE: 60,
+      junctionDeviation: 0.013,
+      jerk: 8
+    },
     maxBedTemp: 110,
     maxNozzleTemp: 300,
     nozzleSize: 0.4,
     hasEnclosure: false,
     bedSurface: 'PEI spring steel',
     directDrive: true,
+    hotend: 'high-flow',
     features: ['Dual Ace Pro', '8-color capability', 'Direct drive'],
     ams: {
       type: 'Ace Pro',
       units: 2,
       slotsPerUnit: 4,
-      totalSlots: 8
+      totalSlots: 8,
+      unitIds: ['ace_pro_1', 'ace_pro_2']
     },
     supportedMaterials: ['PLA', 'PLA+', 'PETG', 'TPU', 'ABS', 'ASA'],
     ecosystem: 'Anycubic Slicer / Cura',
+    gcodeFlavor: 'marlin',
+    purge: {
+      method: 'Purge tower (standard)',
+      multiplier: 1.0,
+      swapTime_s: 15,
+      towerFootprint: '18 x 18 mm'
+    },
     notes: '8-color capability with dual Ace Pro units. Great for multi-color prints.'
   }
+];
+
+// Values used for any field a profile and its built-in default (if any) leave out
+const PRINTER_TEMPLATE = {
+  name: 'New Printer',
+  shortName: '',
+  buildVolume: { x: 220, y: 220, z: 250 },
+  maxSpeed: 200,
+  // Firmware motion limits used by the G-code time estimator (mm/s, mm/s²);
+  // junctionDeviation 0 means the firmware uses classic jerk instead
+  kinematics: {
+    maxAccel: 1500,
+    maxAccelZ: 100,
+    maxAccelE: 5000,
+    maxSpeedZ: 10,
+    maxSpeedE: 60,
+    junctionDeviation: 0.013,
+    jerk: 8
+  },
+  maxBedTemp: 100,
+  maxNozzleTemp: 260,
+  nozzleSize: 0.4,
+  hasEnclosure: false,
+  bedSurface: '',
+  directDrive: true,
+  hotend: 'standard',   // 'standard' | 'high-flow'; picks the material DB flow limit
+  features: [],
+  ams: { type: 'None', units: 0, slotsPerUnit: 0, totalSlots: 0, unitIds: [] },
+  supportedMaterials: ['PLA', 'PLA+', 'PETG'],
+  ecosystem: '',
+  gcodeFlavor: 'marlin',
+  purge: { method: 'Purge tower (standard)', multiplier: 1.0, swapTime_s: 15, towerFootprint: '18 x 18 mm' },
+  notes: '',
+  retired: false
 };
+
+class PrinterRegistry {
+  constructor() {
+    this._printers = [];
+  }
+
+  async load() {
+    let stored = await window.storage.getPrinters();
+    if (stored.length === 0) {
+      stored = DEFAULT_PRINTERS.map(p => JSON.parse(JSON.stringify(p)));
+      await this._importLegacyRouterProfiles(stored);
+      await window.storage.savePrinters(stored);
+    }
+    this._printers = stored.map(p => this._normalize(p));
+    this._syncProfileMap();
+    return this._printers;
+  }
+
+  // --- Queries ---
+
+  list({ includeRetired = false } = {}) {
+    return this._printers.filter(p => includeRetired || !p.retired);
+  }
+
+  get(id) {
+    return this._printers.find(p => p.id === id) || null;
+  }
+
+  getName(id) {
+    const p = this.get(id);
+    return p ? p.name : id;
+  }
+
+  getShortName(id) {
+    const p = this.get(id);
+    return p ? p.shortName : id;
+  }
+
+  // AMS / Ace / MMU units for a printer, each with a stable id used in spool locations
+  getFeederUnits(id) {
+    const p = this.get(id);
+    if (!p) return [];
+    const units = [];
+    for (let u = 0; u < p.ams.units; u++) {
+      units.push({
+        id: p.ams.unitIds[u] || `${p.id}_unit_${u + 1}`,
+        name: p.ams.units > 1 ? `${p.ams.type} #${u + 1}` : p.ams.type,
+        printer: p.id,
+        printerName: p.name,
+        slots: p.ams.slotsPerUnit
+      });
+    }
+    return units;
+  }
+
+  // Colors a printer can hold at once; a printer with no feeder still prints one
+  getColorCapacity(id) {
+    const p = this.get(id);
+    return p ? Math.max(1, p.ams.totalSlots) : 0;
+  }
+
+  // --- Mutations ---
+
+  async add(profile) {
+    const printer = this._normalize({ ...profile, id: this._makeId(profile.name || PRINTER_TEMPLATE.name) });
+    this._printers.push(printer);
+    await this._persist();
+    return printer;
+  }
+
+  async update(id, updates) {
+    const idx = this._printers.findIndex(p => p.id === id);
+    if (idx === -1) return null;
+    const merged = { ...this._printers[idx], ...updates, id };
+    if (updates.ams) merged.ams = { ...this._printers[idx].ams, ...updates.ams };
+    if (updates.kinematics) merged.kinematics = { ...this._printers[idx].kinematics, ...updates.kinematics };
+    this._printers[idx] = this._normalize(merged);
+    await this._persist();
+    return this._printers[idx];
+  }
+
+  async clone(id, overrides = {}) {
+    const source = this.get(id);
+    if (!source) return null;
+    const copy = JSON.parse(JSON.stringify(source));
+    copy.name = `${source.name} (copy)`;
+    copy.shortName = `${source.shortName} (copy)`;
+    copy.ams.unitIds = [];
+    copy.retired = false;
+    return this.add({ ...copy, ...overrides });
+  }
+
+  // Retired printers disappear from pickers but keep their name for print history
+  async retire(id) {
+    return this.update(id, { retired: true });
+  }
+
+  async restore(id) {
+    return this.update(id, { retired: false });
+  }
+
+  async resetToDefaults(id) {
+    const def = DEFAULT_PRINTERS.find(p => p.id === id);
+    if (!def) return null;
+    return this.update(id, JSON.parse(JSON.stringify(def)));
+  }
+
+  hasDefaults(id) {
+    return DEFAULT_PRINTERS.some(p => p.id === id);
+  }
+
+  // --- UI helpers ---
+
+  // Replace the registry-generated options of a <select>, keeping any static options from the markup
+  populateSelect(select, { includeRetired = false, useShortName = false } = {}) {
+    if (!select) return;
+    const current = select.value;
+    select.querySelectorAll('option[data-registry]').forEach(o => o.remove());
+    this.list({ includeRetired }).forEach(p => {
+      const opt = document.createElement('option');
+      opt.value = p.id;
+      opt.textContent = useShortName ? p.shortName : p.name;
+      opt.dataset.registry = 'true';
+      select.appendChild(opt);
+    });
+    if ([...select.options].some(o => o.value === current)) select.value = current;
+  }
+
+  // --- Internal ---
+
+  // Fields a stored profile lacks come from the built-in printer with the same id, then the
+  // template, so profiles saved before a field existed (hotend, kinematics) get its real value
+  _normalize(profile) {
+    const builtIn = JSON.parse(JSON.stringify(DEFAULT_PRINTERS.find(d => d.id === profile.id) || {}));
+    const section = (key) => ({ ...PRINTER_TEMPLATE[key], ...(builtIn[key] || {}), ...(profile[key] || {}) });
+    const p = { ...JSON.parse(JSON.stringify(PRINTER_TEMPLATE)), ...builtIn, ...profile };
+    p.buildVolume = section('buildVolume');
+    p.ams = section('ams');
+    p.ams.unitIds = [...(p.ams.unitIds || [])];
+    p.ams.totalSlots = p.ams.units * p.ams.slotsPerUnit;
+    p.purge = section('purge');
+    p.kinematics = section('kinematics');
+    p.features = [...(p.features || [])];
+    p.supportedMaterials = [...(p.supportedMaterials || [])];
+    if (!p.shortName) p.shortName = p.name;
+    p.retired = !!p.retired;
+    return p;
+  }
+
+  _makeId(name) {
+    const base = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '') || 'printer';
+    let id = base;
+    let n = 2;
+    while (this.get(id)) {
+      id = `${base}_${n++}`;
+    }
+    return id;
+  }
+
+  _syncProfileMap() {
+    Object.keys(window.printerProfiles).forEach(id => delete window.printerProfiles[id]);
+    this.list().forEach(p => { window.printerProfiles[p.id] = p; });
+  }
+
+  async _persist() {
+    this._syncProfileMap();
+    await window.storage.savePrinters(this._printers);
+    window.dispatchEvent(new CustomEvent('printers:changed'));
+  }
+
+  // The Print Router used to keep its own spec overrides; fold them in on first run
+  async _importLegacyRouterProfiles(printers) {
+    try {
+      const legacy = await window.storage.load('router-profiles.json');
+      if (!legacy || typeof legacy !== 'object') return;
+      printers.forEach(p => {
+        const o = legacy[p.id];
+        if (!o) return;
+        p.buildVolume = { x: o.buildX ?? p.buildVolume.x, y: o.buildY ?? p.buildVolume.y, z: o.buildZ ?? p.buildVolume.z };
+        if (o.maxSpeed) p.maxSpeed = o.maxSpeed;
+        if (o.maxNozzleTemp) p.maxNozzleTemp = o.maxNozzleTemp;
+        if (o.maxBedTemp) p.maxBedTemp = o.maxBedTemp;
+        if (typeof o.hasEnclosure === 'boolean') p.hasEnclosure = o.hasEnclosure;
+        if (Array.isArray(o.materials)) p.supportedMaterials = [...o.materials];
+      });
+    } catch (e) {
+      // No legacy overrides
+    }
+  }
+}
+
+// Active printers keyed by id — kept in sync by the registry for modules that look profiles up directly
+window.printerProfiles = {};
+window.printerRegistry = new PrinterRegistry();
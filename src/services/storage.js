@@ -1,6 +1,7 @@
-// Storage service — abstraction layer for JSON file storage
-// All modules should use this instead of directly calling api.readData/writeData
-// This makes it easy to swap to SQLite later without touching module code.
+// Storage service — abstraction layer over the main process store
+// All modules should use this instead of directly calling window.api storage methods.
+// The main process keeps the data in SQLite (JSON files when SQLite can't load); record
+// changes go through single-record calls so nothing rewrites a whole collection.
 
 class StorageService {
   constructor() {
@@ -22,32 +23,60 @@ class StorageService {
     return this._cache[fileName] || null;
   }
 
+  // The cached copy is stale after a single-record change
+  _forget(fileName) {
+    delete this._cache[fileName];
+  }
+
+  // Resolves to the stored record; throws when main refused it (duplicate id, write failure)
+  async _insert(fileName, record) {
+    this._forget(fileName);
+    const saved = await window.api.insertRecord(fileName, record);
+    if (!saved) throw new Error(`The record could not be added to ${fileName}.`);
+    return saved;
+  }
+
+  async _update(fileName, id, updates) {
+    this._forget(fileName);
+    return window.api.updateRecord(fileName, id, updates);
+  }
+
+  async _delete(fileName, id) {
+    this._forget(fileName);
+    await window.api.deleteRecord(fileName, id);
+  }
+
   // --- Print Records ---
 
   async getPrints() {
     return (await this.load('prints.json')) || [];
   }
 
+  async getPrint(id) {
+    return window.api.getRecord('prints.json', id);
+  }
+
+  // Newest first, like getPrints
   async addPrint(record) {
-    const prints = await this.getPrints();
-    prints.unshift(record);
-    await this.save('prints.json', prints);
-    return record;
+    return this._insert('prints.json', record);
   }
 
   async updatePrint(id, updates) {
-    const prints = await this.getPrints();
-    const idx = prints.findIndex(p => p.id === id);
-    if (idx === -1) return null;
-    Object.assign(prints[idx], updates);
-    await this.save('prints.json', prints);
-    return prints[idx];
+    return this._update('prints.json', id, updates);
   }
 
   async deletePrint(id) {
-    let prints = await this.getPrints();
-    prints = prints.filter(p => p.id !== id);
-    await this.save('prints.json', prints);
+    await this._delete('prints.json', id);
+  }
+
+  /**
+   * Prints matching every given filter, newest first.
+   * query — { from, to (Date or ISO string, inclusive), printer (id), material (label), status, limit }
+   */
+  async queryPrints(query = {}) {
+    const iso = (d) => (d instanceof Date ? d.toISOString() : d);
+    const q = Object.assign({}, query, { from: iso(query.from), to: iso(query.to) });
+    return (await window.api.queryPrints(q)) || [];
   }
 
   // --- Filament Spools ---
@@ -57,34 +86,21 @@ class StorageService {
   }
 
   async addFilament(spool) {
-    const filaments = await this.getFilaments();
-    filaments.push(spool);
-    await this.save('filaments.json', filaments);
-    return spool;
+    return this._insert('filaments.json', spool);
   }
 
   async updateFilament(id, updates) {
-    const filaments = await this.getFilaments();
-    const idx = filaments.findIndex(f => f.id === id);
-    if (idx === -1) return null;
-    Object.assign(filaments[idx], updates);
-    await this.save('filaments.json', filaments);
-    return filaments[idx];
+    return this._update('filaments.json', id, updates);
   }
 
   async deleteFilament(id) {
-    let filaments = await this.getFilaments();
-    filaments = filaments.filter(f => f.id !== id);
-    await this.save('filaments.json', filaments);
+    await this._delete('filaments.json', id);
   }
 
   async deductFilament(id, grams) {
-    const filaments = await this.getFilaments();
-    const spool = filaments.find(f => f.id === id);
+    const spool = await window.api.getRecord('filaments.json', id);
     if (!spool) return null;
-    spool.weightRemaining_g = Math.max(0, spool.weightRemaining_g - grams);
-    await this.save('filaments.json', filaments);
-    return spool;
+    return this._update('filaments.json', id, { weightRemaining_g: Math.max(0, spool.weightRemaining_g - grams) });
   }
 
   // --- Print Profiles ---
@@ -94,25 +110,26 @@ class StorageService {
   }
 
   async addProfile(profile) {
-    const profiles = await this.getProfiles();
-    profiles.push(profile);
-    await this.save('profiles.json', profiles);
-    return profile;
+    return this._insert('profiles.json', profile);
   }
 
   async updateProfile(id, updates) {
-    const profiles = await this.getProfiles();
-    const idx = profiles.findIndex(p => p.id === id);
-    if (idx === -1) return null;
-    Object.assign(profiles[idx], updates);
-    await this.save('profiles.json', profiles);
-    return profiles[idx];
+    return this._update('profiles.json', id, updates);
   }
 
   async deleteProfile(id) {
-    let profiles = await this.getProfiles();
-    profiles = profiles.filter(p => p.id !== id);
-    await this.save('profiles.json', profiles);
+    await this._delete('profiles.json', id);
+  }
+
+  // --- Printer Registry ---
+
+  async getPrinters() {
+    return (await this.load('printers.json')) || [];
+  }
+
+  async savePrinters(printers) {
+    await this.save('printers.json', printers);
+    return printers;
   }
 
   // --- App Settings ---
@@ -122,9 +139,8 @@ class StorageService {
   }
 
   async saveSetting(key, value) {
-    const settings = await this.getSettings();
-    settings[key] = value;
-    await this.save('settings.json', settings);
+    const settings = (await window.api.saveSetting(key, value)) || {};
+    this._cache['settings.json'] = settings;
     return settings;
   }
 }
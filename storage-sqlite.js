@@ -0,0 +1,293 @@
+// SQLite storage backend for the main process
+// Record collections (prints, filaments, profiles, printers) get a table each with indexed
+// columns for the fields we query on; the full record is kept as JSON next to them. Settings
+// are one row per key, and the ad-hoc collections (templates, recipes, plans…) one document each.
+
+const fs = require('fs');
+const path = require('path');
+const Database = require('better-sqlite3');
+
+const column = (v) => (v === undefined || v === null || v === '' ? null : String(v));
+
+// Record collections: table, the indexed columns pulled out of each record, and whether
+// new records go to the front of the list (prints are kept newest first)
+const RECORD_COLLECTIONS = {
+  'prints.json': {
+    table: 'prints',
+    columns: (r) => ({ date: column(r.date), printer: column(r.printer), status: column(r.status) }),
+    prepend: true
+  },
+  'filaments.json': {
+    table: 'filaments',
+    columns: (r) => ({ material: column(r.material), brand: column(r.brand) }),
+    prepend: false
+  },
+  'profiles.json': { table: 'profiles', columns: () => ({}), prepend: false },
+  'printers.json': { table: 'printers', columns: () => ({}), prepend: false }
+};
+
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS meta (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+
+  CREATE TABLE IF NOT EXISTS prints (
+    id TEXT PRIMARY KEY, position INTEGER NOT NULL,
+    date TEXT, printer TEXT, status TEXT, data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS prints_position ON prints(position);
+  CREATE INDEX IF NOT EXISTS prints_date ON prints(date);
+  CREATE INDEX IF NOT EXISTS prints_printer_date ON prints(printer, date);
+  CREATE INDEX IF NOT EXISTS prints_status_date ON prints(status, date);
+
+  CREATE TABLE IF NOT EXISTS print_materials (
+    print_id TEXT NOT NULL REFERENCES prints(id) ON DELETE CASCADE,
+    material TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS print_materials_material ON print_materials(material, print_id);
+  CREATE INDEX IF NOT EXISTS print_materials_print ON print_materials(print_id);
+
+  CREATE TABLE IF NOT EXISTS filaments (
+    id TEXT PRIMARY KEY, position INTEGER NOT NULL,
+    material TEXT, brand TEXT, data TEXT NOT NULL
+  );
+  CREATE INDEX IF NOT EXISTS filaments_material ON filaments(material);
+
+  CREATE TABLE IF NOT EXISTS profiles (id TEXT PRIMARY KEY, position INTEGER NOT NULL, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS printers (id TEXT PRIMARY KEY, position INTEGER NOT NULL, data TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS settings (key TEXT PRIMARY KEY, value TEXT NOT NULL);
+  CREATE TABLE IF NOT EXISTS documents (name TEXT PRIMARY KEY, data TEXT NOT NULL);
+`;
+
+class SqliteStore {
+  /**
+   * dbPath — database file, created when missing
+   * dataDir — folder of the JSON files imported on first open; null starts from the defaults
+   * archiveDir — where copies of the imported JSON files are kept
+   * fileNames — every collection file name the renderer may use
+   * defaults — contents for collections that have no JSON file yet, by file name
+   * readJson — (filePath, fileName) => parsed and checked contents; throws when unusable
+   * schemaVersions — versions of the JSON files, by file name, carried over on import
+   * normalize — (fileName, records) => the records in the current schema, applied to updates
+   */
+  constructor(dbPath, { dataDir, archiveDir, fileNames, defaults, readJson, schemaVersions, normalize = (f, r) => r }) {
+    this.db = new Database(dbPath);
+    this.db.pragma('journal_mode = WAL');
+    this.db.pragma('foreign_keys = ON');
+    this.db.exec(SCHEMA);
+    this._statements = {};
+    this._normalize = normalize;
+    try {
+      this._migrateFromJson({ dataDir, archiveDir, fileNames, defaults, readJson, schemaVersions });
+    } catch (err) {
+      this.db.close();
+      throw err;
+    }
+  }
+
+  close() {
+    this.db.close();
+  }
+
+  // Online copy of the database to destPath as a single file (no WAL); resolves when complete
+  async backup(destPath) {
+    await this.db.backup(destPath);
+    const copy = new Database(destPath);
+    try {
+      copy.pragma('journal_mode = DELETE');
+    } finally {
+      copy.close();
+    }
+  }
+
+  // ---- Whole collections (storage:read / storage:write) ----
+
+  read(fileName) {
+    const spec = RECORD_COLLECTIONS[fileName];
+    if (spec) {
+      return this._all(`SELECT data FROM ${spec.table} ORDER BY position`).map(row => JSON.parse(row.data));
+    }
+    if (fileName === 'settings.json') {
+      const settings = {};
+      this._all('SELECT key, value FROM settings').forEach(row => { settings[row.key] = JSON.parse(row.value); });
+      return settings;
+    }
+    const row = this._get('SELECT data FROM documents WHERE name = ?', fileName);
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  write(fileName, data) {
+    this.db.transaction(() => this._replace(fileName, data))();
+    return true;
+  }
+
+  // ---- Single records ----
+
+  get(fileName, id) {
+    const spec = RECORD_COLLECTIONS[fileName];
+    const row = this._get(`SELECT data FROM ${spec.table} WHERE id = ?`, String(id));
+    return row ? JSON.parse(row.data) : null;
+  }
+
+  // Throws when the id is already taken
+  insert(fileName, record) {
+    const spec = RECORD_COLLECTIONS[fileName];
+    this.db.transaction(() => {
+      if (this._get(`SELECT 1 FROM ${spec.table} WHERE id = ?`, String(record.id))) {
+        throw new Error(`${fileName} already has a record with id ${record.id}`);
+      }
+      const edge = this._get(`SELECT MIN(position) AS first, MAX(position) AS last FROM ${spec.table}`);
+      const position = spec.prepend ? (edge.first ?? 1) - 1 : (edge.last ?? -1) + 1;
+      this._upsert(fileName, record, position);
+    })();
+    return record;
+  }
+
+  // Shallow merge like Object.assign; returns the updated record or null when missing
+  update(fileName, id, updates) {
+    const spec = RECORD_COLLECTIONS[fileName];
+    return this.db.transaction(() => {
+      const row = this._get(`SELECT position, data FROM ${spec.table} WHERE id = ?`, String(id));
+      if (!row) return null;
+      const [record] = this._normalize(fileName, [Object.assign(JSON.parse(row.data), updates)]);
+      this._upsert(fileName, record, row.position);
+      return record;
+    })();
+  }
+
+  remove(fileName, id) {
+    const spec = RECORD_COLLECTIONS[fileName];
+    this._run(`DELETE FROM ${spec.table} WHERE id = ?`, String(id));
+    return true;
+  }
+
+  saveSetting(key, value) {
+    this._run('INSERT INTO settings (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+      key, JSON.stringify(value));
+    return this.read('settings.json');
+  }
+
+  /**
+   * Prints matching every given filter, in list order (newest first).
+   * query — { from, to (ISO timestamps, inclusive), printer, material, status, limit }
+   */
+  queryPrints(query = {}) {
+    const where = [];
+    const args = [];
+    if (query.from) { where.push('p.date >= ?'); args.push(query.from); }
+    if (query.to) { where.push('p.date <= ?'); args.push(query.to); }
+    if (query.printer) { where.push('p.printer = ?'); args.push(query.printer); }
+    if (query.status) { where.push('p.status = ?'); args.push(query.status); }
+    if (query.material) {
+      where.push('p.id IN (SELECT print_id FROM print_materials WHERE material = ?)');
+      args.push(query.material);
+    }
+    let sql = `SELECT p.data FROM prints p${where.length ? ' WHERE ' + where.join(' AND ') : ''} ORDER BY p.position`;
+    if (Number.isInteger(query.limit) && query.limit > 0) {
+      sql += ' LIMIT ?';
+      args.push(query.limit);
+    }
+    return this._all(sql, ...args).map(row => JSON.parse(row.data));
+  }
+
+  // ---- Schema versions (see migrations.js) ----
+
+  getSchemaVersion(fileName) {
+    const row = this._get('SELECT value FROM meta WHERE key = ?', `schemaVersion:${fileName}`);
+    return row ? Number(row.value) : 1;
+  }
+
+  setSchemaVersion(fileName, version) {
+    this._run('INSERT INTO meta (key, value) VALUES (?, ?) ON CONFLICT(key) DO UPDATE SET value = excluded.value',
+      `schemaVersion:${fileName}`, String(version));
+  }
+
+  // ---- Internals ----
+
+  _statement(sql) {
+    if (!this._statements[sql]) this._statements[sql] = this.db.prepare(sql);
+    return this._statements[sql];
+  }
+
+  _all(sql, ...args) { return this._statement(sql).all(...args); }
+  _get(sql, ...args) { return this._statement(sql).get(...args); }
+  _run(sql, ...args) { return this._statement(sql).run(...args); }
+
+  _upsert(fileName, record, position) {
+    const spec = RECORD_COLLECTIONS[fileName];
+    const columns = spec.columns(record);
+    const names = ['id', 'position', ...Object.keys(columns), 'data'];
+    const updates = names.filter(n => n !== 'id').map(n => `${n} = excluded.${n}`).join(', ');
+    this._run(
+      `INSERT INTO ${spec.table} (${names.join(', ')}) VALUES (${names.map(() => '?').join(', ')}) ON CONFLICT(id) DO UPDATE SET ${updates}`,
+      String(record.id), position, ...Object.values(columns), JSON.stringify(record)
+    );
+    if (spec.table === 'prints') {
+      this._run('DELETE FROM print_materials WHERE print_id = ?', String(record.id));
+      (Array.isArray(record.material) ? record.material : [record.material]).filter(Boolean).forEach(material => {
+        this._run('INSERT INTO print_materials (print_id, material) VALUES (?, ?)', String(record.id), String(material));
+      });
+    }
+  }
+
+  _replace(fileName, data) {
+    const spec = RECORD_COLLECTIONS[fileName];
+    if (spec) {
+      this._run(`DELETE FROM ${spec.table}`);
+      data.forEach((record, i) => this._upsert(fileName, record, i));
+    } else if (fileName === 'settings.json') {
+      this._run('DELETE FROM settings');
+      Object.entries(data).forEach(([key, value]) => {
+        this._run('INSERT INTO settings (key, value) VALUES (?, ?)', key, JSON.stringify(value));
+      });
+    } else {
+      this._run('INSERT INTO documents (name, data) VALUES (?, ?) ON CONFLICT(name) DO UPDATE SET data = excluded.data',
+        fileName, JSON.stringify(data));
+    }
+  }
+
+  // One-time import of the JSON files, all or nothing. A file that doesn't read back valid
+  // aborts it with an error, so the caller stays on the JSON files (and their recovery) and
+  // the import runs again on the next start. The files stay in the data folder (they are
+  // tracked in git) and a copy of each goes to archiveDir; the migratedFromJson marker keeps
+  // them from being imported again.
+  _migrateFromJson({ dataDir, archiveDir, fileNames, defaults = {}, readJson, schemaVersions = {} }) {
+    if (this._get("SELECT value FROM meta WHERE key = 'migratedFromJson'")) return;
+
+    const imported = [];
+    this.db.transaction(() => {
+      fileNames.forEach(fileName => {
+        const filePath = dataDir ? path.join(dataDir, fileName) : null;
+        let data = defaults[fileName];
+        if (filePath && fs.existsSync(filePath)) {
+          try {
+            data = readJson(filePath, fileName);
+          } catch (err) {
+            throw new Error(`${fileName} could not be imported: ${err.message}`);
+          }
+          imported.push(filePath);
+        }
+        if (data !== undefined) this._replace(fileName, data);
+      });
+      Object.entries(schemaVersions).forEach(([fileName, version]) => this.setSchemaVersion(fileName, version));
+      this._run("INSERT INTO meta (key, value) VALUES ('migratedFromJson', ?)", new Date().toISOString());
+    })();
+
+    if (imported.length === 0) return;
+    fs.mkdirSync(archiveDir, { recursive: true });
+    imported.forEach(filePath => fs.copyFileSync(filePath, path.join(archiveDir, path.basename(filePath))));
+  }
+}
+
+// Whether a database file opens and passes SQLite's quick integrity check
+function isUsableDatabase(dbPath) {
+  let db = null;
+  try {
+    db = new Database(dbPath, { readonly: true, fileMustExist: true });
+    return db.pragma('quick_check', { simple: true }) === 'ok';
+  } catch {
+    return false;
+  } finally {
+    if (db) db.close();
+  }
+}
+
+module.exports = { SqliteStore, RECORD_COLLECTIONS, isUsableDatabase };
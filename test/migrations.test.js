@@ -0,0 +1,96 @@
+// Data migrations: each step against its fixtures, then the startup runner
+// Fixtures are named <collection>-v<version>.json and hold the same records at each version.
+
+const { test } = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const path = require('path');
+const { MIGRATIONS, latestVersion, migrate, runMigrations } = require('../migrations');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'migrations');
+
+function fixture(fileName, version) {
+  const name = `${path.basename(fileName, '.json')}-v${version}.json`;
+  return JSON.parse(fs.readFileSync(path.join(FIXTURES, name), 'utf-8'));
+}
+
+// In-memory stand-in for the JSON and SQLite stores in main.js
+function memoryStore(collections, versions = {}) {
+  const writes = [];
+  return {
+    writes,
+    collections,
+    versions,
+    read: (fileName) => collections[fileName],
+    write: (fileName, data) => { collections[fileName] = data; writes.push(fileName); return true; },
+    getSchemaVersion: (fileName) => versions[fileName] || 1,
+    setSchemaVersion: (fileName, version) => { versions[fileName] = version; }
+  };
+}
+
+for (const [fileName, steps] of Object.entries(MIGRATIONS)) {
+  for (const step of steps) {
+    test(`${fileName} v${step.version}: ${step.description}`, () => {
+      const before = fixture(fileName, step.version - 1);
+      const snapshot = JSON.parse(JSON.stringify(before));
+      assert.deepStrictEqual(step.up(before), fixture(fileName, step.version));
+      assert.deepStrictEqual(before, snapshot, 'input must not be modified');
+    });
+
+    test(`${fileName} v${step.version} leaves current data unchanged`, () => {
+      const current = fixture(fileName, step.version);
+      assert.deepStrictEqual(step.up(current), current);
+    });
+  }
+}
+
+test('migrate skips steps at or below the starting version', () => {
+  const current = fixture('prints.json', 2);
+  const result = migrate('prints.json', current, 2);
+  assert.strictEqual(result.data, current);
+  assert.deepStrictEqual(result.applied, []);
+  assert.strictEqual(result.version, 2);
+});
+
+test('migrate treats unversioned data as version 1', () => {
+  const result = migrate('prints.json', fixture('prints.json', 1));
+  assert.deepStrictEqual(result.applied, [2]);
+  assert.deepStrictEqual(result.data, fixture('prints.json', 2));
+});
+
+test('collections without migrations stay at version 1', () => {
+  assert.strictEqual(latestVersion('settings.json'), 1);
+  const settings = { theme: 'dark' };
+  assert.strictEqual(migrate('settings.json', settings).data, settings);
+});
+
+test('runMigrations upgrades old collections once and records their versions', () => {
+  const store = memoryStore({
+    'prints.json': fixture('prints.json', 1),
+    'filaments.json': fixture('filaments.json', 1)
+  });
+  runMigrations(store);
+  assert.deepStrictEqual(store.collections['prints.json'], fixture('prints.json', 2));
+  assert.deepStrictEqual(store.collections['filaments.json'], fixture('filaments.json', 2));
+  assert.deepStrictEqual(store.versions, { 'prints.json': 2, 'filaments.json': 2 });
+
+  runMigrations(store);
+  assert.deepStrictEqual(store.writes, ['prints.json', 'filaments.json'], 'second start writes nothing');
+});
+
+test('runMigrations leaves an unreadable collection for the next start', () => {
+  const store = memoryStore({ 'filaments.json': [] });
+  store.read = (fileName) => {
+    if (fileName === 'prints.json') throw new Error('damaged');
+    return store.collections[fileName];
+  };
+  const logged = console.error;
+  console.error = () => {};
+  try {
+    runMigrations(store);
+  } finally {
+    console.error = logged;
+  }
+  assert.strictEqual(store.getSchemaVersion('prints.json'), 1);
+  assert.strictEqual(store.getSchemaVersion('filaments.json'), 2);
+});